@@ -0,0 +1,224 @@
+/**
+ * API Auth
+ *
+ * Authentication for the internal HTTP endpoints (/refresh, /update-reminder).
+ * Callers identify as an employer in one of two ways:
+ * - `X-API-Key: <key>` with a key the employer created over WhatsApp. Only a
+ *   SHA-256 hash of each key is kept, in the `api_keys` table.
+ * - `Authorization: Bearer <token>` with a token signed by API_TOKEN_SECRET,
+ *   for services we run ourselves (see createSignedToken).
+ * The employer's WhatsApp number is put on `req.employerNumber` so routes can
+ * scope what they return or change.
+ */
+
+const crypto = require("crypto");
+
+const supabase = require("./supabaseClient");
+require("dotenv").config();
+
+const API_KEY_PREFIX = "wtb_";
+const DEFAULT_TOKEN_TTL_SECONDS = 60 * 60;
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Sign a token payload with API_TOKEN_SECRET
+ * @param {string} payload - base64url encoded payload
+ * @returns {string} base64url HMAC signature
+ */
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", process.env.API_TOKEN_SECRET)
+    .update(payload)
+    .digest("base64url");
+}
+
+/**
+ * Create a signed token that authenticates as an employer
+ * @param {string} employerNumber - Employer's WhatsApp number
+ * @param {number} [ttlSeconds] - How long the token is valid
+ * @returns {string} Token for the Authorization: Bearer header
+ */
+function createSignedToken(employerNumber, ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS) {
+  if (!process.env.API_TOKEN_SECRET) {
+    throw new Error("API_TOKEN_SECRET is not set");
+  }
+
+  const payload = Buffer.from(
+    JSON.stringify({
+      employerNumber,
+      exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+    })
+  ).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a signed token
+ * @param {string} token - Token from the Authorization header
+ * @returns {string|null} Employer's WhatsApp number, or null if invalid or expired
+ */
+function verifySignedToken(token) {
+  if (!process.env.API_TOKEN_SECRET) return null;
+
+  const [payload, signature] = String(token).split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { employerNumber, exp } = JSON.parse(
+      Buffer.from(payload, "base64url").toString()
+    );
+    if (!employerNumber || !exp || exp * 1000 < Date.now()) return null;
+    return employerNumber;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================================================
+// SUPABASE DATA FUNCTIONS
+// ============================================================================
+
+/**
+ * Find the employer an API key belongs to
+ * @param {string} key - API key
+ * @returns {Promise<string|null>} Employer's WhatsApp number or null
+ */
+async function getApiKeyOwner(key) {
+  const { data, error } = await supabase
+    .from("api_keys")
+    .select("employer_number")
+    .eq("key_hash", hashApiKey(key))
+    .maybeSingle();
+  if (error) throw error;
+
+  return data ? data.employer_number : null;
+}
+
+/**
+ * Create a new API key for an employer
+ * @param {string} employerNumber - Employer's WhatsApp number
+ * @returns {Promise<string>} The key, which is not stored and can't be shown again
+ */
+async function createApiKey(employerNumber) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+
+  const { error } = await supabase
+    .from("api_keys")
+    .insert({ key_hash: hashApiKey(key), employer_number: employerNumber });
+  if (error) throw error;
+
+  return key;
+}
+
+/**
+ * Revoke every API key of an employer
+ * @param {string} employerNumber - Employer's WhatsApp number
+ * @returns {Promise<number>} Number of keys revoked
+ */
+async function revokeApiKeys(employerNumber) {
+  const { data, error } = await supabase
+    .from("api_keys")
+    .delete()
+    .eq("employer_number", employerNumber)
+    .select("key_hash");
+  if (error) throw error;
+
+  return data.length;
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Require an API key or signed token and set req.employerNumber
+ */
+async function requireApiAuth(req, res, next) {
+  const apiKey = req.get("X-API-Key");
+  const bearer = (req.get("Authorization") || "").match(/^Bearer (.+)$/i);
+
+  let employerNumber = null;
+  try {
+    if (apiKey) employerNumber = await getApiKeyOwner(apiKey);
+    else if (bearer) employerNumber = verifySignedToken(bearer[1]);
+  } catch (error) {
+    console.error("Error checking API credentials:", error);
+    return res.status(500).json({ message: "Error checking credentials" });
+  }
+
+  if (!employerNumber) {
+    return res.status(401).json({ message: "Missing or invalid API credentials" });
+  }
+
+  req.employerNumber = employerNumber;
+  next();
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Parse "create api key" or "revoke api keys"
+ * @param {string} message - User's message
+ * @returns {{action: string}|null} Command or null
+ */
+function parseApiKeyCommand(message) {
+  const text = message.trim().toLowerCase().replace(/[.!]+$/, "");
+
+  if (/^(create|new|generate)( an| a new| new)? api key$/.test(text)) {
+    return { action: "create" };
+  }
+  if (/^(revoke|delete|remove)( my| all( my)?)? api keys?$/.test(text)) {
+    return { action: "revoke" };
+  }
+  return null;
+}
+
+/**
+ * Apply an API key command
+ * @param {Object} command - Result of parseApiKeyCommand
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function handleApiKeyCommand(command, From) {
+  try {
+    if (command.action === "create") {
+      const key = await createApiKey(From);
+      return `🔑 *New API key*\n\n${key}\n\nSend it in the *X-API-Key* header. It only gives access to your own tasks. I can't show it again, so keep it somewhere safe.`;
+    }
+
+    const revoked = await revokeApiKeys(From);
+    return revoked > 0
+      ? `🔒 Revoked ${revoked} API key(s).`
+      : "You don't have any API keys.";
+  } catch (error) {
+    console.error("Error managing API keys:", error);
+    return "Sorry, there was an error managing your API keys.";
+  }
+}
+
+module.exports = {
+  createSignedToken,
+  requireApiAuth,
+  parseApiKeyCommand,
+  handleApiKeyCommand,
+};
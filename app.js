@@ -0,0 +1,702 @@
+/**
+ * WhatsApp Task Management Bot
+ * 
+ * A WhatsApp bot for task management, meeting scheduling, and reminders
+ * using Twilio, OpenAI, Supabase, and Google Calendar.
+ *
+ * This module builds the Express app and its routes without listening or
+ * starting background jobs; index.js does both. The Twilio, OpenAI, Supabase
+ * and Google clients are created on first use, so they can be swapped for
+ * fakes before any request is handled (see test/harness.js).
+ */
+
+// ============================================================================
+// IMPORTS AND CONFIGURATION
+// ============================================================================
+
+const express = require("express");
+const bodyParser = require("body-parser");
+const cors = require("cors");
+const { default: axios } = require("axios");
+const FormData = require("form-data");
+const MessagingResponse = require("twilio").twiml.MessagingResponse;
+
+// Local imports
+const openai = require("./openaiClient");
+const { sendMessage } = require("./messaging");
+const {
+  setReminderHandler,
+  scheduleReminder,
+  restoreReminders,
+} = require("./reminderScheduler");
+const { getTask, listTasks } = require("./taskStore");
+const { parseTimezoneCommand, handleTimezoneCommand } = require("./timezones");
+const {
+  startEscalationChecks,
+  parseEscalationCommand,
+  handleEscalationCommand,
+} = require("./escalations");
+const {
+  parseRosterCommand,
+  handleRosterCommand,
+  parseInviteReply,
+  handleInviteReply,
+} = require("./roster");
+const {
+  scheduleDigest,
+  restoreDigests,
+  parseDigestCommand,
+  handleDigestCommand,
+} = require("./digests");
+const {
+  recordOpenAIUsage,
+  isOpenAIBudgetExhausted,
+  validateTwilioSignature,
+  limitSenderRate,
+} = require("./webhookSecurity");
+const {
+  requireApiAuth,
+  parseApiKeyCommand,
+  handleApiKeyCommand,
+} = require("./apiAuth");
+const { getRefreshToken } = require("./googleCalendar");
+const { parseMeetingCommand, handleMeetingCommand } = require("./meetings");
+const {
+  getProvider,
+  linkProvider,
+  describeGoogleOnly,
+  parseProviderCommand,
+  handleProviderCommand,
+  parseAccountCommand,
+  handleAccountCommand,
+} = require("./calendarProviders");
+const {
+  parseTaskCalendarCommand,
+  handleTaskCalendarCommand,
+  parseFollowUpCommand,
+  handleFollowUpCommand,
+} = require("./taskCalendar");
+const { parsePreviewSetting, handlePreviewSetting } = require("./meetingPreview");
+const { parseContactCommand, handleContactCommand } = require("./contacts");
+const { parseTaskQuery, answerTaskQuery } = require("./taskQueries");
+const { parseTaskEdit, handleTaskEdit } = require("./taskEdits");
+const { userSessions, withSessions } = require("./sessions");
+const {
+  INTENTS,
+  HELP_MESSAGE,
+  OUT_OF_SCOPE_MESSAGE,
+  TASK_QUERY_HINT,
+  MEETING_COMMAND_HINT,
+  isReminderAnswer,
+  isAwaitingAnswer,
+  isCancelCommand,
+  cancelFlows,
+  classifyIntent,
+  endOtherFlows,
+} = require("./intentRouter");
+const { createTask, handleUserInput } = require("./taskAssignment");
+const { deliverReminder, handleReminderReply, keepReminderPrompts } = require("./reminderReplies");
+const { handleMeetingRequest } = require("./meetingScheduling");
+require("dotenv").config();
+
+// ============================================================================
+// APP INITIALIZATION AND MIDDLEWARE
+// ============================================================================
+
+const app = express();
+
+// Configure middleware
+app.use(bodyParser.urlencoded({ extended: false }));
+app.use(bodyParser.json());
+app.use(cors());
+
+setReminderHandler(deliverReminder);
+
+// ============================================================================
+// STARTUP
+// ============================================================================
+
+/**
+ * Restore scheduled reminders, escalation checks and digests
+ */
+async function startBackgroundJobs() {
+  await restoreReminders();
+  startEscalationChecks();
+  await restoreDigests();
+}
+
+app.get("/refresh", requireApiAuth, async (req, res) => {
+  console.log("Refreshing tasks from Supabase...");
+  let tasks;
+  try {
+    tasks = await listTasks({ employerNumber: req.employerNumber });
+  } catch (error) {
+    console.error("Error refreshing tasks:", error);
+    return res.status(500).json({ message: "Error fetching tasks" });
+  }
+  res
+    .status(200)
+    .json({ message: "Tasks refreshed successfully", tasks });
+});
+
+// ============================================================================
+// VOICE TRANSCRIPTION FUNCTIONS
+// ============================================================================
+
+/**
+ * Transcribe audio from a URL using OpenAI Whisper API
+ * @param {string} mediaUrl - URL of the audio file
+ * @returns {Promise<string|null>} Transcribed text or null
+ */
+async function transcribeAudioDirectly(mediaUrl) {
+  try {
+    // Twilio's Account SID and Auth Token
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    // Create Basic Auth header
+    const authHeader =
+      "Basic " + Buffer.from(accountSid + ":" + authToken).toString("base64");
+
+    const mediaResponse = await axios.get(mediaUrl, {
+      responseType: "arraybuffer",
+      auth: {
+        username: accountSid,
+        password: authToken,
+      },
+    });
+
+    const form = new FormData();
+    form.append("file", Buffer.from(mediaResponse.data), {
+      filename: "audio.mp3",
+      contentType: "audio/mp3",
+    });
+    form.append("model", "whisper-1");
+    form.append("task", "translate");
+    form.append("language", "hi");
+
+    // Send directly to OpenAI Whisper for transcription
+    const result = await axios.post(
+      "https://api.openai.com/v1/audio/transcriptions",
+      form,
+      {
+        headers: {
+          ...form.getHeaders(),
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+        },
+      }
+    );
+    recordOpenAIUsage();
+
+    if (result && result.data) {
+      return result.data.text;
+    } else {
+      console.error("No transcription result returned");
+      return null;
+    }
+  } catch (error) {
+    console.error(
+      "Error transcribing audio:",
+      error.response ? error.response.data : error.message
+    );
+    return null;
+  }
+}
+
+// ============================================================================
+// API ROUTES
+// ============================================================================
+
+/**
+ * Wrap a webhook handler so it runs with the sender's conversation sessions
+ * loaded and saves them afterwards
+ * @param {Function} handler - Async Express handler
+ * @returns {Function} Express handler
+ */
+function withSenderSessions(handler) {
+  return async (req, res) => {
+    try {
+      await withSessions(req.body.From, () =>
+        keepReminderPrompts(req.body.From, () => handler(req, res))
+      );
+    } catch (error) {
+      console.error(`Error handling message from ${req.body.From}:`, error);
+      if (!res.headersSent) {
+        const twiml = new MessagingResponse();
+        twiml.message("Sorry, I couldn't process your message right now. Please try again.");
+        res.type("text/xml").send(twiml.toString());
+      }
+    }
+  };
+}
+
+/**
+ * Initialize the WhatsApp webhook and other routes
+ */
+async function makeTwilioRequest() {
+  app.post("/whatsapp", validateTwilioSignature, limitSenderRate, withSenderSessions(async (req, res) => {
+    const { Body, From } = req.body;
+
+    // "cancel" or "start over" drops whatever the bot is in the middle of
+    if (isCancelCommand(Body)) {
+      const twiml = new MessagingResponse();
+      twiml.message(cancelFlows(From));
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Replies to reminders and task pickers don't need OpenAI, everything else does
+    if (
+      isOpenAIBudgetExhausted() &&
+      ![5, 6, 7, 8].includes(userSessions[From]?.step) &&
+      !isReminderAnswer(Body, From)
+    ) {
+      const twiml = new MessagingResponse();
+      twiml.message(
+        "😴 I've reached my daily limit for understanding new requests. Please try again tomorrow — your reminders will keep coming as usual."
+      );
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    const mediaUrl = req.body.MediaUrl0;
+    const mediaType = req.body.MediaContentType0;
+
+    let userMessage = Body.trim();
+
+    const userNumber = req.body.From;
+
+    const correctionResponse = isOpenAIBudgetExhausted() ? null : await openai.chat.completions.create({
+      model: "gpt-4",
+      messages: [
+        {
+          role: "system", 
+          content: `
+    You are a helpful assistant that automatically corrects typos in user input.
+    
+    Fix spelling, grammar, and time-related issues (like "30pm" → "3pm", "muns" → "mins").
+    
+    Always respond in JSON format:
+    {
+      "original": "user's original input",
+      "corrected": "corrected version of the input"
+    }
+    `
+        }, 
+        {
+          role: "user",
+          content: userMessage, 
+        }, 
+      ]
+    }); 
+    
+    let correctedData;
+    
+    // ✅ Step 1: Safely check and parse the GPT response
+    if (
+      correctionResponse &&
+      correctionResponse.choices &&
+      correctionResponse.choices.length > 0 &&
+      correctionResponse.choices[0].message?.content
+    ) {
+      try {
+        correctedData = JSON.parse(correctionResponse.choices[0].message.content.trim());
+      } catch (e) {
+        console.error("Failed to parse GPT response as JSON:", correctionResponse.choices[0].message.content);
+        correctedData = { original: userMessage, corrected: userMessage }; // fallback
+      }
+    } else {
+      console.error("Empty or malformed GPT correction response:", correctionResponse);
+      correctedData = { original: userMessage, corrected: userMessage }; // fallback
+    }
+    
+    // ✅ Step 2: Apply correction if different
+    if (correctedData?.corrected && correctedData.original !== correctedData.corrected) {
+      console.log("Auto-correcting input:", correctedData.original, "→", correctedData.corrected);
+      userMessage = correctedData.corrected;
+    } else {
+      userMessage = userMessage.trim();
+    }
+
+    // New team members answering their invite with JOIN or DECLINE
+    const inviteReply = parseInviteReply(userMessage);
+    if (inviteReply && !isAwaitingAnswer(From)) {
+      const reply = await handleInviteReply(inviteReply, From);
+      if (reply) {
+        const twiml = new MessagingResponse();
+        twiml.message(reply);
+        return res.type("text/xml").send(twiml.toString());
+      }
+    }
+
+    // Team roster: "my team", "add team member Astik +919876543210", "deactivate Astik"
+    const rosterCommand = parseRosterCommand(userMessage);
+    if (rosterCommand && !isAwaitingAnswer(From)) {
+      const reply = await handleRosterCommand(rosterCommand, From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // API keys for the /refresh and /update-reminder endpoints
+    const apiKeyCommand = parseApiKeyCommand(userMessage);
+    if (apiKeyCommand && !isAwaitingAnswer(From)) {
+      const reply = await handleApiKeyCommand(apiKeyCommand, From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Timezone settings like "set my timezone to London"
+    const timezoneCommand = parseTimezoneCommand(userMessage);
+    if (timezoneCommand && !isAwaitingAnswer(From)) {
+      const { reply, userTimezone } = await handleTimezoneCommand(timezoneCommand, From);
+      // Scheduled digests follow the manager's own timezone
+      if (userTimezone) await scheduleDigest(From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Team digests: "report" now, or "daily report at 6pm" on a schedule
+    const digestCommand = parseDigestCommand(userMessage);
+    if (digestCommand && !isAwaitingAnswer(From)) {
+      const reply = await handleDigestCommand(digestCommand, From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Escalation settings like "escalate to +14155550123" or "overdue alerts off"
+    const escalationCommand = parseEscalationCommand(userMessage);
+    if (escalationCommand && !isAwaitingAnswer(From)) {
+      const reply = await handleEscalationCommand(escalationCommand, From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Contact book: "add contact Priya priya@acme.com", "import google contacts"
+    const contactCommand = parseContactCommand(userMessage);
+    if (contactCommand && !isAwaitingAnswer(From)) {
+      const reply = await handleContactCommand(contactCommand, From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Task deadlines on Google Calendar: "add tasks to my calendar"
+    const taskCalendarCommand = parseTaskCalendarCommand(userMessage);
+    if (taskCalendarCommand && !isAwaitingAnswer(From)) {
+      const reply = await handleTaskCalendarCommand(taskCalendarCommand, From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Meeting follow-ups: "after the sync, Astik should send notes by Friday"
+    const followUpCommand = parseFollowUpCommand(userMessage);
+    if (followUpCommand && !isAwaitingAnswer(From)) {
+      const { reply, taskData, assignee } = await handleFollowUpCommand(followUpCommand, From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      res.type("text/xml").send(twiml.toString());
+      if (taskData) await createTask(taskData, assignee, From);
+      return;
+    }
+
+    // Linked accounts: "google status", "relink google", "disconnect google"
+    const accountCommand = parseAccountCommand(userMessage);
+    if (accountCommand && !isAwaitingAnswer(From)) {
+      const reply = await handleAccountCommand(accountCommand, From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Meeting provider: "use zoom for meetings", "meeting provider"
+    const providerCommand = parseProviderCommand(userMessage);
+    if (providerCommand && !isAwaitingAnswer(From)) {
+      const reply = await handleProviderCommand(providerCommand, From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Meeting previews: "meeting preview off" creates meetings without asking first
+    const previewSetting = parsePreviewSetting(userMessage);
+    if (previewSetting && !isAwaitingAnswer(From)) {
+      const reply = await handlePreviewSetting(previewSetting, From);
+      const twiml = new MessagingResponse();
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Voice messages are transcribed, then classified like text
+    if (mediaUrl && mediaType && mediaType.startsWith("audio")) {
+      const transcription = await transcribeAudioDirectly(mediaUrl);
+
+      if (transcription) {
+        userMessage = transcription;
+      }
+
+      const apiKey = process.env.WORDWARE_API_KEY;
+      const requestBody = {
+        inputs: {
+          your_text: userMessage,
+        },
+        version: "^2.0",
+      };
+
+      const response = await axios.post(
+        "https://app.wordware.ai/api/released-app/8ab2f459-fee3-4aa1-9d8b-fc6454a347c3/run",
+        requestBody,
+        {
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      const responseValue = response.data.trim().split("\n");
+
+      let parsedChunks = responseValue.map((chunk) => JSON.parse(chunk));
+
+      const cleanText =
+        parsedChunks[parsedChunks.length - 1].value.values.new_generation;
+
+      userMessage = cleanText;
+    }
+
+    // Everything else goes to the module for what the user wants
+    const intent = await classifyIntent(userMessage, From);
+    endOtherFlows(From, intent);
+
+    if (intent === INTENTS.HELP || intent === INTENTS.OUT_OF_SCOPE) {
+      const twiml = new MessagingResponse();
+      twiml.message(intent === INTENTS.HELP ? HELP_MESSAGE : OUT_OF_SCOPE_MESSAGE);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // Task lists like "my tasks", and edits, reschedules or cancellations of a task
+    if (intent === INTENTS.QUERY_TASKS) {
+      const twiml = new MessagingResponse();
+      const taskQuery = parseTaskQuery(userMessage);
+      const taskEdit = taskQuery ? null : parseTaskEdit(userMessage);
+
+      if (taskQuery) {
+        twiml.message(await answerTaskQuery(taskQuery, From));
+      } else if (taskEdit || userSessions[From]?.step === 8) {
+        const { reply, pendingEdit } = taskEdit
+          ? await handleTaskEdit(taskEdit, null, From)
+          : await handleTaskEdit(userSessions[From].pendingEdit, userMessage, From);
+        if (pendingEdit) {
+          userSessions[From] = { step: 8, pendingEdit, conversationHistory: [] };
+        } else {
+          delete userSessions[From];
+        }
+        twiml.message(reply);
+      } else {
+        twiml.message(TASK_QUERY_HINT);
+      }
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // List, reschedule or cancel calendar meetings, and follow-up answers
+    if (intent === INTENTS.MANAGE_MEETING) {
+      const twiml = new MessagingResponse();
+      const meetingCommand =
+        userSessions[From]?.step === 9 ? null : parseMeetingCommand(userMessage);
+      if (!meetingCommand && userSessions[From]?.step !== 9) {
+        twiml.message(MEETING_COMMAND_HINT);
+        return res.type("text/xml").send(twiml.toString());
+      }
+      const refreshToken = await getRefreshToken(userNumber);
+      if (!refreshToken) {
+        delete userSessions[From];
+        twiml.message(await describeGoogleOnly(userNumber, "Managing meetings"));
+        return res.type("text/xml").send(twiml.toString());
+      }
+
+      const { reply, pendingMeetingEdit } = meetingCommand
+        ? await handleMeetingCommand(meetingCommand, null, userNumber, refreshToken)
+        : await handleMeetingCommand(
+            userSessions[From].pendingMeetingEdit,
+            userMessage,
+            userNumber,
+            refreshToken
+          );
+      if (pendingMeetingEdit) {
+        userSessions[From] = { step: 9, pendingMeetingEdit, conversationHistory: [] };
+      } else if (userSessions[From]?.step === 9) {
+        delete userSessions[From];
+      }
+      twiml.message(reply);
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    if (intent === INTENTS.SCHEDULE_MEETING) {
+      await handleMeetingRequest({ userMessage, userNumber, res });
+      return;
+    }
+
+    // Reminder replies and task creation answer with sendMessage
+    res.status(200).send("<Response></Response>");
+
+    if (intent === INTENTS.REMINDER_REPLY) {
+      if (userSessions[From]?.pendingReminders?.length) {
+        await handleReminderReply(userMessage, From);
+      } else {
+        sendMessage(From, "✅ You have no open reminders to answer right now.");
+      }
+      return;
+    }
+
+    if (!userSessions[From]) {
+      userSessions[From] = {
+        step: 0,
+        task: "",
+        assignee: "",
+        dueDate: "",
+        dueTime: "",
+        assignerNumber: From,
+        conversationHistory: [],
+      };
+    }
+    await handleUserInput(userMessage, From);
+  }));
+
+app.get("/auth/:provider/callback", async (req, res) => {
+  const code = req.query.code;
+  const state = req.query.state;
+  const provider = getProvider(req.params.provider);
+
+  if (!provider || !code || !state || !state.startsWith("whatsapp:")) {
+    return res.send("Invalid request");
+  }
+
+  const userNumber = state.replace("whatsapp:", "");
+
+    try {
+      const result = await linkProvider(req.params.provider, code, userNumber);
+      if (!result.ok) return res.send(result.message);
+
+      return res.send(
+        `<!DOCTYPE html>
+  <html lang="en">
+    <head>
+      <meta charset="UTF-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+      <title>Authentication Success</title>
+      <style>
+        body {
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          height: 100vh;
+          margin: 0;
+          font-family: Arial, sans-serif;
+          background-color: #f0f0f0;
+        }
+        .card {
+          background-color: #ffffff; /* Changed to white background */
+          color: #333; /* Changed text color for contrast */
+          padding: 20px;
+          border-radius: 10px;
+          box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+          text-align: center;
+          max-width: 45%;
+        }
+        .card img {
+          width: 150px;
+          height: 150px;
+          vertical-align: middle;
+          margin-right: 10px;
+        }
+  
+        .continue-button {
+          background-color: #4CAF50;
+          color: white;
+          border: none;
+          padding: 10px 30px;
+          text-align: center;
+          text-decoration: none;
+          display: inline-block;
+          font-size: 16px;
+          font-weight: bold;
+          border-radius: 8px;
+          cursor: pointer;
+          transition: background-color 0.3s ease, transform 0.2s ease;
+          margin-top: 15px;
+      }
+  
+      .continue-button:hover {
+          background-color: #45a049;
+          transform: scale(1.05);
+      }
+  
+      .continue-button:active {
+          background-color: #3e8e41;
+          transform: scale(0.98);
+      }
+      </style>
+    </head>
+    <body>
+      <div class="card">
+        <div>
+          <img src="https://rxmjzmgvxbotzfqhidzd.supabase.co/storage/v1/object/public/images//thumbsup.png" alt="Thumbs Up" />
+        </div>
+  
+        <div>
+          <h2>✅ Authentication Successful! 🎉<br /></h2>
+  
+          <h3 style="font-size: 25px;">
+              You can now schedule any meetings on WhatsApp 📅📱
+          </h3>
+        </div>
+  
+        <div>
+          <a href="https://wa.me/15557083934" target="_blank">
+              <button class="continue-button">👉 Continue</button>
+          </a>
+      </div>
+      </div>
+    </body>
+  </html>`
+      );
+    } catch (err) {
+      console.error("OAuth error:", err.response?.data || err.message);
+      res.send(`❌ Failed to authenticate with ${provider.label}.`);
+    }
+  });
+  
+  app.post("/update-reminder", requireApiAuth, async (req, res) => {
+    let task;
+    try {
+      task = await getTask(req.body.taskId);
+    } catch (error) {
+      console.error("Error fetching task for reminder:", error);
+      return res.status(500).json({ message: "Error fetching task" });
+    }
+
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    if (task.employerNumber !== req.employerNumber) {
+      return res.status(403).json({ message: "Task belongs to another employer" });
+    }
+
+    const result = await scheduleReminder({
+      ...req.body,
+      timezone: req.body.timezone || task.timezone,
+    });
+    return res.status(result.ok ? 200 : 400).json({ message: result.message });
+  });
+
+}
+
+makeTwilioRequest();
+
+module.exports = {
+  app,
+  startBackgroundJobs,
+};
@@ -0,0 +1,413 @@
+/**
+ * Calendar Providers
+ *
+ * Meetings can be booked through Google Calendar (Google Meet), Microsoft 365
+ * (Outlook with Teams) or Zoom. Every provider implements the same interface:
+ *
+ * - label: name shown to users
+ * - isConfigured(): whether this deployment has app credentials for it
+ * - getAuthUrl(userNumber): sign-in link; the callback is /auth/<name>/callback
+ * - exchangeCode(code): refresh token for the code from the sign-in page
+ * - getAccountEmail(account): email of the linked account; also shows whether
+ *   the token still works
+ * - revokeToken(account): optional, removes the app's access on disconnect
+ * - createMeeting(account, meeting): books the meeting and returns
+ *   { id, joinUrl, webLink }
+ * - queryBusy(account, ids, from, to, timezone): optional free/busy lookup,
+ *   see freeBusy.js
+ *
+ * `meeting` holds title, start and end (moments in the organizer's zone),
+ * timezone, durationMinutes, attendees (emails) and recurrence (an RRULE).
+ *
+ * Refresh tokens are kept per provider in `user_tokens`. The provider a user
+ * signed in with last is their meeting provider (`user_settings.meeting_provider`);
+ * "use zoom for meetings" switches between linked providers, and "google
+ * status", "relink google" and "disconnect google" manage a linked account.
+ *
+ * A token the user revoked, or that expired, fails with invalid_grant; callers
+ * check with isRevokedTokenError and reply with forgetRevokedToken's fresh link.
+ *
+ * Managing booked meetings, meeting follow-ups, contact import and task
+ * deadlines on the calendar work with Google only; describeGoogleOnly is the
+ * reply when the user hasn't linked it.
+ */
+
+const moment = require("moment-timezone");
+
+const {
+  getGoogleAuthUrl,
+  exchangeGoogleCode,
+  getGoogleAccountEmail,
+  revokeGoogleToken,
+  createGoogleMeeting,
+  queryGoogleBusy,
+} = require("./googleCalendar");
+const {
+  isMicrosoftConfigured,
+  getMicrosoftAuthUrl,
+  exchangeMicrosoftCode,
+  getMicrosoftAccountEmail,
+  createMicrosoftMeeting,
+  queryMicrosoftBusy,
+} = require("./microsoftCalendar");
+const {
+  isZoomConfigured,
+  getZoomAuthUrl,
+  exchangeZoomCode,
+  getZoomAccountEmail,
+  revokeZoomToken,
+  createZoomMeeting,
+} = require("./zoomMeetings");
+const {
+  getProviderToken,
+  getProviderAccount,
+  getLinkedProviders,
+  saveProviderToken,
+  deleteProviderToken,
+} = require("./userTokens");
+const { getUserSettings, updateUserSettings } = require("./userSettings");
+
+const PROVIDERS = {
+  google: {
+    label: "Google Calendar (Google Meet)",
+    isConfigured: () => Boolean(process.env.CLIENT_ID && process.env.CLIENT_SECRET),
+    getAuthUrl: getGoogleAuthUrl,
+    exchangeCode: exchangeGoogleCode,
+    getAccountEmail: getGoogleAccountEmail,
+    revokeToken: revokeGoogleToken,
+    createMeeting: createGoogleMeeting,
+    queryBusy: queryGoogleBusy,
+  },
+  microsoft: {
+    label: "Outlook (Microsoft Teams)",
+    isConfigured: isMicrosoftConfigured,
+    getAuthUrl: getMicrosoftAuthUrl,
+    exchangeCode: exchangeMicrosoftCode,
+    getAccountEmail: getMicrosoftAccountEmail,
+    // Microsoft has no endpoint to revoke a single refresh token
+    createMeeting: createMicrosoftMeeting,
+    queryBusy: queryMicrosoftBusy,
+  },
+  zoom: {
+    label: "Zoom",
+    isConfigured: isZoomConfigured,
+    getAuthUrl: getZoomAuthUrl,
+    exchangeCode: exchangeZoomCode,
+    getAccountEmail: getZoomAccountEmail,
+    revokeToken: revokeZoomToken,
+    createMeeting: createZoomMeeting,
+  },
+};
+
+// Names users may call each provider by
+const PROVIDER_ALIASES = {
+  google: "google",
+  "google calendar": "google",
+  "google meet": "google",
+  meet: "google",
+  gmail: "google",
+  microsoft: "microsoft",
+  "microsoft 365": "microsoft",
+  outlook: "microsoft",
+  "outlook calendar": "microsoft",
+  teams: "microsoft",
+  "microsoft teams": "microsoft",
+  zoom: "zoom",
+};
+
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
+
+/**
+ * Get a provider by name
+ * @param {string} name - "google", "microsoft" or "zoom"
+ * @returns {Object|null} Provider or null if unknown
+ */
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+/**
+ * Get the account a user books meetings with: their chosen provider, or else
+ * the first one they linked
+ * @param {string} userNumber - User's WhatsApp number
+ * @returns {Promise<Object|null>} Account with name, provider, phoneNumber and
+ *   refreshToken, or null if no provider is linked
+ */
+async function getMeetingAccount(userNumber) {
+  const { meeting_provider: chosen } = await getUserSettings(userNumber);
+  const linked = await getLinkedProviders(userNumber);
+
+  const name = linked.includes(chosen)
+    ? chosen
+    : Object.keys(PROVIDERS).find((provider) => linked.includes(provider));
+  if (!name) return null;
+
+  return {
+    name,
+    provider: PROVIDERS[name],
+    phoneNumber: userNumber,
+    refreshToken: await getProviderToken(userNumber, name),
+  };
+}
+
+/**
+ * Save the token from a provider's sign-in page and make it the user's
+ * meeting provider
+ * @param {string} name - Provider name
+ * @param {string} code - Authorization code
+ * @param {string} userNumber - User's WhatsApp number
+ * @returns {Promise<{ok: boolean, message: string}>} Result for the callback page
+ */
+async function linkProvider(name, code, userNumber) {
+  const provider = PROVIDERS[name];
+  const refreshToken = await provider.exchangeCode(code);
+  if (!refreshToken) {
+    return { ok: false, message: `❌ ${provider.label} didn't return a refresh token. Try again.` };
+  }
+
+  // The email is only for display, so a failed lookup doesn't stop the link
+  const account = { name, provider, phoneNumber: userNumber, refreshToken };
+  let accountEmail = null;
+  try {
+    accountEmail = await provider.getAccountEmail(account);
+  } catch (error) {
+    console.error(`Error reading ${name} account email:`, error.response?.data || error);
+  }
+
+  const saved = await saveProviderToken(userNumber, name, account.refreshToken, {
+    account_email: accountEmail,
+    linked_at: new Date().toISOString(),
+  });
+  if (!saved) return { ok: false, message: "❌ Failed to save token." };
+
+  await updateUserSettings(userNumber, { meeting_provider: name });
+  return { ok: true, message: `Linked ${provider.label}` };
+}
+
+/**
+ * Check whether an error means a refresh token was revoked or has expired
+ * @param {Error} error - Error from a provider call
+ * @returns {boolean} True for OAuth invalid_grant errors
+ */
+function isRevokedTokenError(error) {
+  return (
+    error?.response?.data?.error === "invalid_grant" ||
+    /invalid_grant/.test(error?.message || "")
+  );
+}
+
+/**
+ * Forget a token that no longer works and ask the user to sign in again
+ * @param {string} userNumber - User's WhatsApp number
+ * @param {string} name - Provider name
+ * @returns {Promise<string>} Message with a fresh sign-in link
+ */
+async function forgetRevokedToken(userNumber, name) {
+  const provider = PROVIDERS[name];
+  try {
+    await deleteProviderToken(userNumber, name);
+  } catch (error) {
+    console.error(`Error deleting revoked ${name} token:`, error);
+  }
+  return `🔐 Your ${provider.label} access has expired or was revoked. Please sign in again:\n${provider.getAuthUrl(
+    userNumber
+  )}`;
+}
+
+/**
+ * List sign-in links for every configured provider
+ * @param {string} userNumber - User's WhatsApp number
+ * @returns {string} Message asking the user to pick one
+ */
+function formatLinkOptions(userNumber) {
+  const options = Object.values(PROVIDERS)
+    .filter((provider) => provider.isConfigured())
+    .map((provider) => `• *${provider.label}:* ${provider.getAuthUrl(userNumber)}`)
+    .join("\n");
+  return `📅 To schedule meetings, sign in with the calendar you use:\n${options}`;
+}
+
+/**
+ * Ask a user to link Google for a feature the other providers don't support
+ * @param {string} userNumber - User's WhatsApp number
+ * @param {string} feature - What needs Google, e.g. "Managing meetings"
+ * @returns {Promise<string>} Reply naming the providers they linked instead,
+ *   with the Google sign-in link
+ */
+async function describeGoogleOnly(userNumber, feature) {
+  const others = (await getLinkedProviders(userNumber))
+    .filter((name) => name !== "google" && PROVIDERS[name])
+    .map((name) => PROVIDERS[name].label);
+  const linkedNote =
+    others.length > 0 ? ` Your ${others.join(" and ")} account can't be used for this.` : "";
+  return `🔐 ${feature} works with Google Calendar only.${linkedNote} Sign in with Google to continue:\n${getGoogleAuthUrl(
+    userNumber
+  )}`;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Parse "use zoom for meetings", "switch meetings to outlook" or "meeting provider"
+ * @param {string} message - User's message
+ * @returns {{provider: string|null}|null} Provider to switch to (null to show
+ *   the current one), or null if not a provider command
+ */
+function parseProviderCommand(message) {
+  const text = message.trim().toLowerCase().replace(/[.!]+$/, "");
+
+  if (/^(?:my |which )?meeting provider\??$/.test(text)) return { provider: null };
+
+  const match = text.match(
+    /^(?:use|switch to) (.+?) for (?:my )?meetings$|^switch (?:my )?meetings to (.+)$|^(?:set )?meeting provider(?: to)? (.+)$/
+  );
+  if (!match) return null;
+
+  const provider = PROVIDER_ALIASES[(match[1] || match[2] || match[3]).trim()];
+  return provider ? { provider } : null;
+}
+
+/**
+ * Show or switch a user's meeting provider
+ * @param {Object} command - Result of parseProviderCommand
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function handleProviderCommand(command, From) {
+  try {
+    if (!command.provider) {
+      const account = await getMeetingAccount(From);
+      return account
+        ? `📅 Meetings are booked with *${account.provider.label}*.`
+        : formatLinkOptions(From);
+    }
+
+    const provider = PROVIDERS[command.provider];
+    if (!provider.isConfigured()) {
+      return `Sorry, ${provider.label} isn't available yet.`;
+    }
+
+    const linked = await getLinkedProviders(From);
+    if (!linked.includes(command.provider)) {
+      return `🔐 Please sign in with ${provider.label} first:\n${provider.getAuthUrl(From)}`;
+    }
+
+    await updateUserSettings(From, { meeting_provider: command.provider });
+    return `📅 New meetings will be booked with *${provider.label}*.`;
+  } catch (error) {
+    console.error("Error changing meeting provider:", error);
+    return "Sorry, there was an error changing your meeting provider.";
+  }
+}
+
+/**
+ * Parse "google status", "relink google" or "disconnect google" (any provider
+ * name works, e.g. "outlook status")
+ * @param {string} message - User's message
+ * @returns {{action: string, provider: string}|null} "status", "relink" or
+ *   "disconnect" and the provider, or null if not an account command
+ */
+function parseAccountCommand(message) {
+  const text = message.trim().toLowerCase().replace(/[.!?]+$/, "");
+
+  const patterns = [
+    ["status", /^(?:my )?(.+?) (?:account )?(?:status|connection)$|^is (?:my )?(.+?) (?:linked|connected)$/],
+    ["relink", /^(?:re-?link|re-?connect|link|connect|sign in (?:to|with)) (?:my )?(.+?)(?: account)?$/],
+    ["disconnect", /^(?:disconnect|unlink|sign out of|log out of) (?:my )?(.+?)(?: account)?$/],
+  ];
+
+  for (const [action, pattern] of patterns) {
+    const match = text.match(pattern);
+    const provider = match && PROVIDER_ALIASES[match[1] || match[2]];
+    if (provider) return { action, provider };
+  }
+  return null;
+}
+
+/**
+ * Show, re-link or disconnect a user's account with a provider
+ * @param {Object} command - Result of parseAccountCommand
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function handleAccountCommand(command, From) {
+  const name = command.provider;
+  const provider = PROVIDERS[name];
+  if (!provider.isConfigured()) {
+    return `Sorry, ${provider.label} isn't available yet.`;
+  }
+
+  if (command.action === "relink") {
+    return `🔐 Sign in with ${provider.label} to link your account again (you can pick a different one):\n${provider.getAuthUrl(
+      From
+    )}`;
+  }
+
+  try {
+    const row = await getProviderAccount(From, name);
+    if (!row) {
+      return `${provider.label} isn't linked. Sign in here:\n${provider.getAuthUrl(From)}`;
+    }
+    const account = { name, provider, phoneNumber: From, refreshToken: row.refresh_token };
+
+    if (command.action === "disconnect") {
+      if (provider.revokeToken) {
+        try {
+          await provider.revokeToken(account);
+        } catch (error) {
+          // Already revoked on the provider's side: nothing left to remove
+          console.error(`Error revoking ${name} token:`, error.response?.data || error);
+        }
+      }
+      await deleteProviderToken(From, name);
+
+      const { meeting_provider: chosen } = await getUserSettings(From);
+      if (chosen === name) await updateUserSettings(From, { meeting_provider: null });
+
+      const removeAccess = provider.revokeToken
+        ? ""
+        : "\nTo remove the bot's access completely, also remove it from your account's app permissions.";
+      return `🔌 Disconnected your ${provider.label} account${
+        row.account_email ? ` *${row.account_email}*` : ""
+      }.${removeAccess}\nSend *relink ${name}* to link it again.`;
+    }
+
+    let email;
+    try {
+      email = await provider.getAccountEmail(account);
+    } catch (error) {
+      if (isRevokedTokenError(error)) return forgetRevokedToken(From, name);
+      throw error;
+    }
+    if (email && email !== row.account_email) {
+      await saveProviderToken(From, name, account.refreshToken, { account_email: email });
+    }
+
+    const meetingAccount = await getMeetingAccount(From);
+    const since = row.linked_at ? ` since ${moment(row.linked_at).format("MMM D, YYYY")}` : "";
+    return `✅ *${provider.label}* is linked as *${email || "an unknown account"}*${since}.${
+      meetingAccount?.name === name ? "\n📅 New meetings are booked with it." : ""
+    }\nSend *relink ${name}* to switch accounts or *disconnect ${name}* to unlink it.`;
+  } catch (error) {
+    console.error(`Error managing ${name} account:`, error);
+    return `Sorry, there was an error checking your ${provider.label} account.`;
+  }
+}
+
+module.exports = {
+  getProvider,
+  getMeetingAccount,
+  linkProvider,
+  isRevokedTokenError,
+  forgetRevokedToken,
+  formatLinkOptions,
+  describeGoogleOnly,
+  parseProviderCommand,
+  handleProviderCommand,
+  parseAccountCommand,
+  handleAccountCommand,
+};
@@ -0,0 +1,465 @@
+/**
+ * Contacts
+ *
+ * A per-user directory mapping names to emails, so meetings can invite
+ * "Astik and Priya" instead of raw addresses. Names are looked up in:
+ * - the user's saved contacts (`contacts` table), added over WhatsApp or
+ *   imported from Google Contacts with the user's Google sign-in
+ * - team members on the user's roster that have an email
+ *
+ * Names match fuzzily (first names, prefixes, small typos). When a name fits
+ * several people or nobody, the caller asks the user before inviting anyone.
+ */
+
+const supabase = require("./supabaseClient");
+const { getTeamMembers, updateTeamMembers } = require("./taskStore");
+const { getPeopleClient, getGoogleAuthUrl, getRefreshToken } = require("./googleCalendar");
+const {
+  isRevokedTokenError,
+  forgetRevokedToken,
+  describeGoogleOnly,
+} = require("./calendarProviders");
+
+const EMAIL_PATTERN = /^[^\s@<>(),;:]+@[^\s@<>(),;:]+\.[a-z]{2,}$/i;
+const MAX_CANDIDATES = 5;
+const GOOGLE_PAGE_SIZE = 1000;
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Check that a string is a usable email address
+ * @param {string} text - Address to check
+ * @returns {boolean} True if valid
+ */
+function isValidEmail(text) {
+  return EMAIL_PATTERN.test(String(text || "").trim());
+}
+
+/**
+ * Lowercase a name and strip accents and extra spaces
+ * @param {string} name - Name as typed or saved
+ * @returns {string} Comparable name
+ */
+function normalizeName(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9@.\s-]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Edit distance between two strings, counting swapped letters as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Score how well a typed name fits a contact's name
+ * @param {string} query - Normalized name typed by the user
+ * @param {string} name - Normalized contact name
+ * @returns {number} 3 exact, 2 first/last name, 1 prefix or small typo, 0 no match
+ */
+function scoreName(query, name) {
+  if (query === name) return 3;
+
+  const words = name.split(" ");
+  if (words.includes(query)) return 2;
+
+  if (query.length >= 3 && (name.startsWith(query) || words.some((word) => word.startsWith(query)))) {
+    return 1;
+  }
+
+  const allowed = query.length <= 5 ? 1 : 2;
+  if ([name, ...words].some((word) => editDistance(query, word) <= allowed)) return 1;
+  return 0;
+}
+
+/**
+ * Split what the user typed into attendee entries
+ * @param {string} message - e.g. "Astik and Priya, bob@acme.com"
+ * @returns {Array<string>} Names and emails
+ */
+function splitAttendees(message) {
+  return String(message || "")
+    .replace(/^(?:please\s+)?(?:invite|add|with)\s+/i, "")
+    .split(/\s*(?:,|;|&|\/|\band\b|\bplus\b)\s*/i)
+    .flatMap((part) => (part.includes("@") ? part.split(/\s+/) : [part]))
+    .map((part) => part.trim().replace(/^<|>$/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Replace one attendee entry with an email, or drop it
+ * @param {Array<string>} attendees - Attendee entries
+ * @param {string} name - Entry to replace
+ * @param {string|null} email - Email to use, or null to drop the entry
+ * @returns {Array<string>} Updated entries
+ */
+function replaceAttendee(attendees, name, email) {
+  return attendees
+    .map((entry) => (entry === name ? email : entry))
+    .filter(Boolean);
+}
+
+/**
+ * Format a contact for WhatsApp
+ * @param {Object} contact - Directory entry
+ * @returns {string} "Name (email)"
+ */
+function formatContact(contact) {
+  return `${contact.name} (${contact.email})`;
+}
+
+// ============================================================================
+// SUPABASE DATA FUNCTIONS
+// ============================================================================
+
+/**
+ * Get a user's saved contacts
+ * @param {string} ownerNumber - User's WhatsApp number
+ * @returns {Promise<Array<Object>>} Contacts ordered by name
+ */
+async function getContacts(ownerNumber) {
+  const { data, error } = await supabase
+    .from("contacts")
+    .select("name, email, source")
+    .eq("owner_number", ownerNumber)
+    .order("name", { ascending: true });
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Save contacts, updating the name of emails already saved
+ * @param {string} ownerNumber - User's WhatsApp number
+ * @param {Array<Object>} contacts - Entries with name, email and source
+ * @returns {Promise<number>} Number of contacts saved
+ */
+async function saveContacts(ownerNumber, contacts) {
+  if (contacts.length === 0) return 0;
+
+  const { data, error } = await supabase
+    .from("contacts")
+    .upsert(
+      contacts.map((contact) => ({
+        owner_number: ownerNumber,
+        name: contact.name.trim(),
+        email: contact.email.trim().toLowerCase(),
+        source: contact.source,
+      })),
+      { onConflict: "owner_number,email" }
+    )
+    .select("email");
+  if (error) throw error;
+
+  return data.length;
+}
+
+/**
+ * Delete saved contacts by exact name
+ * @param {string} ownerNumber - User's WhatsApp number
+ * @param {string} name - Contact name
+ * @returns {Promise<number>} Number of contacts deleted
+ */
+async function deleteContacts(ownerNumber, name) {
+  const { data, error } = await supabase
+    .from("contacts")
+    .delete()
+    .eq("owner_number", ownerNumber)
+    .ilike("name", name)
+    .select("email");
+  if (error) throw error;
+
+  return data.length;
+}
+
+/**
+ * Get everyone a user can invite by name: saved contacts and team members
+ * with an email. Duplicates of the same email are listed once.
+ * @param {string} ownerNumber - User's WhatsApp number
+ * @returns {Promise<Array<Object>>} Entries with name, email and source
+ */
+async function getDirectory(ownerNumber) {
+  const [contacts, members] = await Promise.all([
+    getContacts(ownerNumber),
+    getTeamMembers(ownerNumber),
+  ]);
+
+  const directory = new Map();
+  members
+    .filter((member) => isValidEmail(member.email))
+    .forEach((member) => {
+      directory.set(member.email.toLowerCase(), {
+        name: member.name,
+        email: member.email.toLowerCase(),
+        source: "team",
+      });
+    });
+  contacts.forEach((contact) => {
+    if (!directory.has(contact.email)) directory.set(contact.email, contact);
+  });
+
+  return [...directory.values()];
+}
+
+// ============================================================================
+// NAME RESOLUTION
+// ============================================================================
+
+/**
+ * Find the directory entries that best fit a name
+ * @param {Array<Object>} directory - Result of getDirectory
+ * @param {string} name - Name typed by the user
+ * @returns {Array<Object>} Best matches, empty if none
+ */
+function findContacts(directory, name) {
+  const query = normalizeName(name);
+  if (!query) return [];
+
+  const scored = directory
+    .map((contact) => ({ contact, score: scoreName(query, normalizeName(contact.name)) }))
+    .filter((entry) => entry.score > 0);
+  const best = Math.max(0, ...scored.map((entry) => entry.score));
+
+  return scored
+    .filter((entry) => entry.score === best)
+    .map((entry) => entry.contact)
+    .slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Turn attendee names into emails
+ * @param {string} ownerNumber - Organizer's WhatsApp number
+ * @param {Array<string>} attendees - Names and emails
+ * @returns {Promise<{emails: Array<string>, ambiguous: Array<Object>, unknown: Array<string>}>}
+ *   Resolved emails, names matching several contacts ({ name, candidates }),
+ *   and names or malformed addresses that matched nobody
+ */
+async function resolveAttendees(ownerNumber, attendees) {
+  const emails = [];
+  const ambiguous = [];
+  const unknown = [];
+  const names = attendees.map((entry) => String(entry).trim()).filter(Boolean);
+
+  const needsDirectory = names.some((entry) => !isValidEmail(entry));
+  const directory = needsDirectory ? await getDirectory(ownerNumber) : [];
+
+  names.forEach((entry) => {
+    if (isValidEmail(entry)) {
+      emails.push(entry.toLowerCase());
+      return;
+    }
+    if (entry.includes("@")) {
+      unknown.push(entry);
+      return;
+    }
+
+    const matches = findContacts(directory, entry);
+    if (matches.length === 1) emails.push(matches[0].email);
+    else if (matches.length > 1) ambiguous.push({ name: entry, candidates: matches });
+    else unknown.push(entry);
+  });
+
+  return { emails: [...new Set(emails)], ambiguous, unknown };
+}
+
+/**
+ * Build the question for the first attendee that couldn't be resolved
+ * @param {Object} resolution - Result of resolveAttendees
+ * @returns {{session: Object, question: string}} Session fields and question
+ */
+function askAboutAttendee({ ambiguous, unknown }) {
+  if (ambiguous.length > 0) {
+    const { name, candidates } = ambiguous[0];
+    const options = candidates
+      .map((contact, index) => `${index + 1}. ${formatContact(contact)}`)
+      .join("\n");
+    return {
+      session: { awaitingAttendeeChoice: true, attendeeName: name, attendeeOptions: candidates },
+      question: `👥 Which "${name}" should I invite?\n${options}\n\nReply with a number, or *skip* to leave them out.`,
+    };
+  }
+
+  const name = unknown[0];
+  return {
+    session: { awaitingAttendeeEmail: true, attendeeName: name },
+    question: name.includes("@")
+      ? `⚠️ "${name}" doesn't look like a valid email address. Please reply with the correct email, or *skip* to leave it out.`
+      : `📇 I don't have an email for "${name}". Please reply with their email and I'll remember it, or *skip* to leave them out.`,
+  };
+}
+
+// ============================================================================
+// GOOGLE CONTACTS
+// ============================================================================
+
+/**
+ * Import contacts with an email from the user's Google account
+ * @param {string} ownerNumber - User's WhatsApp number
+ * @param {string} refreshToken - User's Google refresh token
+ * @returns {Promise<number>} Number of contacts imported
+ */
+async function importGoogleContacts(ownerNumber, refreshToken) {
+  const people = getPeopleClient(refreshToken);
+  const contacts = [];
+  let pageToken;
+
+  do {
+    const response = await people.people.connections.list({
+      resourceName: "people/me",
+      personFields: "names,emailAddresses",
+      pageSize: GOOGLE_PAGE_SIZE,
+      pageToken,
+    });
+
+    (response.data.connections || []).forEach((person) => {
+      const name = person.names?.[0]?.displayName;
+      (person.emailAddresses || [])
+        .filter((address) => isValidEmail(address.value))
+        .forEach((address) => {
+          contacts.push({ name: name || address.value, email: address.value, source: "google" });
+        });
+    });
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  return saveContacts(ownerNumber, contacts);
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Parse contact commands:
+ * "my contacts", "add contact Priya Shah priya@acme.com",
+ * "set Astik's email to astik@acme.com", "remove contact Priya",
+ * "import google contacts"
+ * @param {string} message - User's message
+ * @returns {{action: string, name?: string, email?: string}|null} Command or null
+ */
+function parseContactCommand(message) {
+  const text = message.trim().replace(/[.!]+$/, "");
+
+  if (/^(?:my |show |list )?(?:my )?contacts$/i.test(text)) {
+    return { action: "list" };
+  }
+  if (/^(?:import|sync)(?: my)? (?:google )?contacts(?: from google)?$/i.test(text)) {
+    return { action: "import" };
+  }
+
+  const add = text.match(/^(?:add|save|new) contact (.+?)\s+<?([^\s<>]+@[^\s<>]+)>?$/i);
+  if (add) return { action: "add", name: add[1].trim(), email: add[2] };
+
+  const setEmail = text.match(/^set (.+?)(?:'s| s) email(?: address)? (?:to|as) (\S+@\S+)$/i);
+  if (setEmail) return { action: "set_email", name: setEmail[1].trim(), email: setEmail[2] };
+
+  const remove = text.match(/^(?:remove|delete) contact (.+)$/i);
+  if (remove) return { action: "remove", name: remove[1].trim() };
+
+  return null;
+}
+
+/**
+ * Apply a contact command
+ * @param {Object} command - Result of parseContactCommand
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function handleContactCommand(command, From) {
+  try {
+    if (command.action === "list") {
+      const directory = await getDirectory(From);
+      if (directory.length === 0) {
+        return "📇 You have no contacts yet. Send *add contact Priya priya@acme.com* or *import google contacts*.";
+      }
+      const lines = directory
+        .map((contact) => `• ${formatContact(contact)}${contact.source === "team" ? " 👥" : ""}`)
+        .join("\n");
+      return `📇 *Your contacts* (${directory.length})\n\n${lines}`;
+    }
+
+    if (command.action === "import") {
+      const refreshToken = await getRefreshToken(From);
+      if (!refreshToken) {
+        return describeGoogleOnly(From, "Importing contacts");
+      }
+      const imported = await importGoogleContacts(From, refreshToken);
+      return imported > 0
+        ? `📇 Imported ${imported} contact(s) from Google.`
+        : "I didn't find any Google contacts with an email address.";
+    }
+
+    if (command.action === "remove") {
+      const removed = await deleteContacts(From, command.name);
+      return removed > 0
+        ? `🗑️ Removed ${command.name} from your contacts.`
+        : `I couldn't find a contact called "${command.name}".`;
+    }
+
+    if (!isValidEmail(command.email)) {
+      return `⚠️ "${command.email}" doesn't look like a valid email address.`;
+    }
+
+    // A team member's email goes on their roster entry so it follows renames
+    if (command.action === "set_email") {
+      const members = await getTeamMembers(From, { includeInactive: true });
+      const member = members.find(
+        (candidate) => normalizeName(candidate.name) === normalizeName(command.name)
+      );
+      if (member) {
+        await updateTeamMembers(
+          { employerNumber: From, phone: member.phone },
+          { email: command.email.toLowerCase() }
+        );
+        return `📇 Saved ${member.name}'s email as ${command.email.toLowerCase()}.`;
+      }
+    }
+
+    await saveContacts(From, [{ name: command.name, email: command.email, source: "manual" }]);
+    return `📇 Saved ${command.name} (${command.email.toLowerCase()}).`;
+  } catch (error) {
+    console.error("Error managing contacts:", error);
+    if (isRevokedTokenError(error)) return forgetRevokedToken(From, "google");
+    if (error.code === 403 || error.response?.status === 403) {
+      return `🔐 I need permission to read your Google contacts. Please sign in again:\n${getGoogleAuthUrl(From)}`;
+    }
+    return "Sorry, there was an error managing your contacts.";
+  }
+}
+
+module.exports = {
+  isValidEmail,
+  splitAttendees,
+  replaceAttendee,
+  saveContacts,
+  resolveAttendees,
+  askAboutAttendee,
+  parseContactCommand,
+  handleContactCommand,
+};
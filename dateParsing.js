@@ -0,0 +1,304 @@
+/**
+ * Date Parsing
+ *
+ * Turns the date and time phrases GPT copies out of a message ("next Friday",
+ * "5pm", "in 2 hours") into exact dates in the user's zone, using chrono-node
+ * against the real clock. GPT never does date arithmetic; the task and meeting
+ * flows both resolve their phrases here.
+ *
+ * Resolvers return { value } on success, or { question } when a phrase is
+ * missing, unclear, ambiguous ("8" without AM/PM, "3/4") or in the past, so the
+ * caller can ask the user and resolve their answer the same way.
+ */
+
+const moment = require("moment-timezone");
+
+const { DATE_TIME_FORMAT, parseInTimezone } = require("./timezones");
+
+const DATE_FORMAT = "YYYY-MM-DD";
+const TIME_FORMAT = "HH:mm";
+
+// chrono skips a bare "8" or "8:30"; "at 8" is understood
+const BARE_TIME = /^\d{1,2}(?:[:.]\d{2})?$/;
+// Times that need no AM/PM
+const NAMED_TIMES = /\b(?:noon|midday|midnight)\b/i;
+// "08:00" is written the 24-hour way
+const ZERO_PADDED_TIME = /\b0\d[:.]\d{2}\b/;
+// "3/4" could be March 4 or April 3
+const NUMERIC_DATE = /(?<![\d/.-])(\d{1,2})[/.-](\d{1,2})(?:[/.-]\d{2,4})?(?![\d/.-])/;
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Get a sample date a week from now for prompts, e.g. "Oct 26"
+ * @param {string} timezone - User's zone
+ * @returns {string} Sample date
+ */
+function getExampleDate(timezone) {
+  return moment().tz(timezone).add(1, "week").format("MMM D");
+}
+
+/**
+ * Parse the first date or time in a phrase
+ * @param {string} text - Phrase
+ * @param {string} timezone - User's zone
+ * @returns {Object|null} chrono result
+ */
+function parsePhrase(text, timezone) {
+  return parseInTimezone(text, timezone);
+}
+
+/**
+ * Check a numeric date like "3/4" that reads differently day-first and
+ * month-first
+ * @param {string} text - Date phrase
+ * @returns {string|null} Question asking which one was meant, or null
+ */
+function askAboutNumericDate(text) {
+  const match = text.match(NUMERIC_DATE);
+  if (!match) return null;
+
+  const [first, second] = [Number(match[1]), Number(match[2])];
+  if (first === second || first > 12 || second > 12) return null;
+
+  const monthFirst = moment({ month: first - 1, date: second }).format("MMM D");
+  const dayFirst = moment({ month: second - 1, date: first }).format("MMM D");
+  return `📅 By "${match[0]}" did you mean *${dayFirst}* or *${monthFirst}*? Please reply with the month name.`;
+}
+
+// ============================================================================
+// RESOLVERS
+// ============================================================================
+
+/**
+ * Resolve a date phrase like "tomorrow", "next Friday" or "28th Feb"
+ * @param {string} phrase - The user's words
+ * @param {string} timezone - User's zone
+ * @param {Object} [options]
+ * @param {string} [options.label] - What the date is for, e.g. "due date"
+ * @returns {{value: string}|{question: string}} Date as YYYY-MM-DD, or a
+ *   question to ask
+ */
+function resolveDate(phrase, timezone, { label = "date" } = {}) {
+  const text = String(phrase || "").trim();
+  const example = `Please reply with a date like *${getExampleDate(timezone)}* or *next Friday*.`;
+  if (!text) return { question: `📅 What ${label} should I use? ${example}` };
+
+  const result = parsePhrase(text, timezone);
+  const start = result?.start;
+  const hasDate =
+    start &&
+    ["day", "weekday", "month", "year"].some((component) => start.isCertain(component));
+  if (!hasDate) {
+    return { question: `⚠️ I couldn't understand "${text}" as a ${label}. ${example}` };
+  }
+
+  const ambiguity = askAboutNumericDate(result.text);
+  if (ambiguity) return { question: ambiguity };
+
+  const date = moment(start.date()).tz(timezone);
+  if (date.isBefore(moment().tz(timezone), "day")) {
+    return {
+      question: `⚠️ ${date.format("ddd, MMM D, YYYY")} is in the past. Please reply with a future ${label}.`,
+    };
+  }
+  return { value: date.format(DATE_FORMAT) };
+}
+
+/**
+ * Resolve a time phrase like "5pm", "14:30", "noon" or "in 2 hours"
+ * @param {string} phrase - The user's words
+ * @param {string} timezone - User's zone
+ * @param {Object} [options]
+ * @param {string} [options.label] - What the time is for, e.g. "due time"
+ * @returns {{value: string, date: string|null, next: string}|{question: string}}
+ *   Time as HH:mm with the date when the phrase fixes the day ("in 2 hours",
+ *   "tomorrow 5pm") and the date of its next occurrence, or a question to ask
+ */
+function resolveTime(phrase, timezone, { label = "time" } = {}) {
+  const text = String(phrase || "").trim();
+  const example = "Please reply with a time like *10:00 AM* or *3:30 PM*.";
+  if (!text) return { question: `⏰ What ${label} should I use? ${example}` };
+
+  const result = parsePhrase(BARE_TIME.test(text) ? `at ${text}` : text, timezone);
+  const start = result?.start;
+  // "evening" or "tonight" have no clock time
+  if (!start || (!start.isCertain("hour") && !NAMED_TIMES.test(result.text))) {
+    return {
+      question: start?.isCertain("day")
+        ? `⏰ What ${label} should I use for ${text}? ${example}`
+        : `⏰ I couldn't understand "${text}" as a ${label}. ${example}`,
+    };
+  }
+
+  const hour = start.get("hour");
+  if (
+    !start.isCertain("meridiem") &&
+    hour >= 1 &&
+    hour <= 12 &&
+    !ZERO_PADDED_TIME.test(result.text) &&
+    !NAMED_TIMES.test(result.text)
+  ) {
+    const clock = moment({ hour: hour % 12, minute: start.get("minute") }).format("h:mm");
+    return { question: `⏰ Did you mean *${clock} AM* or *${clock} PM*?` };
+  }
+
+  const time = moment(start.date()).tz(timezone);
+  return {
+    value: time.format(TIME_FORMAT),
+    date: start.isCertain("day") ? time.format(DATE_FORMAT) : null,
+    next: time.format(DATE_FORMAT),
+  };
+}
+
+/**
+ * Resolve a date and a time into one future moment. Without a date phrase the
+ * time's next occurrence is used ("remind me at 5pm").
+ * @param {string|null} datePhrase - Date in the user's words
+ * @param {string|null} timePhrase - Time in the user's words; null when the date
+ *   phrase holds both ("20th May at 5PM")
+ * @param {string} timezone - User's zone
+ * @param {Object} [labels]
+ * @param {string} [labels.dateLabel] - What the date is for
+ * @param {string} [labels.timeLabel] - What the time is for
+ * @returns {{value: moment.Moment}|{question: string, part: string}} The moment,
+ *   or a question and whether it is about the "date" or the "time"
+ */
+function resolveDateTime(
+  datePhrase,
+  timePhrase,
+  timezone,
+  { dateLabel = "date", timeLabel = "time" } = {}
+) {
+  const time = resolveTime(timePhrase || datePhrase, timezone, { label: timeLabel });
+  if (time.question) return { question: time.question, part: "time" };
+
+  let date = time.date;
+  if (!date && timePhrase && datePhrase) {
+    const resolved = resolveDate(datePhrase, timezone, { label: dateLabel });
+    if (resolved.question) return { question: resolved.question, part: "date" };
+    date = resolved.value;
+  } else if (!date && timePhrase) {
+    return { question: resolveDate(null, timezone, { label: dateLabel }).question, part: "date" };
+  }
+
+  const value = moment.tz(`${date || time.next} ${time.value}`, DATE_TIME_FORMAT, timezone);
+  if (value.isBefore(moment())) {
+    return {
+      question: `⚠️ ${value.format("ddd, MMM D [at] h:mm A")} has already passed. Please reply with a later ${
+        value.isSame(moment().tz(timezone), "day") ? timeLabel : dateLabel
+      }.`,
+      part: value.isSame(moment().tz(timezone), "day") ? "time" : "date",
+    };
+  }
+  return { value };
+}
+
+// ============================================================================
+// TASKS AND MEETINGS
+// ============================================================================
+
+/**
+ * Resolve the due date and reminder of a task GPT extracted
+ * @param {Object} taskData - Task with dueDate, dueTime and reminderDateTime
+ *   phrases
+ * @param {string} timezone - Assigner's zone
+ * @returns {{value: Object}|{question: string}} dueDate (YYYY-MM-DD), dueTime
+ *   (HH:mm) and reminderDateTime (YYYY-MM-DD HH:mm or null), or a question
+ */
+function resolveTaskDates(taskData, timezone) {
+  const due = resolveDateTime(taskData.dueDate, taskData.dueTime, timezone, {
+    dateLabel: "due date",
+    timeLabel: "due time",
+  });
+  if (due.question) return { question: due.question };
+
+  let reminderDateTime = null;
+  if (taskData.reminder_type === "one-time" && taskData.reminderDateTime) {
+    const reminder = resolveDateTime(taskData.reminderDateTime, null, timezone, {
+      dateLabel: "reminder date",
+      timeLabel: "reminder time",
+    });
+    if (reminder.question) return { question: reminder.question };
+    reminderDateTime = reminder.value.format(DATE_TIME_FORMAT);
+  }
+
+  return {
+    value: {
+      dueDate: due.value.format(DATE_FORMAT),
+      dueTime: due.value.format(TIME_FORMAT),
+      reminderDateTime,
+    },
+  };
+}
+
+/**
+ * Resolve the start and end date of a meeting GPT extracted
+ * @param {Object} args - Meeting with startDate, startTime and endDate phrases
+ * @param {string} timezone - Organizer's zone
+ * @returns {{value: Object}|{question: string, field: string}} startDate,
+ *   startTime (HH:mm), endDate (YYYY-MM-DD or null) and the start moment, or a
+ *   question and the field ("startDate", "startTime" or "endDate") it is about
+ */
+function resolveMeetingDates(args, timezone) {
+  if (!args.startDate && !args.startTime) {
+    return { ...resolveDate(null, timezone, { label: "meeting date" }), field: "startDate" };
+  }
+
+  // A date on its own ("tomorrow") still needs a start time
+  if (!args.startTime && !parsePhrase(args.startDate, timezone)?.start.isCertain("hour")) {
+    const date = resolveDate(args.startDate, timezone, { label: "meeting date" });
+    return {
+      question:
+        date.question ||
+        "⏰ What time should the meeting start? Please reply with a time like *10:00 AM*.",
+      field: date.question ? "startDate" : "startTime",
+    };
+  }
+
+  const start = resolveDateTime(args.startDate, args.startTime || null, timezone, {
+    dateLabel: "meeting date",
+    timeLabel: "start time",
+  });
+  if (start.question) {
+    return {
+      question: start.question,
+      field: start.part === "date" ? "startDate" : "startTime",
+    };
+  }
+
+  let endDate = null;
+  if (args.endDate) {
+    const end = resolveDate(args.endDate, timezone, { label: "end date" });
+    if (end.question) return { question: end.question, field: "endDate" };
+    if (moment.tz(end.value, DATE_FORMAT, timezone).isBefore(start.value, "day")) {
+      return {
+        question: `⚠️ The meetings can't end before the first one on ${start.value.format(
+          "ddd, MMM D"
+        )}. Please reply with a later end date.`,
+        field: "endDate",
+      };
+    }
+    endDate = end.value;
+  }
+
+  return {
+    value: {
+      startDate: start.value.format(DATE_FORMAT),
+      startTime: start.value.format(TIME_FORMAT),
+      endDate,
+      start: start.value,
+    },
+  };
+}
+
+module.exports = {
+  getExampleDate,
+  resolveDate,
+  resolveTime,
+  resolveDateTime,
+  resolveTaskDates,
+  resolveMeetingDates,
+};
@@ -0,0 +1,334 @@
+/**
+ * Digests
+ *
+ * Daily or weekly summaries for managers of the tasks they assigned: what was
+ * completed, what is pending or overdue, and what was not completed and why.
+ * Each manager picks the time in `user_settings`; "report" sends one on demand.
+ */
+
+const cron = require("node-cron");
+const moment = require("moment-timezone");
+
+const supabase = require("./supabaseClient");
+const { sendMessage } = require("./messaging");
+const { listTasks, getTeamMembers } = require("./taskStore");
+const { getUserSettings, updateUserSettings } = require("./userSettings");
+const { formatInTimezone, getUserTimezone } = require("./timezones");
+
+// Twilio rejects WhatsApp bodies over 1600 characters, so long sections are cut
+const MAX_ITEMS_PER_SECTION = 8;
+
+const digestJobs = new Map(); // Map of employerNumber to its digest cron job
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse a time of day like "6pm", "9:30 am" or "18:00"
+ * @param {string} text - Time text
+ * @returns {string|null} "HH:mm" or null if not a valid time
+ */
+function parseDigestTime(text) {
+  const parsed = moment(
+    text.trim().toLowerCase().replace(/\s+/g, ""),
+    ["h:mma", "ha", "H:mm", "H"],
+    true
+  );
+  return parsed.isValid() ? parsed.format("HH:mm") : null;
+}
+
+/**
+ * Build the cron expression of a digest schedule
+ * @param {Object} settings - user_settings row
+ * @returns {string} Cron expression
+ */
+function getDigestCron(settings) {
+  const [hour, minute] = settings.digest_time.split(":").map(Number);
+  const day =
+    settings.digest_frequency === "weekly"
+      ? moment().day(settings.digest_day || "monday").day()
+      : "*";
+  return `${minute} ${hour} * * ${day}`;
+}
+
+/**
+ * Describe a digest schedule for WhatsApp
+ * @param {Object} settings - user_settings row
+ * @returns {string} e.g. "every Monday at 9:00 AM"
+ */
+function describeSchedule(settings) {
+  const time = moment(settings.digest_time, "HH:mm").format("h:mm A");
+  if (settings.digest_frequency === "weekly") {
+    const day = moment().day(settings.digest_day || "monday").format("dddd");
+    return `every ${day} at ${time}`;
+  }
+  return `every day at ${time}`;
+}
+
+/**
+ * Format one section of the digest
+ * @param {string} title - Section heading
+ * @param {Array<Object>} tasks - Tasks in the section
+ * @param {Function} describe - Turns a task into its line
+ * @returns {string} Section text, or an empty string if there are no tasks
+ */
+function formatSection(title, tasks, describe) {
+  if (tasks.length === 0) return "";
+
+  const lines = tasks.slice(0, MAX_ITEMS_PER_SECTION).map(describe);
+  if (tasks.length > MAX_ITEMS_PER_SECTION) {
+    lines.push(`   …and ${tasks.length - MAX_ITEMS_PER_SECTION} more`);
+  }
+  return `\n\n${title} (${tasks.length})\n${lines.join("\n")}`;
+}
+
+// ============================================================================
+// DIGEST CONTENT
+// ============================================================================
+
+/**
+ * Build the digest of a manager's team
+ * @param {string} employerNumber - Manager's WhatsApp number
+ * @param {string} period - "daily" or "weekly", sets how far back completions go
+ * @returns {Promise<string>} Digest message
+ */
+async function buildDigest(employerNumber, period = "daily") {
+  const timezone = await getUserTimezone(employerNumber);
+  const now = moment().tz(timezone);
+  const since = now.clone().subtract(1, period === "weekly" ? "week" : "day");
+
+  const [members, tasks] = await Promise.all([
+    getTeamMembers(employerNumber),
+    listTasks({ employerNumber }),
+  ]);
+
+  const isOverdue = (task) =>
+    Boolean(task.due_at) && moment(task.due_at).isBefore(now);
+  const completed = tasks.filter(
+    (task) =>
+      task.task_done === "Completed" &&
+      task.completed_at &&
+      moment(task.completed_at).isAfter(since)
+  );
+  const notCompleted = tasks.filter((task) => task.task_done === "Not Completed");
+  const overdue = tasks.filter(
+    (task) => task.task_done === "Pending" && isOverdue(task)
+  );
+  const pending = tasks.filter(
+    (task) => task.task_done === "Pending" && !isOverdue(task)
+  );
+
+  const dueDate = (task) => formatInTimezone(task.due_date, task.timezone, timezone);
+  const heading = `📊 *${period === "weekly" ? "Weekly" : "Daily"} Team Digest*\n📅 ${now.format(
+    "MMMM D, YYYY"
+  )}`;
+
+  if (members.length === 0) {
+    return `${heading}\n\nYou haven't added any team members yet.`;
+  }
+
+  const byAssignee = members.map((member) => {
+    const own = tasks.filter((task) => task.phone === member.phone);
+    const count = (list) => list.filter((task) => task.phone === member.phone).length;
+    return `   • *${member.name}*: ✅ ${count(completed)} · ⏳ ${count(
+      pending
+    )} · ⏰ ${count(overdue)} · ⚠️ ${count(notCompleted)}${
+      own.length === 0 ? " (no tasks)" : ""
+    }`;
+  });
+
+  return (
+    heading +
+    formatSection(
+      `✅ *Completed in the last ${period === "weekly" ? "7 days" : "24 hours"}*`,
+      completed,
+      (task) => `   • ${task.task_details} — ${task.name}`
+    ) +
+    formatSection(
+      "⏰ *Overdue*",
+      overdue,
+      (task) => `   • ${task.task_details} — ${task.name} · was due ${dueDate(task)}`
+    ) +
+    formatSection(
+      "⚠️ *Not completed*",
+      notCompleted,
+      (task) =>
+        `   • ${task.task_details} — ${task.name}\n      📝 ${task.reason || "No reason given"}`
+    ) +
+    formatSection(
+      "⏳ *Pending*",
+      pending,
+      (task) => `   • ${task.task_details} — ${task.name} · due ${dueDate(task)}`
+    ) +
+    `\n\n👥 *By assignee*\n${byAssignee.join("\n")}`
+  );
+}
+
+/**
+ * Build and send the digest to a manager
+ * @param {string} employerNumber - Manager's WhatsApp number
+ * @param {string} period - "daily" or "weekly"
+ */
+async function sendDigest(employerNumber, period) {
+  try {
+    sendMessage(employerNumber, await buildDigest(employerNumber, period));
+  } catch (error) {
+    console.error(`Error sending digest to ${employerNumber}:`, error);
+  }
+}
+
+// ============================================================================
+// DIGEST JOBS
+// ============================================================================
+
+/**
+ * Stop the digest job of a manager
+ * @param {string} employerNumber - Manager's WhatsApp number
+ */
+function cancelDigest(employerNumber) {
+  const job = digestJobs.get(employerNumber);
+  if (!job) return;
+
+  job.stop();
+  digestJobs.delete(employerNumber);
+}
+
+/**
+ * (Re)start the digest job of a manager from their saved settings
+ * @param {string} employerNumber - Manager's WhatsApp number
+ * @param {Object} [settings] - user_settings row, fetched when omitted
+ */
+async function scheduleDigest(employerNumber, settings) {
+  cancelDigest(employerNumber);
+
+  const saved = settings || (await getUserSettings(employerNumber));
+  if (!saved.digest_frequency || !saved.digest_time) return;
+
+  const job = cron.schedule(
+    getDigestCron(saved),
+    () => sendDigest(employerNumber, saved.digest_frequency),
+    { timezone: await getUserTimezone(employerNumber) }
+  );
+  digestJobs.set(employerNumber, job);
+  console.log(`Scheduled ${saved.digest_frequency} digest for ${employerNumber}`);
+}
+
+/**
+ * Start digest jobs for every manager who has chosen a digest time
+ * @returns {Promise<number>} Number of digests scheduled
+ */
+async function restoreDigests() {
+  const { data, error } = await supabase
+    .from("user_settings")
+    .select("*")
+    .in("digest_frequency", ["daily", "weekly"]);
+  if (error) {
+    console.error("Error restoring digests:", error);
+    return 0;
+  }
+
+  for (const settings of data) {
+    await scheduleDigest(settings.phone_number, settings);
+  }
+  return data.length;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Parse digest commands:
+ * - "report", "daily report", "weekly report" send a digest now
+ * - "daily report at 6pm", "weekly digest on friday at 5 pm" schedule one
+ * - "stop digest", "digest off" turn it off
+ * @param {string} message - User's message
+ * @returns {Object|null} Command with action, period, time and day, or null
+ */
+function parseDigestCommand(message) {
+  const text = message
+    .trim()
+    .toLowerCase()
+    .replace(/[.!?]+$/, "")
+    .replace(/\s+/g, " ");
+
+  if (/^(stop|cancel|turn off) (my )?(daily |weekly )?(digest|report)s?$|^(digest|report)s? off$/.test(text)) {
+    return { action: "off" };
+  }
+
+  const now = text.match(/^(?:send (?:me )?(?:the |a |my )?)?(daily |weekly )?(?:team )?(?:report|digest)(?: now)?$/);
+  if (now) {
+    return { action: "send", period: now[1] ? now[1].trim() : "daily" };
+  }
+
+  const schedule = text.match(
+    /^(?:send (?:me )?(?:a |the |my )?|set (?:my |a )?)?(daily|weekly) (?:team )?(?:report|digest)(?: on ([a-z]+))?(?: at ([0-9: apm]+))(?: on ([a-z]+))?$/
+  );
+  if (schedule) {
+    return {
+      action: "schedule",
+      period: schedule[1],
+      day: schedule[2] || schedule[4] || null,
+      time: schedule[3].trim(),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Apply a digest command
+ * @param {Object} command - Result of parseDigestCommand
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function handleDigestCommand(command, From) {
+  try {
+    if (command.action === "send") {
+      return await buildDigest(From, command.period);
+    }
+
+    if (command.action === "off") {
+      await updateUserSettings(From, { digest_frequency: null });
+      cancelDigest(From);
+      return "📊 Scheduled digests turned off. You can still send *report* any time.";
+    }
+
+    const time = parseDigestTime(command.time);
+    if (!time) {
+      return `⚠️ I couldn't read the time "${command.time}". Try something like *daily report at 6pm*.`;
+    }
+
+    let day = null;
+    if (command.period === "weekly") {
+      const weekday = moment(command.day || "monday", "dddd", true);
+      if (!weekday.isValid()) {
+        return `⚠️ I couldn't read the day "${command.day}". Try something like *weekly report on Friday at 5pm*.`;
+      }
+      day = weekday.format("dddd").toLowerCase();
+    }
+
+    const settings = await updateUserSettings(From, {
+      digest_frequency: command.period,
+      digest_time: time,
+      digest_day: day,
+    });
+    await scheduleDigest(From, settings);
+
+    return `📊 Got it! I'll send your team digest ${describeSchedule(
+      settings
+    )} (${await getUserTimezone(From)}).`;
+  } catch (error) {
+    console.error("Error handling digest command:", error);
+    return "Sorry, there was an error preparing the digest.";
+  }
+}
+
+module.exports = {
+  buildDigest,
+  scheduleDigest,
+  restoreDigests,
+  parseDigestCommand,
+  handleDigestCommand,
+};
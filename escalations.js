@@ -0,0 +1,397 @@
+/**
+ * Escalations
+ *
+ * Escalation rules each assigner can configure over WhatsApp:
+ * - tell the assigner (and watchers) once when a task becomes overdue
+ * - remind more often as the deadline gets close
+ * - alert a second-level contact after too many "No" answers
+ *
+ * Policies are saved in `user_settings.escalation_policy` and the progress of
+ * each task (no_count, overdue_notified_at, escalated_at) on its `tasks` row.
+ */
+
+const cron = require("node-cron");
+const moment = require("moment-timezone");
+
+const { sendMessage, notifyTaskOwners } = require("./messaging");
+const { listTasks, updateTask, getTeamMembers } = require("./taskStore");
+const {
+  scheduleReminder,
+  cancelReminder,
+  parseFrequency,
+} = require("./reminderScheduler");
+const { getUserSettings, updateUserSettings } = require("./userSettings");
+const { formatInTimezone, getUserTimezone } = require("./timezones");
+const { normalizePhone } = require("./roster");
+
+// How often overdue tasks and approaching deadlines are checked
+const ESCALATION_CHECK_CRON = "*/5 * * * *";
+
+const DEFAULT_ESCALATION_POLICY = {
+  notifyOnOverdue: true,
+  // Tightest matching rule wins, and only if it is more frequent than the task's own
+  approachingDeadline: [
+    { withinHours: 24, frequency: "every 2 hours" },
+    { withinHours: 2, frequency: "every 30 mins" },
+  ],
+  deadlineReminders: true,
+  maxNoAnswers: 3,
+  escalationContact: null,
+};
+
+let checkJob = null;
+let checkRunning = false;
+
+// ============================================================================
+// POLICY FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the escalation policy of an assigner, filling in defaults
+ * @param {string} assignerNumber - Assigner's WhatsApp number
+ * @returns {Promise<Object>} Escalation policy
+ */
+async function getEscalationPolicy(assignerNumber) {
+  try {
+    const settings = await getUserSettings(assignerNumber);
+    return { ...DEFAULT_ESCALATION_POLICY, ...(settings.escalation_policy || {}) };
+  } catch (error) {
+    console.error("Error fetching escalation policy:", error);
+    return { ...DEFAULT_ESCALATION_POLICY };
+  }
+}
+
+/**
+ * Save changes to an assigner's escalation policy
+ * @param {string} assignerNumber - Assigner's WhatsApp number
+ * @param {Object} changes - Policy fields to update
+ * @returns {Promise<Object>} Updated policy
+ */
+async function updateEscalationPolicy(assignerNumber, changes) {
+  const settings = await getUserSettings(assignerNumber);
+  const policy = { ...(settings.escalation_policy || {}), ...changes };
+
+  await updateUserSettings(assignerNumber, { escalation_policy: policy });
+  return { ...DEFAULT_ESCALATION_POLICY, ...policy };
+}
+
+/**
+ * Pick the reminder frequency a task should use given its deadline
+ * @param {Object} task - Task row with a recurring reminder
+ * @param {Object} policy - Assigner's escalation policy
+ * @param {moment.Moment} now - Current time
+ * @returns {string} Reminder frequency text
+ */
+function getEscalatedFrequency(task, policy, now) {
+  const baseFrequency = task.base_reminder_frequency || task.reminder_frequency;
+  if (!policy.deadlineReminders || !task.due_at) return baseFrequency;
+
+  const hoursLeft = moment(task.due_at).diff(now, "hours", true);
+  if (hoursLeft <= 0) return baseFrequency;
+
+  const rule = [...policy.approachingDeadline]
+    .sort((a, b) => a.withinHours - b.withinHours)
+    .find((candidate) => hoursLeft <= candidate.withinHours);
+  if (!rule) return baseFrequency;
+
+  const base = parseFrequency(baseFrequency);
+  const escalated = parseFrequency(rule.frequency);
+  if (!escalated || (base && base.intervalMs <= escalated.intervalMs)) {
+    return baseFrequency;
+  }
+  return rule.frequency;
+}
+
+// ============================================================================
+// ESCALATION CHECKS
+// ============================================================================
+
+/**
+ * Tell the assigner and watchers that a task has passed its deadline
+ * @param {Object} task - Overdue task row
+ */
+async function notifyOverdue(task) {
+  const assignerNumber = task.assignerNumber || task.employerNumber;
+  const timezone = await getUserTimezone(assignerNumber);
+
+  notifyTaskOwners(
+    task,
+    task.employerNumber,
+    `⏰ *Task Overdue*\n\n📝 *Task:* ${task.task_details}\n👤 *Assigned to:* ${task.name}\n📅 *Was due:* ${formatInTimezone(
+      task.due_date,
+      task.timezone,
+      timezone
+    )}\n📊 *Status:* ${task.task_done}\n🆔 ${task.taskId}`
+  );
+
+  await updateTask(task.taskId, { overdue_notified_at: new Date().toISOString() });
+}
+
+/**
+ * Switch a recurring reminder to a new frequency, remembering the original
+ * @param {Object} task - Task row
+ * @param {string} frequency - New reminder frequency
+ */
+async function changeReminderFrequency(task, frequency) {
+  const baseFrequency = task.base_reminder_frequency || task.reminder_frequency;
+  const restoring = frequency === baseFrequency;
+
+  console.log(
+    `${restoring ? "Restoring" : "Escalating"} reminders for task ${task.taskId} to ${frequency}`
+  );
+
+  cancelReminder(task.taskId);
+  await updateTask(task.taskId, {
+    base_reminder_frequency: restoring ? null : baseFrequency,
+  });
+  await scheduleReminder({
+    taskId: task.taskId,
+    reminder_type: "recurring",
+    reminder_frequency: frequency,
+    timezone: task.timezone,
+  });
+}
+
+/**
+ * Notify assigners about newly overdue tasks and adjust reminder frequency
+ * of tasks whose deadline is getting close
+ */
+async function checkEscalations() {
+  if (checkRunning) return;
+  checkRunning = true;
+
+  const now = moment();
+  const policies = new Map();
+  const policyFor = async (task) => {
+    const assignerNumber = task.assignerNumber || task.employerNumber;
+    if (!policies.has(assignerNumber)) {
+      policies.set(assignerNumber, await getEscalationPolicy(assignerNumber));
+    }
+    return policies.get(assignerNumber);
+  };
+
+  try {
+    const overdueTasks = (await listTasks({}, { to: now.toISOString() })).filter(
+      (task) => task.task_done !== "Completed" && !task.overdue_notified_at
+    );
+    for (const task of overdueTasks) {
+      if ((await policyFor(task)).notifyOnOverdue) await notifyOverdue(task);
+    }
+
+    const recurringTasks = (
+      await listTasks({ reminder: "true", reminder_type: "recurring" })
+    ).filter((task) => task.task_done !== "Completed");
+    for (const task of recurringTasks) {
+      const frequency = getEscalatedFrequency(task, await policyFor(task), now);
+      if (frequency && frequency !== task.reminder_frequency) {
+        await changeReminderFrequency(task, frequency);
+      }
+    }
+  } catch (error) {
+    console.error("Error checking escalations:", error);
+  } finally {
+    checkRunning = false;
+  }
+}
+
+/**
+ * Start the periodic escalation check
+ */
+function startEscalationChecks() {
+  if (checkJob) return;
+  checkJob = cron.schedule(ESCALATION_CHECK_CRON, checkEscalations);
+  checkEscalations();
+}
+
+/**
+ * Count a "No" answer for a task and alert the escalation contact once the
+ * assigner's limit is reached
+ * @param {Object} task - Task row, already updated with the latest reason
+ * @returns {Promise<number>} Number of "No" answers so far
+ */
+async function recordNoAnswer(task) {
+  const noCount = (task.no_count || 0) + 1;
+  const assignerNumber = task.assignerNumber || task.employerNumber;
+  const policy = await getEscalationPolicy(assignerNumber);
+
+  try {
+    await updateTask(task.taskId, { no_count: noCount });
+
+    if (
+      noCount < policy.maxNoAnswers ||
+      task.escalated_at ||
+      !policy.escalationContact
+    ) {
+      return noCount;
+    }
+
+    sendMessage(
+      policy.escalationContact,
+      `🚨 *Task Escalated*\n\n*${task.name}* has said the task below is not done ${noCount} times.\n\n📝 *Task:* ${task.task_details}\n📅 *Due:* ${formatInTimezone(
+        task.due_date,
+        task.timezone
+      )}\n💬 *Latest reason:* ${task.reason || "None given"}\n👔 *Assigned by:* ${assignerNumber.replace(
+        "whatsapp:",
+        ""
+      )}\n🆔 ${task.taskId}`
+    );
+    sendMessage(
+      assignerNumber,
+      `🚨 The task *${task.task_details}* has been escalated to ${policy.escalationContact.replace(
+        "whatsapp:",
+        ""
+      )} after ${noCount} "No" answers.`
+    );
+    await updateTask(task.taskId, { escalated_at: new Date().toISOString() });
+  } catch (error) {
+    console.error(`Error recording "No" answer for task ${task.taskId}:`, error);
+  }
+
+  return noCount;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Parse escalation settings commands like "escalate to +14155550123",
+ * "escalate after 2 no answers", "overdue alerts off" or "escalation settings"
+ * @param {string} message - User's message
+ * @returns {{action: string, value: *}|null} Command or null
+ */
+function parseEscalationCommand(message) {
+  const text = message.trim().replace(/[.!]+$/, "");
+
+  if (/^(show )?(my )?escalation (settings|policy|rules)$/i.test(text)) {
+    return { action: "show", value: null };
+  }
+
+  const removeContact = text.match(
+    /^(remove|clear|delete) (?:the |my )?escalation contact$/i
+  );
+  if (removeContact) return { action: "contact", value: null };
+
+  const contact = text.match(
+    /^(?:set (?:the |my )?escalation contact(?: to| as)?|escalate to) (.+)$/i
+  );
+  if (contact) return { action: "contact", value: contact[1].trim() };
+
+  const limit = text.match(
+    /^escalate after (\d+)(?: "?no"?)?(?: answers?| replies| responses| times)?$/i
+  );
+  if (limit) return { action: "limit", value: parseInt(limit[1], 10) };
+
+  const toggle = text.match(
+    /^(?:turn )?(overdue alerts?|deadline reminders?)(?: to)? (on|off)$|^turn (on|off) (overdue alerts?|deadline reminders?)$/i
+  );
+  if (toggle) {
+    const setting = (toggle[1] || toggle[4]).toLowerCase();
+    const enabled = (toggle[2] || toggle[3]).toLowerCase() === "on";
+    return {
+      action: setting.startsWith("overdue") ? "overdue" : "deadline",
+      value: enabled,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Describe an escalation policy for WhatsApp
+ * @param {Object} policy - Escalation policy
+ * @returns {string} Formatted settings
+ */
+function formatEscalationPolicy(policy) {
+  const deadlineRules = policy.approachingDeadline
+    .map((rule) => `   • Within ${rule.withinHours}h: ${rule.frequency}`)
+    .join("\n");
+
+  return `🚨 *Escalation Settings*\n\n⏰ *Overdue alerts:* ${
+    policy.notifyOnOverdue ? "On" : "Off"
+  }\n🔁 *Deadline reminders:* ${policy.deadlineReminders ? "On" : "Off"}\n${deadlineRules}\n❌ *Escalate after:* ${
+    policy.maxNoAnswers
+  } "No" answers\n👔 *Escalation contact:* ${
+    policy.escalationContact ? policy.escalationContact.replace("whatsapp:", "") : "Not set"
+  }`;
+}
+
+/**
+ * Resolve an escalation contact given as a phone number or team member name
+ * @param {string} value - Phone number or name
+ * @param {string} From - Assigner's WhatsApp number
+ * @returns {Promise<string|null>} WhatsApp number or null if not found
+ */
+async function resolveEscalationContact(value, From) {
+  const phone = normalizePhone(value);
+  if (phone) return `whatsapp:+${phone}`;
+
+  const members = await getTeamMembers(From);
+  const matches = members.filter((member) =>
+    member.name.toLowerCase().includes(value.toLowerCase())
+  );
+  return matches.length === 1 ? `whatsapp:+${matches[0].phone}` : null;
+}
+
+/**
+ * Apply an escalation settings command
+ * @param {Object} command - Result of parseEscalationCommand
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function handleEscalationCommand(command, From) {
+  try {
+    if (command.action === "show") {
+      return formatEscalationPolicy(await getEscalationPolicy(From));
+    }
+
+    if (command.action === "contact") {
+      if (!command.value) {
+        await updateEscalationPolicy(From, { escalationContact: null });
+        return "🚨 Escalation contact removed. Repeated \"No\" answers will only be sent to you.";
+      }
+
+      const contact = await resolveEscalationContact(command.value, From);
+      if (!contact) {
+        return `⚠️ I couldn't find "${command.value}". Send a full phone number with country code, e.g. *escalate to +14155550123*, or a team member's name.`;
+      }
+      await updateEscalationPolicy(From, { escalationContact: contact });
+      return `🚨 Escalation contact set to *${contact.replace("whatsapp:", "")}*.`;
+    }
+
+    if (command.action === "limit") {
+      if (command.value < 1) {
+        return "⚠️ Please choose at least 1 \"No\" answer before escalating.";
+      }
+      const policy = await updateEscalationPolicy(From, { maxNoAnswers: command.value });
+      return `🚨 Tasks will be escalated after *${command.value}* "No" answers.${
+        policy.escalationContact
+          ? ""
+          : "\n\nSet who to alert with *escalate to +<number>*."
+      }`;
+    }
+
+    if (command.action === "overdue") {
+      await updateEscalationPolicy(From, { notifyOnOverdue: command.value });
+      return `⏰ Overdue alerts turned *${command.value ? "on" : "off"}*.`;
+    }
+
+    await updateEscalationPolicy(From, { deadlineReminders: command.value });
+    return `🔁 More frequent reminders near the deadline turned *${
+      command.value ? "on" : "off"
+    }*.`;
+  } catch (error) {
+    console.error("Error saving escalation settings:", error);
+    return "Sorry, there was an error saving the escalation settings.";
+  }
+}
+
+module.exports = {
+  DEFAULT_ESCALATION_POLICY,
+  getEscalationPolicy,
+  checkEscalations,
+  startEscalationChecks,
+  recordNoAnswer,
+  parseEscalationCommand,
+  handleEscalationCommand,
+};
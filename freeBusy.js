@@ -0,0 +1,160 @@
+/**
+ * Free/Busy
+ *
+ * Checks free/busy for the organizer and attendees before a meeting is
+ * created, and suggests the next open slots when someone is busy. The lookup
+ * itself is done by the user's meeting provider (see calendarProviders.js).
+ * Attendees whose calendars we can't see are reported but not checked.
+ */
+
+const moment = require("moment-timezone");
+
+// Slots are only suggested on weekdays inside working hours
+const WORK_START_HOUR = 9;
+const WORK_END_HOUR = 18;
+const SLOT_STEP_MINUTES = 30;
+const SEARCH_DAYS = 7;
+const SUGGESTED_SLOTS = 3;
+
+/**
+ * Query free/busy for the organizer and attendees
+ * @param {Function} queryBusy - Provider lookup, (ids, from, to) => { busy, unchecked }
+ * @param {Array<string>} attendees - Attendee emails
+ * @param {moment.Moment} from - Window start
+ * @param {moment.Moment} to - Window end
+ * @param {string} timezone - Organizer's zone
+ * @returns {Promise<{busy: Array<Object>, unchecked: Array<string>}>} Busy periods
+ *   as { who, start, end } and the attendees whose calendars couldn't be read
+ */
+async function getBusyTimes(queryBusy, attendees, from, to, timezone) {
+  const ids = ["primary", ...attendees.filter(Boolean)];
+  const { busy, unchecked } = await queryBusy(ids, from, to);
+
+  return {
+    busy: busy.map((period) => ({
+      who: period.who,
+      start: moment(period.start).tz(timezone),
+      end: moment(period.end).tz(timezone),
+    })),
+    unchecked,
+  };
+}
+
+/**
+ * Get the busy periods that overlap a time range
+ * @param {Array<Object>} busy - Busy periods from getBusyTimes
+ * @param {moment.Moment} start - Range start
+ * @param {moment.Moment} end - Range end
+ * @returns {Array<Object>} Overlapping busy periods
+ */
+function getClashes(busy, start, end) {
+  return busy.filter(
+    (period) => period.start.isBefore(end) && period.end.isAfter(start)
+  );
+}
+
+/**
+ * Find the next open slots after a requested time
+ * @param {Array<Object>} busy - Busy periods from getBusyTimes
+ * @param {moment.Moment} after - Requested start, slots begin from here
+ * @param {number} durationMinutes - Meeting length
+ * @param {string} timezone - Organizer's zone
+ * @returns {Array<moment.Moment>} Start times of free slots
+ */
+function suggestSlots(busy, after, durationMinutes, timezone) {
+  const now = moment().tz(timezone);
+  let cursor = moment.max(after.clone(), now).tz(timezone);
+
+  // Start on a round step, e.g. 3:10 PM → 3:30 PM
+  const remainder = cursor.minute() % SLOT_STEP_MINUTES;
+  if (remainder || cursor.second()) {
+    cursor.add(SLOT_STEP_MINUTES - remainder, "minutes").startOf("minute");
+  }
+
+  const limit = cursor.clone().add(SEARCH_DAYS, "days");
+  const slots = [];
+
+  while (slots.length < SUGGESTED_SLOTS && cursor.isBefore(limit)) {
+    const end = cursor.clone().add(durationMinutes, "minutes");
+    const dayEnd = cursor.clone().hour(WORK_END_HOUR).startOf("hour");
+    const weekend = cursor.isoWeekday() > 5;
+
+    if (weekend || cursor.hour() >= WORK_END_HOUR || end.isAfter(dayEnd)) {
+      cursor = cursor.clone().add(1, "day").hour(WORK_START_HOUR).startOf("hour");
+      continue;
+    }
+    if (cursor.hour() < WORK_START_HOUR) {
+      cursor = cursor.clone().hour(WORK_START_HOUR).startOf("hour");
+      continue;
+    }
+
+    if (getClashes(busy, cursor, end).length === 0) slots.push(cursor.clone());
+    cursor = cursor.clone().add(SLOT_STEP_MINUTES, "minutes");
+  }
+
+  return slots;
+}
+
+/**
+ * Check a meeting time against everyone's calendars
+ * @param {Function} queryBusy - Provider lookup, (ids, from, to) => { busy, unchecked }
+ * @param {Object} meeting - Requested meeting
+ * @param {moment.Moment} meeting.start - Start time
+ * @param {number} meeting.durationMinutes - Meeting length
+ * @param {Array<string>} meeting.attendees - Attendee emails
+ * @param {string} timezone - Organizer's zone
+ * @returns {Promise<{clashes: Array<Object>, slots: Array<moment.Moment>, unchecked: Array<string>}>}
+ */
+async function checkAvailability(queryBusy, { start, durationMinutes, attendees }, timezone) {
+  const end = start.clone().add(durationMinutes, "minutes");
+  const { busy, unchecked } = await getBusyTimes(
+    queryBusy,
+    attendees,
+    start.clone().startOf("day"),
+    start.clone().add(SEARCH_DAYS + 1, "days"),
+    timezone
+  );
+
+  const clashes = getClashes(busy, start, end);
+  const slots =
+    clashes.length > 0 ? suggestSlots(busy, start, durationMinutes, timezone) : [];
+
+  return { clashes, slots, unchecked };
+}
+
+/**
+ * Describe a conflict and the suggested slots for WhatsApp
+ * @param {string} title - Meeting title
+ * @param {moment.Moment} start - Requested start
+ * @param {Object} availability - Result of checkAvailability
+ * @param {number} durationMinutes - Meeting length
+ * @returns {string} Reply message
+ */
+function formatConflict(title, start, { clashes, slots }, durationMinutes) {
+  const clashLines = clashes
+    .map(
+      (clash) =>
+        `• ${clash.who === "primary" ? "You" : clash.who}: ${clash.start.format(
+          "h:mm A"
+        )} – ${clash.end.format("h:mm A")}`
+    )
+    .join("\n");
+
+  const heading = `⚠️ *Scheduling conflict*\n\n*${title}* on ${start.format(
+    "ddd MMM D [at] h:mm A z"
+  )} clashes with:\n${clashLines}`;
+
+  if (slots.length === 0) {
+    return `${heading}\n\nI couldn't find a free ${durationMinutes}-minute slot in the next ${SEARCH_DAYS} days. Please suggest another time.`;
+  }
+
+  const slotLines = slots
+    .map((slot, index) => `${index + 1}. ${slot.format("ddd MMM D, h:mm A")}`)
+    .join("\n");
+  return `${heading}\n\n🕒 Next open ${durationMinutes}-minute slots:\n${slotLines}\n\nReply with a number to book one, or *cancel*.`;
+}
+
+module.exports = {
+  checkAvailability,
+  formatConflict,
+};
@@ -0,0 +1,218 @@
+/**
+ * Google Calendar
+ *
+ * OAuth and Calendar API clients for users who signed in with Google, and the
+ * Google side of the meeting provider interface (see calendarProviders.js):
+ * meetings get a Google Meet link and invites are sent by Google. Each user's
+ * refresh token is kept in `user_tokens` under the "google" provider.
+ *
+ * Clients come from the googleapis package unless setGoogleApis() swapped it,
+ * e.g. for a local fake in tests.
+ */
+
+const { google } = require("googleapis");
+
+const { getProviderToken } = require("./userTokens");
+require("dotenv").config();
+
+// Contacts are read so meetings can invite people by name (see contacts.js)
+const GOOGLE_SCOPES = [
+  "https://www.googleapis.com/auth/calendar",
+  "https://www.googleapis.com/auth/contacts.readonly",
+];
+
+let googleApis = google;
+
+/**
+ * Use another googleapis implementation from now on
+ * @param {Object} replacement - Object with googleapis' auth.OAuth2,
+ *   calendar() and people()
+ */
+function setGoogleApis(replacement) {
+  googleApis = replacement;
+}
+
+/**
+ * Create an OAuth client for the app
+ * @returns {OAuth2Client} OAuth client without user credentials
+ */
+function createOAuthClient() {
+  return new googleApis.auth.OAuth2(
+    process.env.CLIENT_ID,
+    process.env.CLIENT_SECRET,
+    process.env.REDIRECT_URI
+  );
+}
+
+/**
+ * Get OAuth client for a specific user
+ * @param {string} refreshToken - User's refresh token
+ * @returns {OAuth2Client} Configured OAuth client
+ */
+function getOAuthClient(refreshToken) {
+  const oAuth2Client = createOAuthClient();
+  oAuth2Client.setCredentials({ refresh_token: refreshToken });
+  return oAuth2Client;
+}
+
+/**
+ * Get a Calendar API client acting as a user
+ * @param {string} refreshToken - User's refresh token
+ * @returns {Object} Google Calendar v3 client
+ */
+function getCalendarClient(refreshToken) {
+  return googleApis.calendar({ version: "v3", auth: getOAuthClient(refreshToken) });
+}
+
+/**
+ * Get a People API client acting as a user
+ * @param {string} refreshToken - User's refresh token
+ * @returns {Object} Google People v1 client
+ */
+function getPeopleClient(refreshToken) {
+  return googleApis.people({ version: "v1", auth: getOAuthClient(refreshToken) });
+}
+
+/**
+ * Get refresh token for a user
+ * @param {string} userNumber - User's WhatsApp number
+ * @returns {Promise<string|null>} Refresh token or null
+ */
+async function getRefreshToken(userNumber) {
+  return getProviderToken(userNumber, "google");
+}
+
+/**
+ * Build the Google sign-in link for a WhatsApp user
+ * @param {string} userNumber - User's WhatsApp number
+ * @returns {string} Consent screen URL
+ */
+function getGoogleAuthUrl(userNumber) {
+  return createOAuthClient().generateAuthUrl({
+    access_type: "offline",
+    prompt: "consent",
+    scope: GOOGLE_SCOPES,
+    state: `whatsapp:${userNumber}`,
+  });
+}
+
+/**
+ * Exchange the code from the consent screen for a refresh token
+ * @param {string} code - Authorization code
+ * @returns {Promise<string|null>} Refresh token, or null if Google didn't send one
+ */
+async function exchangeGoogleCode(code) {
+  const { tokens } = await createOAuthClient().getToken(code);
+  return tokens.refresh_token || null;
+}
+
+/**
+ * Get the email of a linked Google account. The primary calendar's ID is the
+ * account's address, so no extra scope is needed. Fails with invalid_grant if
+ * the token was revoked.
+ * @param {Object} account - Linked account with refreshToken
+ * @returns {Promise<string|null>} Account email
+ */
+async function getGoogleAccountEmail(account) {
+  const response = await getCalendarClient(account.refreshToken).calendars.get({
+    calendarId: "primary",
+  });
+  return response.data.id || null;
+}
+
+/**
+ * Revoke a linked Google account's token, removing the app's access
+ * @param {Object} account - Linked account with refreshToken
+ */
+async function revokeGoogleToken(account) {
+  await createOAuthClient().revokeToken(account.refreshToken);
+}
+
+/**
+ * Create a Google Calendar event with a Meet link and invite the attendees
+ * @param {Object} account - Linked account with refreshToken
+ * @param {Object} meeting - title, start, end, timezone, attendees and recurrence
+ * @returns {Promise<{id: string, joinUrl: string|null, webLink: string}>} Created meeting
+ */
+async function createGoogleMeeting(account, meeting) {
+  const response = await getCalendarClient(account.refreshToken).events.insert({
+    calendarId: "primary",
+    resource: {
+      summary: meeting.title,
+      start: {
+        dateTime: meeting.start.format("YYYY-MM-DDTHH:mm:ss"),
+        timeZone: meeting.timezone,
+      },
+      end: {
+        dateTime: meeting.end.format("YYYY-MM-DDTHH:mm:ss"),
+        timeZone: meeting.timezone,
+      },
+      attendees: meeting.attendees.map((email) => ({ email })),
+      conferenceData: {
+        createRequest: {
+          requestId: Math.random().toString(36).substring(2),
+          conferenceSolutionKey: { type: "hangoutsMeet" },
+        },
+      },
+      recurrence: meeting.recurrence ? [meeting.recurrence] : undefined,
+    },
+    conferenceDataVersion: 1,
+    sendUpdates: "all",
+  });
+
+  return {
+    id: response.data.id,
+    joinUrl: response.data.hangoutLink || null,
+    webLink: response.data.htmlLink,
+  };
+}
+
+/**
+ * Query Google free/busy for the organizer ("primary") and attendees
+ * @param {Object} account - Linked account with refreshToken
+ * @param {Array<string>} ids - "primary" and attendee emails
+ * @param {moment.Moment} from - Window start
+ * @param {moment.Moment} to - Window end
+ * @param {string} timezone - Organizer's zone
+ * @returns {Promise<{busy: Array<Object>, unchecked: Array<string>}>} Busy periods
+ *   as { who, start, end } ISO strings, and the calendars that couldn't be read
+ */
+async function queryGoogleBusy(account, ids, from, to, timezone) {
+  const response = await getCalendarClient(account.refreshToken).freebusy.query({
+    requestBody: {
+      timeMin: from.toISOString(),
+      timeMax: to.toISOString(),
+      timeZone: timezone,
+      items: ids.map((id) => ({ id })),
+    },
+  });
+
+  const busy = [];
+  const unchecked = [];
+  Object.entries(response.data.calendars || {}).forEach(([id, result]) => {
+    if (result.errors && result.errors.length > 0) {
+      unchecked.push(id);
+      return;
+    }
+    (result.busy || []).forEach((period) => {
+      busy.push({ who: id, start: period.start, end: period.end });
+    });
+  });
+
+  return { busy, unchecked };
+}
+
+module.exports = {
+  setGoogleApis,
+  createOAuthClient,
+  getOAuthClient,
+  getCalendarClient,
+  getPeopleClient,
+  getRefreshToken,
+  getGoogleAuthUrl,
+  exchangeGoogleCode,
+  getGoogleAccountEmail,
+  revokeGoogleToken,
+  createGoogleMeeting,
+  queryGoogleBusy,
+};
@@ -0,0 +1,303 @@
+/**
+ * Intent Router
+ *
+ * Labels each free-form WhatsApp message with what the user wants, so the
+ * webhook can hand it to the module for that intent:
+ * - create task       → taskAssignment.js
+ * - reminder reply    → reminderReplies.js
+ * - query tasks       → taskQueries.js and taskEdits.js
+ * - schedule meeting  → meetingScheduling.js
+ * - manage meeting    → meetings.js
+ * - help / out of scope, answered here
+ *
+ * Answers the bot is strictly waiting for (reminder Yes/No, the reason for a
+ * No, picking an assignee) stay with their flow, and a numbered "Yes 2" answers
+ * a reminder that came in the middle of another flow. Otherwise the known phrasings
+ * of task lists, task edits and meeting commands are matched first, and
+ * anything else is classified by GPT, which is told about the flow in progress
+ * so it can tell an answer from a new request. When the intent moves away from
+ * a flow, that flow's session is ended, and "cancel" or "start over" ends
+ * them all.
+ */
+
+const openai = require("./openaiClient");
+const { isOpenAIBudgetExhausted } = require("./webhookSecurity");
+const { parseTaskQuery } = require("./taskQueries");
+const { parseTaskEdit } = require("./taskEdits");
+const { parseMeetingCommand } = require("./meetings");
+const { parseReminderReply } = require("./reminderReplies");
+const { userSessions, meetingSessions } = require("./sessions");
+
+const INTENTS = {
+  CREATE_TASK: "create_task",
+  REMINDER_REPLY: "reminder_reply",
+  QUERY_TASKS: "query_tasks",
+  SCHEDULE_MEETING: "schedule_meeting",
+  MANAGE_MEETING: "manage_meeting",
+  HELP: "help",
+  OUT_OF_SCOPE: "out_of_scope",
+};
+
+// Session steps whose answer is awaited before anything else
+const AWAITED_STEPS = [5, 6, 7];
+
+const HELP_PATTERN = /^(?:help|menu|commands|what can you do|how does this work|\?)[?!.]*$/i;
+
+// "stop" is left out, Twilio treats it as unsubscribing
+const CANCEL_PATTERN = /^(?:cancel|start over|reset|never ?mind|forget it)[.!]*$/i;
+
+const HELP_MESSAGE = `👋 *Here's what I can do*
+
+📝 *Assign tasks:* "Astik should send the report by Friday 5pm, remind him every 2 hours"
+📋 *Check tasks:* "my tasks", "overdue tasks", "tasks for Priya"
+✏️ *Change tasks:* "reschedule task 3 to Monday", "cancel task 2"
+📅 *Schedule meetings:* "schedule a team sync tomorrow at 10am with Priya for 30 mins"
+🗓️ *Manage meetings:* "my meetings tomorrow", "cancel the standup"
+⚙️ *Settings:* "my team", "set my timezone to London", "report", "meeting provider"`;
+
+const OUT_OF_SCOPE_MESSAGE =
+  "🤔 Sorry, I can only help with tasks, reminders and meetings. Reply *help* to see what I can do.";
+
+// Replies for task and meeting questions the command parsers can't read
+const TASK_QUERY_HINT =
+  '📋 I can list tasks with "my tasks", "overdue tasks" or "tasks for Astik due this week", and change one with "reschedule task 3 to Friday" or "cancel task 2".';
+const MEETING_COMMAND_HINT =
+  '🗓️ I can list meetings with "my meetings tomorrow", and change one with "reschedule the standup to 4pm" or "cancel the team sync".';
+
+const CLASSIFY_FUNCTION = {
+  name: "classify_message",
+  description: "Label what the user wants from the task and meeting assistant",
+  parameters: {
+    type: "object",
+    properties: {
+      intent: { type: "string", enum: Object.values(INTENTS) },
+    },
+    required: ["intent"],
+  },
+};
+
+// What each flow in progress is described as to GPT
+const FLOW_DESCRIPTIONS = {
+  [INTENTS.CREATE_TASK]: "giving the details of a new task",
+  [INTENTS.REMINDER_REPLY]: "answering a task reminder",
+  [INTENTS.QUERY_TASKS]: "changing one of their tasks",
+  [INTENTS.SCHEDULE_MEETING]: "giving the details of a new meeting",
+  [INTENTS.MANAGE_MEETING]: "changing one of their meetings",
+};
+
+// What is said to have been dropped when a flow is cancelled
+const CANCELLED_FLOWS = {
+  [INTENTS.CREATE_TASK]: "the task you were creating",
+  [INTENTS.REMINDER_REPLY]: "your reminder answer",
+  [INTENTS.QUERY_TASKS]: "the task change",
+  [INTENTS.SCHEDULE_MEETING]: "the meeting you were setting up",
+  [INTENTS.MANAGE_MEETING]: "the meeting change",
+};
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Get the intent a user session belongs to
+ * @param {Object} [userSession] - Entry of userSessions
+ * @returns {string|null} Intent, or null when nothing is in progress
+ */
+function getUserSessionIntent(userSession) {
+  if (!userSession) return null;
+  if ([5, 6].includes(userSession.step)) return INTENTS.REMINDER_REPLY;
+  if (userSession.step === 7) return INTENTS.CREATE_TASK;
+  if (userSession.step === 8) return INTENTS.QUERY_TASKS;
+  if (userSession.step === 9) return INTENTS.MANAGE_MEETING;
+  return userSession.conversationHistory?.length > 0 ? INTENTS.CREATE_TASK : null;
+}
+
+/**
+ * Get the intent of the flow a user is in the middle of
+ * @param {string} From - User's phone number
+ * @returns {string|null} Intent, or null when nothing is in progress
+ */
+function getActiveIntent(From) {
+  const userSession = userSessions[From];
+  if (AWAITED_STEPS.includes(userSession?.step)) return getUserSessionIntent(userSession);
+  if (meetingSessions[From]) return INTENTS.SCHEDULE_MEETING;
+  return getUserSessionIntent(userSession);
+}
+
+/**
+ * Check whether a message answers a reminder that came in while the user was
+ * in the middle of something else: a numbered "Yes 2", or the reason after a No
+ * @param {string} message - User's message
+ * @param {string} From - User's phone number
+ * @returns {boolean} True if the message goes to the reminder
+ */
+function isReminderAnswer(message, From) {
+  const userSession = userSessions[From];
+  if (!userSession?.pendingReminders?.length) return false;
+  return Boolean(userSession.reasonFor || parseReminderReply(message)?.number);
+}
+
+/**
+ * Check whether the bot asked a question that settings commands shouldn't
+ * take the answer of, like a reminder Yes/No or a meeting title ("report")
+ * @param {string} From - User's phone number
+ * @returns {boolean} True if an answer is awaited
+ */
+function isAwaitingAnswer(From) {
+  return (
+    AWAITED_STEPS.includes(userSessions[From]?.step) ||
+    Boolean(userSessions[From]?.reasonFor) ||
+    Boolean(meetingSessions[From]?.pendingArgs)
+  );
+}
+
+/**
+ * End the flows a new intent moves away from. Help and out-of-scope messages
+ * leave them open so the user can carry on.
+ * @param {string} From - User's phone number
+ * @param {string} intent - Intent of the new message
+ */
+function endOtherFlows(From, intent) {
+  if ([INTENTS.HELP, INTENTS.OUT_OF_SCOPE].includes(intent)) return;
+  // A reminder answered in the middle of another flow leaves that flow open
+  if (intent === INTENTS.REMINDER_REPLY && userSessions[From]?.pendingReminders?.length) return;
+
+  const userSessionIntent = getUserSessionIntent(userSessions[From]);
+  if (userSessions[From] && userSessionIntent !== intent) {
+    console.log(`Ending ${userSessionIntent || "idle"} session of ${From} for ${intent}`);
+    delete userSessions[From];
+  }
+  if (meetingSessions[From] && intent !== INTENTS.SCHEDULE_MEETING) {
+    console.log(`Ending meeting setup of ${From} for ${intent}`);
+    delete meetingSessions[From];
+  }
+}
+
+/**
+ * Check whether a message asks to drop whatever is in progress
+ * @param {string} message - User's message
+ * @returns {boolean} True for "cancel", "start over" and the like
+ */
+function isCancelCommand(message) {
+  return CANCEL_PATTERN.test((message || "").trim());
+}
+
+/**
+ * End every flow a user is in the middle of
+ * @param {string} From - User's phone number
+ * @returns {string} Reply naming what was dropped
+ */
+function cancelFlows(From) {
+  const activeIntent = getActiveIntent(From);
+  delete userSessions[From];
+  delete meetingSessions[From];
+
+  if (!activeIntent) return "👍 There's nothing in progress to cancel. What would you like to do?";
+  console.log(`Cancelled ${activeIntent} session of ${From}`);
+  return `👍 Okay, I've dropped ${CANCELLED_FLOWS[activeIntent]}. What would you like to do next?`;
+}
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Match the fixed phrasings of help, task lists, task edits and meeting
+ * commands
+ * @param {string} message - User's message
+ * @returns {string|null} Intent, or null if none matched
+ */
+function matchKnownPhrasing(message) {
+  if (HELP_PATTERN.test(message.trim())) return INTENTS.HELP;
+  if (parseTaskQuery(message) || parseTaskEdit(message)) return INTENTS.QUERY_TASKS;
+  if (parseMeetingCommand(message)) return INTENTS.MANAGE_MEETING;
+  return null;
+}
+
+/**
+ * Ask GPT what a message is about
+ * @param {string} message - User's message
+ * @param {string|null} activeIntent - Flow the user is in the middle of
+ * @returns {Promise<string|null>} Intent, or null if GPT gave none
+ */
+async function classifyWithGPT(message, activeIntent) {
+  const inProgress = activeIntent
+    ? `The user is in the middle of ${FLOW_DESCRIPTIONS[activeIntent]} and was asked a follow-up question. If the message could be an answer to it (a name, a date, a time, a number, yes/no), label it "${activeIntent}"; only pick another label when the message is clearly a new request.`
+    : "The user is not in the middle of anything.";
+
+  const response = await openai.chat.completions.create({
+    model: "gpt-4",
+    temperature: 0,
+    messages: [
+      {
+        role: "system",
+        content: `You label WhatsApp messages sent to a team task and meeting assistant.
+
+Labels:
+- create_task: assigning work to someone, e.g. "Astik should send the report by Friday", "schedule the report task for Astik"
+- reminder_reply: answering a reminder about one of their own tasks, e.g. "done", "not yet, waiting on the client"
+- query_tasks: asking about existing tasks or changing one, e.g. "what is Priya working on?", "push task 4 to Monday"
+- schedule_meeting: setting up a new meeting, call or sync with people at a time, e.g. "set up a call with Priya tomorrow at 3"
+- manage_meeting: listing, moving or cancelling meetings already on the calendar, e.g. "am I free on Friday?", "move the standup to 11"
+- help: asking what the assistant can do or how to use it
+- out_of_scope: anything else, e.g. small talk or questions unrelated to tasks and meetings
+
+The word "schedule" alone does not make a meeting: scheduling a task, deadline or reminder is create_task.
+
+${inProgress}`,
+      },
+      { role: "user", content: message },
+    ],
+    functions: [CLASSIFY_FUNCTION],
+    function_call: { name: CLASSIFY_FUNCTION.name },
+  });
+
+  const call = response.choices[0].message.function_call;
+  const { intent } = JSON.parse(call?.arguments || "{}");
+  return Object.values(INTENTS).includes(intent) ? intent : null;
+}
+
+/**
+ * Label a message with the user's intent
+ * @param {string} message - User's message (typo-corrected or transcribed)
+ * @param {string} From - User's phone number
+ * @returns {Promise<string>} One of INTENTS
+ */
+async function classifyIntent(message, From) {
+  if (isReminderAnswer(message, From)) return INTENTS.REMINDER_REPLY;
+
+  const activeIntent = getActiveIntent(From);
+  if (AWAITED_STEPS.includes(userSessions[From]?.step)) return activeIntent;
+
+  // A meeting being set up takes answers that could look like commands ("report")
+  if (!meetingSessions[From]) {
+    const known = matchKnownPhrasing(message);
+    if (known) return known;
+  }
+
+  // Task edit follow-ups still get through once the budget is spent
+  if (isOpenAIBudgetExhausted()) return activeIntent || INTENTS.OUT_OF_SCOPE;
+
+  try {
+    const intent = await classifyWithGPT(message, activeIntent);
+    console.log(`Intent of "${message}":`, intent);
+    if (intent) return intent;
+  } catch (error) {
+    console.error("Error classifying message:", error);
+  }
+  return activeIntent || INTENTS.CREATE_TASK;
+}
+
+module.exports = {
+  INTENTS,
+  HELP_MESSAGE,
+  OUT_OF_SCOPE_MESSAGE,
+  TASK_QUERY_HINT,
+  MEETING_COMMAND_HINT,
+  isReminderAnswer,
+  isAwaitingAnswer,
+  isCancelCommand,
+  cancelFlows,
+  classifyIntent,
+  endOtherFlows,
+};
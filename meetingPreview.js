@@ -0,0 +1,239 @@
+/**
+ * Meeting Preview
+ *
+ * Shows what is about to be put in everyone's calendar — title, date, time,
+ * duration, attendees and recurrence — and waits for Yes, Edit or Cancel.
+ * Users can turn the preview off with "meeting preview off"; the choice is
+ * saved in `user_settings.meeting_preview`.
+ */
+
+const chrono = require("chrono-node");
+const moment = require("moment-timezone");
+
+const { getUserSettings, updateUserSettings } = require("./userSettings");
+const { parseRecurrenceRule } = require("./recurrence");
+
+// Fields the user can change from the preview, and the session flag that asks for each
+const EDITABLE_FIELDS = [
+  { name: "title", label: "Title", flag: "awaitingTitle" },
+  { name: "date", label: "Date", flag: "awaitingStartDate" },
+  { name: "time", label: "Time", flag: "awaitingStartTime" },
+  { name: "duration", label: "Duration", flag: "awaitingDuration" },
+  { name: "attendees", label: "Attendees", flag: "awaitingAttendees" },
+];
+
+const FIELD_QUESTIONS = {
+  title: "What should the meeting be called?",
+  date: "What date should the meeting be on? (e.g., May 30, 2025)",
+  time: "What time should it start? (e.g., 10:00 AM)",
+  duration: "How long should it be? (e.g., 30 minutes, 1 hour)",
+  attendees: "Who should be invited? Please reply with names or email addresses.",
+};
+
+const WEEKDAYS = {
+  MO: "Monday",
+  TU: "Tuesday",
+  WE: "Wednesday",
+  TH: "Thursday",
+  FR: "Friday",
+  SA: "Saturday",
+  SU: "Sunday",
+};
+
+const FREQUENCY_UNITS = {
+  DAILY: "day",
+  WEEKLY: "week",
+  MONTHLY: "month",
+  YEARLY: "year",
+};
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Check whether a user wants to confirm meetings before they are created
+ * @param {string} phoneNumber - User's WhatsApp number
+ * @returns {Promise<boolean>} True unless the user turned previews off
+ */
+async function isMeetingPreviewEnabled(phoneNumber) {
+  try {
+    const settings = await getUserSettings(phoneNumber);
+    return settings.meeting_preview !== false;
+  } catch (error) {
+    console.error("Error fetching meeting preview setting:", error);
+    return true;
+  }
+}
+
+/**
+ * Parse "meeting preview on/off" or "turn off meeting previews"
+ * @param {string} message - User's message
+ * @returns {{enabled: boolean}|null} Setting or null
+ */
+function parsePreviewSetting(message) {
+  const text = message.trim().toLowerCase().replace(/[.!]+$/, "");
+
+  const match = text.match(
+    /^(?:turn )?(?:meeting )?previews?(?: for meetings)?(?: to)? (on|off)$|^(?:turn )?(on|off) (?:meeting )?previews?$|^(?:preview|confirm) meetings (on|off)$/
+  );
+  if (!match || !/preview|confirm/.test(text)) return null;
+
+  return { enabled: (match[1] || match[2] || match[3]) === "on" };
+}
+
+/**
+ * Save a user's meeting preview choice
+ * @param {Object} setting - Result of parsePreviewSetting
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function handlePreviewSetting(setting, From) {
+  try {
+    await updateUserSettings(From, { meeting_preview: setting.enabled });
+    return setting.enabled
+      ? "👀 Meeting previews are *on*. I'll show you each meeting and wait for *Yes* before sending invites."
+      : "⚡ Meeting previews are *off*. Meetings will be created as soon as I have all the details.";
+  } catch (error) {
+    console.error("Error saving meeting preview setting:", error);
+    return "Sorry, there was an error saving your meeting preview setting.";
+  }
+}
+
+// ============================================================================
+// PREVIEW
+// ============================================================================
+
+/**
+ * Turn an RRULE into words, e.g. "Every week on Monday and Wednesday"
+ * @param {string} recurrence - RRULE string, with or without the "RRULE:" prefix
+ * @param {string} [endDate] - Last date the meeting repeats on
+ * @returns {string} Human-readable recurrence
+ */
+function describeRecurrence(recurrence, endDate) {
+  const rule = parseRecurrenceRule(recurrence);
+  const unit = FREQUENCY_UNITS[rule.freq];
+  if (!unit) return recurrence;
+
+  let text = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+
+  const days = rule.byDay.map((day) => WEEKDAYS[day]);
+  if (days.length > 0) {
+    text += ` on ${
+      days.length === 1
+        ? days[0]
+        : `${days.slice(0, -1).join(", ")} and ${days[days.length - 1]}`
+    }`;
+  }
+
+  if (rule.count) {
+    text += `, ${rule.count} times`;
+  } else if (endDate || rule.until) {
+    const until = endDate ? moment(chrono.parseDate(endDate)) : rule.until;
+    if (until.isValid()) text += ` until ${until.format("MMM D, YYYY")}`;
+  }
+
+  return text;
+}
+
+/**
+ * Format a meeting preview for WhatsApp
+ * @param {Object} args - Meeting details
+ * @param {moment.Moment} start - Start time in the organizer's zone
+ * @param {moment.Moment} end - End time in the organizer's zone
+ * @returns {string} Preview message
+ */
+function formatMeetingPreview(args, start, end) {
+  const attendees =
+    args.attendees && args.attendees.length > 0
+      ? args.attendees.map((email) => `   • ${email}`).join("\n")
+      : "   • Just you";
+  const recurrence = args.recurrence
+    ? `\n🔁 *Repeats:* ${describeRecurrence(args.recurrence, args.endDate)}`
+    : "";
+
+  return `📋 *Meeting Preview*\n\n📌 *Title:* ${args.title}\n📅 *Date:* ${start.format(
+    "dddd, MMM D, YYYY"
+  )}\n⏰ *Time:* ${start.format("h:mm A")} – ${end.format("h:mm A z")}\n⏱️ *Duration:* ${
+    args.durationMinutes
+  } minutes\n👥 *Attendees:*\n${attendees}${recurrence}\n\nReply *Yes* to send the invites, *Edit* to change something, or *Cancel*.`;
+}
+
+/**
+ * Parse the answer to a meeting preview
+ * @param {string} message - User's message
+ * @returns {{action: string, field?: string}|null} "confirm", "cancel" or "edit"
+ *   (with the field if named), or null if not understood
+ */
+function parsePreviewReply(message) {
+  const text = message.trim().toLowerCase().replace(/[.!]+$/, "");
+
+  if (/^(yes|y|yep|confirm|send|send it|looks good|ok|okay)$/.test(text)) {
+    return { action: "confirm" };
+  }
+  if (/^(cancel|no|n|don'?t send|never ?mind)$/.test(text)) {
+    return { action: "cancel" };
+  }
+
+  const edit = text.match(/^(?:edit|change)(?: the)?(?: (.+))?$/);
+  if (edit) return { action: "edit", field: edit[1] ? parseEditField(edit[1]) : null };
+
+  return null;
+}
+
+/**
+ * Resolve which field the user wants to edit, by number or name
+ * @param {string} message - e.g. "2", "time" or "attendees"
+ * @returns {string|null} Field name or null
+ */
+function parseEditField(message) {
+  const text = message
+    .trim()
+    .toLowerCase()
+    .replace(/^(?:edit|change)\s+/, "")
+    .replace(/^the\s+/, "");
+  const byNumber = EDITABLE_FIELDS[parseInt(text, 10) - 1];
+  if (/^\d+$/.test(text)) return byNumber ? byNumber.name : null;
+
+  const field = EDITABLE_FIELDS.find(
+    (candidate) =>
+      text.startsWith(candidate.name) ||
+      (candidate.name === "title" && /^name/.test(text)) ||
+      (candidate.name === "time" && /^start/.test(text)) ||
+      (candidate.name === "attendees" && /^(people|guests|invitees)/.test(text))
+  );
+  return field ? field.name : null;
+}
+
+/**
+ * Build the session that asks for a new value of a field
+ * @param {string} field - Field name
+ * @param {Object} args - Meeting details
+ * @returns {{session: Object, question: string}} Session and the question to ask
+ */
+function startFieldEdit(field, args) {
+  const { flag } = EDITABLE_FIELDS.find((candidate) => candidate.name === field);
+  return { session: { [flag]: true, pendingArgs: args }, question: FIELD_QUESTIONS[field] };
+}
+
+/**
+ * List the fields that can be edited
+ * @returns {string} Numbered list
+ */
+function formatEditChoices() {
+  return `✏️ What would you like to change?\n${EDITABLE_FIELDS.map(
+    (field, index) => `${index + 1}. ${field.label}`
+  ).join("\n")}`;
+}
+
+module.exports = {
+  isMeetingPreviewEnabled,
+  parsePreviewSetting,
+  handlePreviewSetting,
+  describeRecurrence,
+  formatMeetingPreview,
+  parsePreviewReply,
+  parseEditField,
+  startFieldEdit,
+  formatEditChoices,
+};
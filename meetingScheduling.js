@@ -0,0 +1,708 @@
+/**
+ * Meeting Scheduling
+ *
+ * Sets up new meetings over WhatsApp. GPT pulls the details out of the request
+ * with the create_calendar_event function; anything missing, unclear or in the
+ * past is asked about one question at a time, invitee names are looked up in
+ * the contact book, busy times get other slots offered, and after an optional
+ * preview the meeting is created with the user's meeting provider.
+ */
+
+const moment = require("moment-timezone");
+const MessagingResponse = require("twilio").twiml.MessagingResponse;
+
+const openai = require("./openaiClient");
+const { getUserTimezone } = require("./timezones");
+const { resolveMeetingDates } = require("./dateParsing");
+const {
+  getMeetingAccount,
+  isRevokedTokenError,
+  forgetRevokedToken,
+  formatLinkOptions,
+} = require("./calendarProviders");
+const { checkAvailability, formatConflict } = require("./freeBusy");
+const {
+  isMeetingPreviewEnabled,
+  formatMeetingPreview,
+  parsePreviewReply,
+  parseEditField,
+  startFieldEdit,
+  formatEditChoices,
+} = require("./meetingPreview");
+const {
+  isValidEmail,
+  splitAttendees,
+  replaceAttendee,
+  saveContacts,
+  resolveAttendees,
+  askAboutAttendee,
+} = require("./contacts");
+const { meetingSessions } = require("./sessions");
+
+// Meeting session flag for each date field the user is asked about
+const MEETING_DATE_FLAGS = {
+  startDate: "awaitingStartDate",
+  startTime: "awaitingStartTime",
+  endDate: "awaitingEndDate",
+};
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Check whether a reply is a plain duration like "30" or "1 hour"
+ * @param {string} durationText - User's reply
+ * @returns {boolean} True if it is a duration
+ */
+function isValidDuration(durationText) {
+  if (!durationText) return false;
+
+  // Check for valid numeric durations like "30", "45", "60"
+  const simpleNumeric = /^\d+$/;
+  if (simpleNumeric.test(durationText.trim())) return true;
+
+  // Allow conversational forms like "30 mins", "1 hour", etc.
+  const durationPattern = /^\d+\s*(min|mins|minutes|hour|hours|hr|hrs)$/i;
+  return durationPattern.test(durationText.trim());
+}
+
+// ============================================================================
+// MEETING SCHEDULING FUNCTIONS
+// ============================================================================
+
+/**
+ * Schedule a meeting with the user's meeting provider (Google, Microsoft or Zoom)
+ * @param {Object} args - Meeting details
+ * @param {string} userNumber - User's phone number
+ * @param {Object} res - Express response object
+ * @param {boolean} [confirmed] - User already said Yes to the preview
+ */
+async function scheduleMeeting({args, userNumber, res, confirmed = false}) {
+  const timezone = await getUserTimezone(userNumber);
+
+  // Checked again here: a slot or preview may be answered after its time passed
+  const dates = resolveMeetingDates(args, timezone);
+  if (dates.question) {
+    meetingSessions[userNumber] = { [MEETING_DATE_FLAGS[dates.field]]: true, pendingArgs: args };
+    const twiml = new MessagingResponse();
+    twiml.message(dates.question);
+    return res.type("text/xml").send(twiml.toString());
+  }
+  Object.assign(args, {
+    startDate: dates.value.startDate,
+    startTime: dates.value.startTime,
+    endDate: dates.value.endDate,
+  });
+  const {title, startDate, startTime, durationMinutes, recurrence, endDate } = args; 
+
+  // Invitees may be names ("Astik"); only valid emails go to the calendar
+  let resolution;
+  try {
+    resolution = await resolveAttendees(userNumber, args.attendees || []);
+  } catch (error) {
+    console.error("Error resolving attendees:", error);
+    meetingSessions[userNumber] = { awaitingAttendees: true, pendingArgs: args };
+    const twiml = new MessagingResponse();
+    twiml.message("Sorry, I couldn't look up your contacts. Please reply with the attendees' email addresses.");
+    return res.type("text/xml").send(twiml.toString());
+  }
+  if (resolution.ambiguous.length > 0 || resolution.unknown.length > 0) {
+    const { session, question } = askAboutAttendee(resolution);
+    meetingSessions[userNumber] = { ...session, pendingArgs: args };
+    const twiml = new MessagingResponse();
+    twiml.message(question);
+    return res.type("text/xml").send(twiml.toString());
+  }
+  const attendees = resolution.emails;
+  args.attendees = attendees;
+  const startDateTime = dates.value.start;
+  const endDateTime = startDateTime.clone().add(durationMinutes, "minutes");
+
+  const account = await getMeetingAccount(userNumber);
+  if (!account) {
+    const twiml = new MessagingResponse();
+    twiml.message(formatLinkOptions(userNumber));
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  let finalRecurrence = recurrence || null;
+  if (recurrence && endDate) {
+    const untilDate = moment(endDate).add(1, "day").format("YYYYMMDD[T]000000[Z]");
+    finalRecurrence = `${recurrence};UNTIL=${untilDate}`;
+  }
+
+  // Offer open slots instead if the organizer or an attendee is busy.
+  // Providers without a free/busy lookup (Zoom) skip the check.
+  try {
+    const availability = account.provider.queryBusy
+      ? await checkAvailability(
+          (ids, from, to) => account.provider.queryBusy(account, ids, from, to, timezone),
+          { start: startDateTime, durationMinutes, attendees },
+          timezone
+        )
+      : { clashes: [], slots: [], unchecked: [] };
+    if (availability.unchecked.length > 0) {
+      console.warn("Could not check free/busy for:", availability.unchecked);
+    }
+    if (availability.clashes.length > 0) {
+      meetingSessions[userNumber] =
+        availability.slots.length > 0
+          ? {
+              awaitingSlotChoice: true,
+              pendingArgs: args,
+              slotOptions: availability.slots.map((slot) => ({
+                startDate: slot.format("YYYY-MM-DD"),
+                startTime: slot.format("h:mm A"),
+              })),
+            }
+          : { awaitingStartTime: true, pendingArgs: args };
+      const twiml = new MessagingResponse();
+      twiml.message(formatConflict(title, startDateTime, availability, durationMinutes));
+      return res.type("text/xml").send(twiml.toString());
+    }
+  } catch (error) {
+    if (isRevokedTokenError(error)) {
+      const twiml = new MessagingResponse();
+      twiml.message(await forgetRevokedToken(userNumber, account.name));
+      return res.type("text/xml").send(twiml.toString());
+    }
+    console.error("Free/busy check failed, creating the meeting anyway:", error);
+  }
+
+  // Show the details and wait for Yes / Edit / Cancel before sending invites
+  if (!confirmed && (await isMeetingPreviewEnabled(userNumber))) {
+    meetingSessions[userNumber] = { awaitingPreviewReply: true, pendingArgs: args };
+    const twiml = new MessagingResponse();
+    twiml.message(formatMeetingPreview(args, startDateTime, endDateTime));
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  let meeting;
+  try {
+    meeting = await account.provider.createMeeting(account, {
+      title,
+      start: startDateTime,
+      end: endDateTime,
+      timezone,
+      durationMinutes,
+      attendees,
+      recurrence: finalRecurrence,
+    });
+  } catch (error) {
+    console.error(`${account.name} calendar error:`, error.response?.data || error);
+    const twiml = new MessagingResponse();
+    twiml.message(
+      isRevokedTokenError(error)
+        ? await forgetRevokedToken(userNumber, account.name)
+        : "Failed to create calendar invite. Try again."
+    );
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  const twiml = new MessagingResponse();
+  twiml.message(
+    `Meeting created! 📅\nTitle: ${title}\nDate: *${startDateTime.format(
+      "ddd MMM DD YYYY"
+    )}*\nTime: *${startDateTime.format("h:mm A z")}*\nLink: ${
+      meeting.joinUrl || meeting.webLink
+    }${
+      account.name === "zoom" && attendees.length > 0
+        ? "\n\nZoom doesn't email invites, so please share the link with the attendees."
+        : ""
+    }`
+  );
+  return res.type("text/xml").send(twiml.toString());
+}
+
+// ============================================================================
+// CONVERSATION
+// ============================================================================
+
+/**
+ * Drop a meeting session that isn't waiting for any answer and read the
+ * message as a new meeting request
+ * @param {Object} params
+ * @param {string} params.userMessage - User's message
+ * @param {string} params.userNumber - User's phone number
+ * @param {Object} params.res - Express response object
+ */
+async function restartMeetingSetup({ userMessage, userNumber, res }) {
+  console.log(`Dropping meeting session of ${userNumber} with no question pending`);
+  delete meetingSessions[userNumber];
+  return startMeetingSetup({ userMessage, userNumber, res });
+}
+
+/**
+ * Take the user's answer to the question asked about a meeting being set up,
+ * then ask about the next missing detail or schedule the meeting
+ * @param {Object} params
+ * @param {string} params.userMessage - User's message
+ * @param {string} params.userNumber - User's phone number
+ * @param {Object} params.res - Express response object
+ */
+async function continueMeetingSetup({ userMessage, userNumber, res }) {
+  const userTimezone = await getUserTimezone(userNumber);
+
+  const pending = meetingSessions[userNumber]; 
+  const args = pending.pendingArgs; 
+
+  if(!args) {
+    return restartMeetingSetup({ userMessage, userNumber, res });
+  }
+
+  if (pending.awaitingStartDate) {
+    args.startDate = userMessage;
+  } else if (pending.awaitingEndDate) {
+    args.endDate = userMessage; 
+  } else if (pending.awaitingTitle){
+    args.title = userMessage; 
+  }  else if (pending.awaitingStartTime){
+    // "PM" answers "Did you mean 8:00 AM or 8:00 PM?"
+    args.startTime = /^[ap]\.?m\.?$/i.test(userMessage.trim()) && args.startTime
+      ? `${args.startTime} ${userMessage.trim()}`
+      : userMessage;
+  } else if (pending.awaitingDuration) {
+    // first fallback verification 
+    if (isValidDuration(userMessage.trim())) {
+      const numMatch = userMessage.match(/\d+/);
+      args.durationMinutes = numMatch ? parseInt(numMatch[0]) : null;
+    } 
+    else {
+      // ❌ Ask the user again using GPT for clarity
+      const gptCheck = await openai.chat.completions.create({
+        model: "gpt-4",
+        messages: [
+          {
+            role: "system",
+            content: "You are an AI assistant. Determine if this phrase refers to a meeting duration (e.g., '30 minutes') or something else. If it's a duration, reply ONLY with the number in minutes (e.g., '30'). Otherwise, reply: 'unclear'."
+          },
+          {
+            role: "user",
+            content: userMessage
+          }
+        ]
+      });
+
+      const reply = gptCheck.choices?.[0]?.message?.content?.trim();
+
+      const parsed = parseInt(reply);
+      if (!isNaN(parsed)) {
+        args.durationMinutes = parsed;
+      } else {
+        // Still unclear, ask user directly
+        meetingSessions[userNumber] = { awaitingDuration: true, pendingArgs: args };
+        const twiml = new MessagingResponse();
+        twiml.message("⏱ I couldn’t understand how long the meeting should be. Please reply with a duration like '30 minutes'.");
+        return res.type("text/xml").send(twiml.toString());
+      }
+    }
+
+  } else if (pending.awaitingAttendees) {
+    args.attendees = splitAttendees(userMessage);
+  } else if (pending.awaitingAttendeeChoice || pending.awaitingAttendeeEmail) {
+    const answer = userMessage.trim();
+    const twiml = new MessagingResponse();
+    let email = null;
+
+    if (pending.awaitingAttendeeChoice) {
+      const contact = pending.attendeeOptions[parseInt(answer, 10) - 1];
+      if (!/^skip$/i.test(answer) && (!/^\d+$/.test(answer) || !contact)) {
+        twiml.message(
+          `Please reply with a number (1-${pending.attendeeOptions.length}), or *skip* to leave "${pending.attendeeName}" out.`
+        );
+        return res.type("text/xml").send(twiml.toString());
+      }
+      email = contact ? contact.email : null;
+    } else if (!/^skip$/i.test(answer)) {
+      if (!isValidEmail(answer)) {
+        twiml.message(`⚠️ "${answer}" doesn't look like a valid email address. Please try again, or reply *skip*.`);
+        return res.type("text/xml").send(twiml.toString());
+      }
+      email = answer.toLowerCase();
+      // Remember names so next time "invite Astik" just works
+      if (!pending.attendeeName.includes("@")) {
+        await saveContacts(userNumber, [
+          { name: pending.attendeeName, email, source: "manual" },
+        ]).catch((error) => console.error("Error saving contact:", error));
+      }
+    }
+
+    // Other names are resolved (or asked about) again by scheduleMeeting
+    args.attendees = replaceAttendee(args.attendees, pending.attendeeName, email);
+    delete meetingSessions[userNumber];
+    await scheduleMeeting({ args, userNumber, res });
+    return;
+  } else if (pending.awaitingSlotChoice) {
+    const choice = userMessage.trim().toLowerCase();
+    const slot = pending.slotOptions[parseInt(choice, 10) - 1];
+    const twiml = new MessagingResponse();
+
+    if (/^(cancel|none|no|never ?mind)$/.test(choice)) {
+      delete meetingSessions[userNumber];
+      twiml.message("👍 Okay, the meeting was not scheduled.");
+      return res.type("text/xml").send(twiml.toString());
+    }
+    if (!/^\d+$/.test(choice) || !slot) {
+      twiml.message(
+        `Please reply with the number of a slot (1-${pending.slotOptions.length}), or *cancel*.`
+      );
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    // The slot was free when offered, so go straight to booking it
+    delete meetingSessions[userNumber];
+    Object.assign(args, slot);
+    await scheduleMeeting({ args, userNumber, res });
+    return;
+  } else if (pending.awaitingPreviewReply) {
+    const previewReply = parsePreviewReply(userMessage);
+    const twiml = new MessagingResponse();
+
+    if (!previewReply) {
+      twiml.message("Please reply *Yes* to send the invites, *Edit* to change something, or *Cancel*.");
+      return res.type("text/xml").send(twiml.toString());
+    }
+    if (previewReply.action === "cancel") {
+      delete meetingSessions[userNumber];
+      twiml.message("👍 Okay, the meeting was not scheduled.");
+      return res.type("text/xml").send(twiml.toString());
+    }
+    if (previewReply.action === "edit") {
+      if (previewReply.field) {
+        const { session, question } = startFieldEdit(previewReply.field, args);
+        meetingSessions[userNumber] = session;
+        twiml.message(question);
+      } else {
+        meetingSessions[userNumber] = { awaitingEditField: true, pendingArgs: args };
+        twiml.message(formatEditChoices());
+      }
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    delete meetingSessions[userNumber];
+    await scheduleMeeting({
+      args,
+      userNumber,
+      res,
+      confirmed: true,
+    });
+    return;
+  } else if (pending.awaitingEditField) {
+    const field = parseEditField(userMessage);
+    const twiml = new MessagingResponse();
+
+    if (/^(cancel|never ?mind)$/i.test(userMessage.trim())) {
+      delete meetingSessions[userNumber];
+      twiml.message("👍 Okay, the meeting was not scheduled.");
+      return res.type("text/xml").send(twiml.toString());
+    }
+    if (!field) {
+      twiml.message(formatEditChoices());
+      return res.type("text/xml").send(twiml.toString());
+    }
+
+    const { session, question } = startFieldEdit(field, args);
+    meetingSessions[userNumber] = session;
+    twiml.message(question);
+    return res.type("text/xml").send(twiml.toString());
+  } else {
+    return restartMeetingSetup({ userMessage, userNumber, res });
+  }
+
+  delete pending.awaitingTitle;
+  delete pending.awaitingStartDate; 
+  delete pending.awaitingDuration;
+  delete pending.awaitingAttendees;
+  delete pending.awaitingEndDate;
+  delete pending.pendingArgs; 
+
+  if (!args.title) {
+    meetingSessions[userNumber] = { awaitingTitle: true, pendingArgs: args };
+    const twiml = new MessagingResponse();
+    twiml.message("What should we call this meeting? Please provide a title (e.g., 'Team Sync').");
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  // Missing, past or ambiguous dates and times are asked about again
+  const dates = resolveMeetingDates(args, userTimezone);
+  if (dates.question) {
+    meetingSessions[userNumber] = { [MEETING_DATE_FLAGS[dates.field]]: true, pendingArgs: args };
+    const twiml = new MessagingResponse();
+    twiml.message(dates.question);
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  if (!args.durationMinutes || /a\s*while|some\s*time|soon|later|eventually/i.test(args.durationMinutes)) {
+    meetingSessions[userNumber] = {
+      awaitingDuration: true,
+      pendingArgs: args,
+    };
+    const twiml = new MessagingResponse();
+    twiml.message("⏱️ How long should this meeting be? Please reply with a clear duration (e.g., 30 minutes, 1 hour).");
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  if (!args.attendees || args.attendees.length === 0) {
+    meetingSessions[userNumber] = { awaitingAttendees: true, pendingArgs: args };
+    const twiml = new MessagingResponse();
+    twiml.message("Who should be invited to this meeting? Please reply with names or email addresses.");
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  if(!args.endDate && args.recurrence) {
+    meetingSessions[userNumber] = {
+       awaitingEndDate: true, 
+       pendingArgs: args, 
+    };
+
+    const twiml = new MessagingResponse(); 
+    twiml.message("You mentioned a recurring meeting, but didn't specify the end date. Please reply with an end date")
+    return res.type("text/xml").send(twiml.toString()); 
+  }
+
+  // Cleared first: scheduleMeeting starts a new session when it offers other slots
+  delete meetingSessions[userNumber]; 
+  await scheduleMeeting({ args, userNumber, res}); 
+  return; 
+}
+
+/**
+ * Pass a meeting request, or the next message of one, to GPT and schedule the
+ * meeting once every detail is known
+ * @param {Object} params
+ * @param {string} params.userMessage - User's message
+ * @param {string} params.userNumber - User's phone number
+ * @param {Object} params.res - Express response object
+ */
+async function startMeetingSetup({ userMessage, userNumber, res }) {
+  if (!(await getMeetingAccount(userNumber))) {
+    const twiml = new MessagingResponse();
+    twiml.message(formatLinkOptions(userNumber));
+    return res.type("text/xml").send(twiml.toString());
+  }
+  const userTimezone = await getUserTimezone(userNumber);
+
+  // Initialize new session if not exists 
+  if(!meetingSessions[userNumber]) {
+    meetingSessions[userNumber] = {
+      history: [
+        {
+          role: 'system',
+          content: `You are a helpful assistant that schedules meetings using Google Calendar.
+
+Always try to correct any typos or spelling mistakes in the user's message. For example:
+- 'forwednesdau' → 'for Wednesday'
+- 'teem sync' → 'team sync'
+
+Your task is to first analyze the user's message and check if it contains all required information to schedule a meeting:
+- Cleanly extract: 
+  - Invitees, as email addresses or as the names the user wrote (e.g. "Astik")
+  - Title or topic of the meeting
+  - Date of the meeting, in the user's words (e.g. "tomorrow", "next Monday", "May 12")
+  - Start time of the meeting (just the time like '10:00AM', not 'every Monday 10AM')
+  - Duration of the meeting in minutes
+  - Attendees (array of emails or names; never make up an email for a name)
+  - Recurrence in RRULE format (like 'RRULE:FREQ=WEEKLY;BYDAY=MO')
+  - (For recurring meetings) End date of recurrance (until when it should repeat), in the user's words
+
+"Always extract actual values from the user's input. Never use generic or placeholder examples like 'daily sync' or 'team@example.com'."
+
+Never include phrases like "forever", "every Monday", or "daily" in the start time. The recurrence rule should capture that instead.
+- Do NOT guess the start time. If it's unclear or missing, return nothing and wait for the user to confirm it.
+
+IMPORTANT TIME EXTRACTION RULES: - Never include phrases like "forever", "every Monday", "daily", "weekly", or any recurrence terms in the start time field. 
+- Words like "forever" should ONLY be considered for recurrence patterns, NEVER as time values.
+- The start time must be a specific clock time (like "9:00 AM" or "14:30"). 
+- If no specific clock time is provided, leave the startTime field empty (null or undefined). 
+- Do NOT guess or infer a start time if none is explicitly stated. 
+- The recurrence rule should capture frequency patterns, not the start time field. 
+For example: - "schedule team sync forever monday beginning may 12th" → No start time provided, leave startTime empty - "schedule meeting at 3pm every day" → startTime should be "3pm" \`
+
+IMPORTANT DATE RULES: - Copy dates and times exactly as the user wrote them (e.g. "tomorrow", "next Monday", "May 12", "3pm", "8").
+- Do NOT convert relative dates into calendar dates, add a year, or add AM/PM to a time. The backend works out the exact date and asks the user when it is unclear.
+- Never make up a date or time the user didn't give.
+
+IMPORTANT: If the user says something like "10 mins" or "30 minutes", treat that as duration — NOT start time.
+
+If the start time is unclear or looks like a duration, leave it blank. Do NOT fill startTime with vague or incorrect values.
+
+Examples:
+- Input: "Schedule daily sync at 10 AM with team@example.com for 30 mins starting May 6"
+  → Output:
+    {
+      "title": "daily sync",
+      "startDate": "May 6",
+      "startTime": "10:00 AM",
+      "durationMinutes": 30,
+      "attendees": ["team@example.com"],
+      "recurrence": "RRULE:FREQ=DAILY"
+    }
+
+Only return clean fields.
+
+If any information is missing or unclear, ask a simple follow-up question.
+
+You also support **recurring meeetings**:
+- If the user says "daily", "every day", "weekly", "every Monday", "recurring" or "monthly", treat it as recurring meeting. 
+- If the recurrence is clear, return it in this RRULE format: 
+  - "daily" → "RRULE:FREQ=DAILY"
+  - "weekly on Monday" → "RRULE: FREQ=WEEKLY;BYDAY="MO"
+  - "monthly on 1st"→ "RRULE:FREQ=MONTHLY;BYMONTHDAY=1"
+
+You must ensure:
+- The meeting has a **start date**
+- For **recurring meetings**, you must also ask for:
+     - A **start date** (if not specified). 
+     - An **end date** (until when the meeting should repeat). 
+  
+
+- If all details are clear, return nothing (leave response empty). 
+
+If anything is unclear or missing (including end date for recurring meetings), respond with a plain text clarification question. For example:
+"If someone says "every Monday at 8", ask: "What date should this recurring meeting start from?"
+"If someone says "daily at 5pm", ask: "From which date should this repeat?" 
+
+"Never copy from examples. Always extract real values from the user's actual message." 
+"Always extract actual values from the user's input. Never use generic or placeholder examples like 'daily sync' or 'team@example.com'."
+
+If the message is clear, contains all the required fields (invitees, meeting title, date, time, and duration), and there is no ambiguity, proceed to schedule the meeting **immediately** without sending a confirmation or asking the user to respond again.
+
+Do NOT reply with a summary or confirmation message if all the required fields are present and unambiguous. Simply schedule the meeting silently.
+`,
+        },
+      ],
+      pendingMeeting: false,
+    };
+  }
+
+  // GPT reads the whole request, follow-up answers included
+  meetingSessions[userNumber].history.push({ role: "user", content: userMessage });
+
+  // Generate reply with full context
+  const completion = await openai.chat.completions.create({
+    model: "gpt-4",
+    messages: meetingSessions[userNumber].history,
+    temperature: 0.2, 
+    functions: [
+      {
+        name: "create_calendar_event",
+        parameters: {
+          type: "object",
+          properties: {
+            title: { type: "string" },
+            startDate: {
+              type: "string",
+              description: "Meeting date in the user's words, e.g. 'tomorrow' or 'May 12'",
+            },
+            startTime: {
+              type: "string",
+              description: "Start time in the user's words, e.g. '3pm' or '8'",
+            },
+            durationMinutes: { type: "number" },
+            attendees: {
+              type: "array",
+              items: {
+                type: "string",
+                description: "Email address, or the person's name as the user wrote it",
+              },
+            },
+            recurrence: {
+              type: "string",
+              description: "Optional, RRULE format for recurrence (e.g., 'RRULE:FREQ=DAILY')"
+            },
+            endDate: {
+              type: "string", 
+              description: "End date for recurring meetings, in the user's words"
+            }
+          },
+          required: ["title", "startDate", "startTime", "durationMinutes"]
+        }
+      }
+    ],
+    function_call: { name: "create_calendar_event" }
+  });
+
+  const gptReply = completion.choices[0].message;
+
+  // Save assistant message for context continuity
+  meetingSessions[userNumber].history.push(gptReply);
+
+  // If function call is not triggered yet, GPT is asking for more info
+  if (!gptReply.function_call) {
+    meetingSessions[userNumber].pendingMeeting = true;
+
+    const twiml = new MessagingResponse();
+    twiml.message(gptReply.content || "Could you provide more details?");
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  const args = JSON.parse(gptReply.function_call.arguments);
+  const { title, startDate, startTime, durationMinutes, attendees = [], recurrence, endDate } = args;
+
+  if (!title) {
+    meetingSessions[userNumber] = { awaitingTitle: true, pendingArgs: args };
+    const twiml = new MessagingResponse();
+    twiml.message("What should we call this meeting? Please provide a title (e.g., 'Team Sync').");
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  if (!durationMinutes) {
+    meetingSessions[userNumber] = { awaitingDuration: true, pendingArgs: args };
+    const twiml = new MessagingResponse();
+    twiml.message("How long should this meeting be? Please reply with the duration in minutes (e.g., 30).");
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  if (!attendees || attendees.length === 0) {
+    meetingSessions[userNumber] = { awaitingAttendees: true, pendingArgs: args };
+    const twiml = new MessagingResponse();
+    twiml.message("Who should be invited to this meeting? Please reply with names or email addresses.");
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  // GPT copies the user's words; missing, past or ambiguous ones are asked about
+  const dates = resolveMeetingDates(args, userTimezone);
+  if (dates.question) {
+    meetingSessions[userNumber][MEETING_DATE_FLAGS[dates.field]] = true;
+    meetingSessions[userNumber].pendingArgs = args;
+
+    const twiml = new MessagingResponse();
+    twiml.message(dates.question);
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  // If recurrence exists but no endDate, ask the user
+  if (recurrence && !endDate) {
+    meetingSessions[userNumber].awaitingEndDate = true;
+    meetingSessions[userNumber].pendingArgs = args; 
+
+    const twiml = new MessagingResponse();
+    twiml.message("You mentioned a recurring meeting but didn't specify until when it should repeat. Please reply with an end date.");
+    return res.type("text/xml").send(twiml.toString());
+  }
+
+  delete meetingSessions[userNumber];
+  await scheduleMeeting({ args, userNumber, res });
+  return;
+}
+
+/**
+ * Handle a message about a new meeting: the answer to a follow-up question,
+ * or a request for GPT to read
+ * @param {Object} params
+ * @param {string} params.userMessage - User's message
+ * @param {string} params.userNumber - User's phone number
+ * @param {Object} params.res - Express response object
+ */
+async function handleMeetingRequest({ userMessage, userNumber, res }) {
+  if (meetingSessions[userNumber]?.pendingArgs) {
+    return continueMeetingSetup({ userMessage, userNumber, res });
+  }
+  return startMeetingSetup({ userMessage, userNumber, res });
+}
+
+module.exports = {
+  scheduleMeeting,
+  handleMeetingRequest,
+};
@@ -0,0 +1,484 @@
+/**
+ * Meetings
+ *
+ * Lists, reschedules and cancels Google Calendar meetings from WhatsApp, e.g.
+ * "what meetings do I have today", "push tomorrow's team sync to 4pm" or
+ * "cancel my call with Priya on Friday". Meetings are found by title (or
+ * attendee) and date, and attendees are notified of every change.
+ */
+
+const moment = require("moment-timezone");
+
+const { getCalendarClient } = require("./googleCalendar");
+const { isRevokedTokenError, forgetRevokedToken } = require("./calendarProviders");
+const { parseInTimezone, getUserTimezone } = require("./timezones");
+
+// Words that mark a cancel/move command as being about a meeting, not a task
+const MEETING_WORDS =
+  /\b(meetings?|calls?|sync|standup|stand-up|check[- ]?in|1:1|one[- ]on[- ]one|interview|review|demo|catch[- ]?up|event)\b|\b(today|tomorrow|monday|tuesday|wednesday|thursday|friday|saturday|sunday)'s\b/i;
+
+// Words left out when matching a meeting title
+const FILLER_WORDS = new Set([
+  "my",
+  "the",
+  "our",
+  "a",
+  "an",
+  "on",
+  "at",
+  "for",
+  "with",
+  "meeting",
+  "call",
+  "event",
+]);
+
+// How far ahead to look when a command doesn't say which day
+const SEARCH_DAYS = 14;
+
+// ============================================================================
+// COMMAND PARSING
+// ============================================================================
+
+/**
+ * Parse a meeting command
+ * @param {string} message - User's message
+ * @returns {Object|null} Command with action, target and value, or null
+ */
+function parseMeetingCommand(message) {
+  const text = message.trim().replace(/\s+/g, " ").replace(/[.!?]+$/, "");
+
+  let match = text.match(
+    /^(?:what|which|any) (?:meetings|calls|events)(?: do i have| have i got| are there)?(?: (.+))?$|^(?:what'?s|what is) on my calendar(?: (.+))?$|^(?:list |show )?(?:me )?my (?:meetings|calendar|schedule)(?: (?:for|on) )?(.*)$/i
+  );
+  if (match) {
+    const when = (match[1] || match[2] || match[3] || "").trim();
+    return { action: "list", target: null, value: when || null };
+  }
+
+  match = text.match(/^(?:cancel|delete|call off) (.+)$/i);
+  if (match && MEETING_WORDS.test(match[1]) && !/^(?:the )?task\b/i.test(match[1])) {
+    return { action: "cancel", target: match[1], value: null };
+  }
+
+  match = text.match(
+    /^(?:reschedule|move|push|postpone|shift) (.+?)(?: to (.+))?$/i
+  );
+  if (match && MEETING_WORDS.test(match[1]) && !/^(?:the )?task\b/i.test(match[1])) {
+    return { action: "reschedule", target: match[1], value: match[2] || null };
+  }
+
+  return null;
+}
+
+/**
+ * Split a meeting reference into title words and the date or time it mentions
+ * @param {string} target - e.g. "tomorrow's team sync" or "my 3pm call"
+ * @param {string} timezone - User's zone
+ * @returns {{words: Array<string>, date: moment.Moment|null, dayKnown: boolean, timeKnown: boolean}}
+ */
+function parseMeetingTarget(target, timezone) {
+  const result = parseInTimezone(target, timezone);
+
+  let title = target;
+  if (result) {
+    title = target.slice(0, result.index) + target.slice(result.index + result.text.length);
+  }
+
+  const words = title
+    .toLowerCase()
+    .replace(/'s\b/g, "")
+    .split(/[^a-z0-9@.:-]+/)
+    .filter((word) => word && !FILLER_WORDS.has(word));
+
+  return {
+    words,
+    date: result ? moment(result.start.date()).tz(timezone) : null,
+    dayKnown: Boolean(
+      result && (result.start.isCertain("day") || result.start.isCertain("weekday"))
+    ),
+    timeKnown: Boolean(result && result.start.isCertain("hour")),
+  };
+}
+
+// ============================================================================
+// CALENDAR HELPERS
+// ============================================================================
+
+/**
+ * Get the start and end of an event in the user's zone
+ * @param {Object} event - Calendar event
+ * @param {string} timezone - User's zone
+ * @returns {{start: moment.Moment, end: moment.Moment, allDay: boolean}}
+ */
+function getEventTimes(event, timezone) {
+  const allDay = !event.start.dateTime;
+  return {
+    start: allDay
+      ? moment.tz(event.start.date, timezone)
+      : moment(event.start.dateTime).tz(timezone),
+    end: allDay
+      ? moment.tz(event.end.date, timezone)
+      : moment(event.end.dateTime).tz(timezone),
+    allDay,
+  };
+}
+
+/**
+ * Describe when an event takes place
+ * @param {Object} event - Calendar event
+ * @param {string} timezone - User's zone
+ * @returns {string} e.g. "Tue Oct 20, 3:00 PM – 3:30 PM IST"
+ */
+function formatEventTime(event, timezone) {
+  const { start, end, allDay } = getEventTimes(event, timezone);
+  if (allDay) return `${start.format("ddd MMM D")}, all day`;
+  return `${start.format("ddd MMM D, h:mm A")} – ${end.format("h:mm A z")}`;
+}
+
+/**
+ * List events in a time window
+ * @param {Object} calendar - Calendar client
+ * @param {moment.Moment} from - Window start
+ * @param {moment.Moment} to - Window end
+ * @returns {Promise<Array<Object>>} Events ordered by start time
+ */
+async function listEvents(calendar, from, to) {
+  const response = await calendar.events.list({
+    calendarId: "primary",
+    timeMin: from.toISOString(),
+    timeMax: to.toISOString(),
+    singleEvents: true,
+    orderBy: "startTime",
+    maxResults: 50,
+  });
+  return (response.data.items || []).filter((event) => event.status !== "cancelled");
+}
+
+/**
+ * Find the events a meeting reference could mean
+ * @param {Object} calendar - Calendar client
+ * @param {string} target - Meeting reference from the user
+ * @param {string} timezone - User's zone
+ * @param {Object} [options]
+ * @param {number} [options.pastDays] - Also look this many days back when no day is given
+ * @returns {Promise<Array<Object>>} Matching events
+ */
+async function findEvents(calendar, target, timezone, { pastDays = 0 } = {}) {
+  const { words, date, dayKnown, timeKnown } = parseMeetingTarget(target, timezone);
+  const now = moment().tz(timezone);
+
+  const from = dayKnown
+    ? date.clone().startOf("day")
+    : now.clone().subtract(pastDays, "days");
+  const to = dayKnown
+    ? date.clone().endOf("day")
+    : now.clone().add(SEARCH_DAYS, "days");
+  const events = await listEvents(calendar, from, to);
+
+  return events.filter((event) => {
+    const searchable = [
+      event.summary || "",
+      ...(event.attendees || []).map(
+        (attendee) => `${attendee.email} ${attendee.displayName || ""}`
+      ),
+    ]
+      .join(" ")
+      .toLowerCase();
+    const titleMatches = words.every((word) => searchable.includes(word));
+
+    const { start } = getEventTimes(event, timezone);
+    const timeMatches =
+      !timeKnown || start.format("HH:mm") === date.format("HH:mm");
+
+    return titleMatches && timeMatches;
+  });
+}
+
+/**
+ * Work out the new start of a meeting from text like "4pm" or "Friday 10am"
+ * @param {string} value - New time text
+ * @param {moment.Moment} currentStart - Current start of the meeting
+ * @param {string} timezone - User's zone
+ * @returns {moment.Moment|null} New start, or null if not understood
+ */
+function parseNewStart(value, currentStart, timezone) {
+  const result = parseInTimezone(value, timezone, currentStart.toDate());
+  if (!result) return null;
+
+  const parsed = moment(result.start.date()).tz(timezone);
+  const dayKnown = result.start.isCertain("day") || result.start.isCertain("weekday");
+  const timeKnown = result.start.isCertain("hour");
+
+  // "to 4pm" keeps the day, "to Friday" keeps the time
+  const newStart = (dayKnown ? parsed : currentStart).clone();
+  const time = timeKnown ? parsed : currentStart;
+  return newStart.set({ hour: time.hour(), minute: time.minute(), second: 0 });
+}
+
+/**
+ * Format events as a numbered list
+ * @param {Array<Object>} events - Calendar events
+ * @param {string} timezone - User's zone
+ * @returns {string} Numbered list
+ */
+function formatCandidates(events, timezone) {
+  return events
+    .map(
+      (event, index) =>
+        `${index + 1}. *${event.summary || "(no title)"}* — ${formatEventTime(event, timezone)}`
+    )
+    .join("\n");
+}
+
+// ============================================================================
+// MEETING ACTIONS
+// ============================================================================
+
+/**
+ * List the user's meetings for a day or week
+ * @param {Object} calendar - Calendar client
+ * @param {string|null} when - e.g. "today", "tomorrow", "on friday", "this week"
+ * @param {string} timezone - User's zone
+ * @returns {Promise<string>} Reply message
+ */
+async function listMeetings(calendar, when, timezone) {
+  const now = moment().tz(timezone);
+  const text = (when || "today").toLowerCase().replace(/^(for|on) /, "");
+
+  let from;
+  let to;
+  let label;
+  if (text === "this week" || text === "next week") {
+    from = now.clone().startOf("isoWeek");
+    if (text === "next week") from.add(1, "week");
+    to = from.clone().endOf("isoWeek");
+    label = `${text} (${from.format("MMM D")} – ${to.format("MMM D")})`;
+  } else {
+    const result = parseInTimezone(text, timezone);
+    if (!result) {
+      return `⚠️ I couldn't tell which day you meant by "${when}". Try *today*, *tomorrow*, *Friday* or *this week*.`;
+    }
+    from = moment(result.start.date()).tz(timezone).startOf("day");
+    to = from.clone().endOf("day");
+    label = ["today", "tomorrow"].includes(text)
+      ? `${text} (${from.format("ddd, MMM D")})`
+      : `on ${from.format("ddd, MMM D")}`;
+  }
+
+  const events = await listEvents(calendar, from, to);
+  if (events.length === 0) {
+    return `📅 No meetings ${label}. 🎉`;
+  }
+
+  const lines = events.map((event, index) => {
+    const attendees = (event.attendees || []).filter((attendee) => !attendee.self);
+    const people =
+      attendees.length > 0
+        ? `\n   👥 ${attendees
+            .map((attendee) => attendee.displayName || attendee.email)
+            .join(", ")}`
+        : "";
+    const link = event.hangoutLink ? `\n   🔗 ${event.hangoutLink}` : "";
+    return `${index + 1}. *${event.summary || "(no title)"}*\n   🕒 ${formatEventTime(
+      event,
+      timezone
+    )}${people}${link}`;
+  });
+
+  return `📅 *Meetings ${label}* (${events.length})\n\n${lines.join("\n")}`;
+}
+
+/**
+ * Move a meeting, keeping its length, and notify attendees
+ * @param {Object} calendar - Calendar client
+ * @param {Object} event - Calendar event
+ * @param {string} value - New time text
+ * @param {string} timezone - User's zone
+ * @returns {Promise<string|null>} Reply, or null if the new time wasn't understood
+ */
+async function rescheduleMeeting(calendar, event, value, timezone) {
+  const { start, end, allDay } = getEventTimes(event, timezone);
+  if (allDay) {
+    return `*${event.summary}* is an all-day event, please move it in Google Calendar.`;
+  }
+
+  const newStart = parseNewStart(value, start, timezone);
+  if (!newStart) return null;
+  if (newStart.isBefore(moment())) {
+    return `⚠️ ${newStart.format("ddd MMM D, h:mm A z")} is in the past. Please pick a future time.`;
+  }
+  const newEnd = newStart.clone().add(end.diff(start));
+
+  await calendar.events.patch({
+    calendarId: "primary",
+    eventId: event.id,
+    sendUpdates: "all",
+    requestBody: {
+      start: { dateTime: newStart.format("YYYY-MM-DDTHH:mm:ss"), timeZone: timezone },
+      end: { dateTime: newEnd.format("YYYY-MM-DDTHH:mm:ss"), timeZone: timezone },
+    },
+  });
+
+  return `📅 *Meeting Rescheduled*\n\n*${event.summary || "(no title)"}*\n⏮️ *Was:* ${formatEventTime(
+    event,
+    timezone
+  )}\n⏭️ *Now:* ${newStart.format("ddd MMM D, h:mm A")} – ${newEnd.format(
+    "h:mm A z"
+  )}\n\n✉️ Attendees have been notified.`;
+}
+
+/**
+ * Cancel a meeting and notify attendees
+ * @param {Object} calendar - Calendar client
+ * @param {Object} event - Calendar event
+ * @param {string} timezone - User's zone
+ * @returns {Promise<string>} Reply message
+ */
+async function cancelMeeting(calendar, event, timezone) {
+  await calendar.events.delete({
+    calendarId: "primary",
+    eventId: event.id,
+    sendUpdates: "all",
+  });
+
+  return `🗑️ *Meeting Cancelled*\n\n*${event.summary || "(no title)"}* on ${formatEventTime(
+    event,
+    timezone
+  )} has been cancelled.\n\n✉️ Attendees have been notified.`;
+}
+
+/**
+ * Run a meeting command, asking which meeting, what time or for confirmation
+ * when that is still missing
+ * @param {Object} state - Command plus answers collected so far
+ * @param {Object} calendar - Calendar client
+ * @param {string} timezone - User's zone
+ * @returns {Promise<{reply: string, pendingMeetingEdit: Object|null}>}
+ */
+async function applyMeetingCommand(state, calendar, timezone) {
+  if (state.action === "list") {
+    return {
+      reply: await listMeetings(calendar, state.value, timezone),
+      pendingMeetingEdit: null,
+    };
+  }
+
+  if (!state.event) {
+    const matches = await findEvents(calendar, state.target, timezone);
+    if (matches.length === 0) {
+      return {
+        reply: `I couldn't find a meeting matching "${state.target}". Send *my meetings this week* to see what's coming up.`,
+        pendingMeetingEdit: null,
+      };
+    }
+    if (matches.length > 1) {
+      return {
+        reply: `I found more than one meeting matching "${state.target}". Which one?\n${formatCandidates(
+          matches,
+          timezone
+        )}`,
+        pendingMeetingEdit: { ...state, awaiting: "choice", candidates: matches },
+      };
+    }
+    state.event = matches[0];
+  }
+
+  if (state.action === "cancel") {
+    if (!state.confirmed) {
+      return {
+        reply: `🗑️ Cancel *${state.event.summary || "(no title)"}* on ${formatEventTime(
+          state.event,
+          timezone
+        )}? Attendees will be notified. Reply *Yes* to confirm.`,
+        pendingMeetingEdit: { ...state, awaiting: "confirm" },
+      };
+    }
+    return {
+      reply: await cancelMeeting(calendar, state.event, timezone),
+      pendingMeetingEdit: null,
+    };
+  }
+
+  if (!state.value) {
+    return {
+      reply: `📅 When should *${state.event.summary || "(no title)"}* move to? (e.g., 4pm or Friday 10am)`,
+      pendingMeetingEdit: { ...state, awaiting: "value" },
+    };
+  }
+
+  const reply = await rescheduleMeeting(calendar, state.event, state.value, timezone);
+  if (!reply) {
+    return {
+      reply: `⚠️ I couldn't understand "${state.value}". Please reply with a time like *4pm* or *Friday 10am*.`,
+      pendingMeetingEdit: { ...state, value: null, awaiting: "value" },
+    };
+  }
+  return { reply, pendingMeetingEdit: null };
+}
+
+/**
+ * Handle a meeting command, or the user's answer to a follow-up question
+ * @param {Object} command - Parsed command or pending state
+ * @param {string|null} message - Answer to the follow-up question, or null
+ * @param {string} userNumber - User's WhatsApp number
+ * @param {string} refreshToken - User's Google refresh token
+ * @returns {Promise<{reply: string, pendingMeetingEdit: Object|null}>}
+ */
+async function handleMeetingCommand(command, message, userNumber, refreshToken) {
+  const state = { ...command };
+
+  if (message !== null) {
+    const text = message.trim();
+
+    if (/^(never ?mind|abort|stop|forget it)$/i.test(text)) {
+      return { reply: "👍 Okay, the meeting was left unchanged.", pendingMeetingEdit: null };
+    }
+
+    if (state.awaiting === "choice") {
+      const chosen = state.candidates[parseInt(text, 10) - 1];
+      if (!/^\d+$/.test(text) || !chosen) {
+        return {
+          reply: `Please reply with the number of the meeting:\n${formatCandidates(
+            state.candidates,
+            await getUserTimezone(userNumber)
+          )}`,
+          pendingMeetingEdit: state,
+        };
+      }
+      state.event = chosen;
+      delete state.candidates;
+    } else if (state.awaiting === "value") {
+      state.value = text;
+    } else if (state.awaiting === "confirm") {
+      if (!/^(yes|y|confirm)$/i.test(text)) {
+        return { reply: "👍 Okay, the meeting was not cancelled.", pendingMeetingEdit: null };
+      }
+      state.confirmed = true;
+    }
+    delete state.awaiting;
+  }
+
+  try {
+    const timezone = await getUserTimezone(userNumber);
+    return await applyMeetingCommand(state, getCalendarClient(refreshToken), timezone);
+  } catch (error) {
+    console.error("Error managing meeting:", error);
+    if (isRevokedTokenError(error)) {
+      return { reply: await forgetRevokedToken(userNumber, "google"), pendingMeetingEdit: null };
+    }
+    return {
+      reply: "Sorry, there was an error updating your Google Calendar.",
+      pendingMeetingEdit: null,
+    };
+  }
+}
+
+module.exports = {
+  MEETING_WORDS,
+  getEventTimes,
+  formatEventTime,
+  findEvents,
+  parseMeetingCommand,
+  handleMeetingCommand,
+};
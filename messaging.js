@@ -0,0 +1,78 @@
+/**
+ * Messaging
+ *
+ * Twilio client and the WhatsApp send helper shared by the bot and its
+ * background jobs. The client is created on first use; one set with
+ * setTwilioClient() is used instead, e.g. a local fake in tests.
+ */
+
+const twilio = require("twilio");
+require("dotenv").config();
+
+let client = null;
+
+/**
+ * Get the Twilio client, creating it on first use
+ * @returns {Object} Twilio client
+ */
+function getTwilioClient() {
+  if (!client) {
+    client = new twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return client;
+}
+
+/**
+ * Use another Twilio client from now on
+ * @param {Object} replacement - Client with the twilio SDK's messages API
+ */
+function setTwilioClient(replacement) {
+  client = replacement;
+}
+
+/**
+ * Send WhatsApp message using Twilio
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message content
+ */
+function sendMessage(to, message) {
+  console.log("Sending message to:", to);
+  console.log("Message:", message);
+  getTwilioClient()
+    .messages.create({
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to,
+      body: message,
+    })
+    .then((message) => {
+      console.log("Message sent successfully:", message.sid);
+    })
+    .catch((err) => {
+      console.error("Error sending message:", err);
+      if (err.code) {
+        console.error("Twilio error code:", err.code);
+      }
+    });
+}
+
+/**
+ * Notify the assigner of a task and anyone copied on it as a watcher
+ * @param {Object} task - Task row
+ * @param {string} fallbackNumber - Used for older tasks saved without an assigner
+ * @param {string} message - Message content
+ */
+function notifyTaskOwners(task, fallbackNumber, message) {
+  const assignerNumber = task?.assignerNumber || fallbackNumber;
+  const recipients = new Set([assignerNumber, ...(task?.watchers || [])]);
+
+  recipients.forEach((number) => {
+    if (number) sendMessage(number, message);
+  });
+}
+
+module.exports = {
+  getTwilioClient,
+  setTwilioClient,
+  sendMessage,
+  notifyTaskOwners,
+};
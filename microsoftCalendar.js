@@ -0,0 +1,302 @@
+/**
+ * Microsoft Calendar
+ *
+ * The Microsoft 365 / Outlook side of the meeting provider interface (see
+ * calendarProviders.js). Meetings are created in the user's Outlook calendar
+ * through Microsoft Graph with a Teams link, and Outlook sends the invites.
+ *
+ * Microsoft may hand out a new refresh token whenever one is used, so the
+ * newest one is saved back to `user_tokens` under the "microsoft" provider.
+ */
+
+const axios = require("axios");
+const moment = require("moment-timezone");
+
+const { saveProviderToken } = require("./userTokens");
+const { WEEKDAY_CODES, parseRecurrenceRule } = require("./recurrence");
+require("dotenv").config();
+
+const GRAPH_URL = "https://graph.microsoft.com/v1.0";
+const SCOPES = "offline_access User.Read Calendars.ReadWrite";
+const GRAPH_WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const GRAPH_PATTERNS = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+  MONTHLY: "absoluteMonthly",
+  YEARLY: "absoluteYearly",
+};
+
+// Access tokens by WhatsApp number, reused until shortly before they expire
+const accessTokens = new Map();
+
+// ============================================================================
+// OAUTH
+// ============================================================================
+
+/**
+ * Get the Microsoft identity platform URL for the configured tenant
+ * @param {string} path - "authorize" or "token"
+ * @returns {string} Endpoint URL
+ */
+function getAuthorityUrl(path) {
+  const tenant = process.env.MICROSOFT_TENANT || "common";
+  return `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/${path}`;
+}
+
+/**
+ * Check whether Microsoft sign-in is set up for this deployment
+ * @returns {boolean} True if the app credentials are configured
+ */
+function isMicrosoftConfigured() {
+  return Boolean(
+    process.env.MICROSOFT_CLIENT_ID &&
+      process.env.MICROSOFT_CLIENT_SECRET &&
+      process.env.MICROSOFT_REDIRECT_URI
+  );
+}
+
+/**
+ * Build the Microsoft sign-in link for a WhatsApp user
+ * @param {string} userNumber - User's WhatsApp number
+ * @returns {string} Consent screen URL
+ */
+function getMicrosoftAuthUrl(userNumber) {
+  const params = new URLSearchParams({
+    client_id: process.env.MICROSOFT_CLIENT_ID,
+    response_type: "code",
+    redirect_uri: process.env.MICROSOFT_REDIRECT_URI,
+    response_mode: "query",
+    scope: SCOPES,
+    prompt: "select_account",
+    state: `whatsapp:${userNumber}`,
+  });
+  return `${getAuthorityUrl("authorize")}?${params.toString()}`;
+}
+
+/**
+ * Call the token endpoint
+ * @param {Object} params - Grant parameters
+ * @returns {Promise<Object>} Token response
+ */
+async function requestToken(params) {
+  const response = await axios.post(
+    getAuthorityUrl("token"),
+    new URLSearchParams({
+      client_id: process.env.MICROSOFT_CLIENT_ID,
+      client_secret: process.env.MICROSOFT_CLIENT_SECRET,
+      redirect_uri: process.env.MICROSOFT_REDIRECT_URI,
+      scope: SCOPES,
+      ...params,
+    }).toString(),
+    { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+  );
+  return response.data;
+}
+
+/**
+ * Exchange the code from the consent screen for a refresh token
+ * @param {string} code - Authorization code
+ * @returns {Promise<string|null>} Refresh token, or null if none was sent
+ */
+async function exchangeMicrosoftCode(code) {
+  const tokens = await requestToken({ grant_type: "authorization_code", code });
+  return tokens.refresh_token || null;
+}
+
+/**
+ * Get an access token for a linked account, refreshing it when needed
+ * @param {Object} account - Linked account with phoneNumber and refreshToken
+ * @returns {Promise<string>} Access token
+ */
+async function getAccessToken(account) {
+  // A cached token of an account that was since re-linked isn't reused
+  const cached = accessTokens.get(account.phoneNumber);
+  if (cached && cached.refreshToken === account.refreshToken && cached.expiresAt > Date.now()) {
+    return cached.token;
+  }
+
+  const tokens = await requestToken({
+    grant_type: "refresh_token",
+    refresh_token: account.refreshToken,
+  });
+  if (tokens.refresh_token && tokens.refresh_token !== account.refreshToken) {
+    account.refreshToken = tokens.refresh_token;
+    await saveProviderToken(account.phoneNumber, "microsoft", tokens.refresh_token);
+  }
+
+  accessTokens.set(account.phoneNumber, {
+    token: tokens.access_token,
+    refreshToken: account.refreshToken,
+    expiresAt: Date.now() + (tokens.expires_in - 60) * 1000,
+  });
+  return tokens.access_token;
+}
+
+/**
+ * Call Microsoft Graph as a linked user
+ * @param {Object} account - Linked account
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /v1.0, e.g. "/me/events"
+ * @param {Object} [data] - JSON body
+ * @returns {Promise<Object>} Response body
+ */
+async function graphRequest(account, method, path, data) {
+  const response = await axios({
+    method,
+    url: `${GRAPH_URL}${path}`,
+    data,
+    headers: {
+      Authorization: `Bearer ${await getAccessToken(account)}`,
+      Prefer: 'outlook.timezone="UTC"',
+    },
+  });
+  return response.data;
+}
+
+/**
+ * Get the email of a linked Microsoft account
+ * @param {Object} account - Linked account
+ * @returns {Promise<string|null>} Account email
+ */
+async function getMicrosoftAccountEmail(account) {
+  const me = await graphRequest(account, "get", "/me?$select=mail,userPrincipalName");
+  return me.mail || me.userPrincipalName || null;
+}
+
+// ============================================================================
+// MEETINGS
+// ============================================================================
+
+/**
+ * Convert an RRULE to a Graph recurrence
+ * @param {string} recurrence - RRULE
+ * @param {moment.Moment} start - First occurrence in the organizer's zone
+ * @param {string} timezone - Organizer's zone
+ * @returns {Object|undefined} Graph patternedRecurrence, or undefined if unsupported
+ */
+function toGraphRecurrence(recurrence, start, timezone) {
+  const rule = parseRecurrenceRule(recurrence);
+  const type = GRAPH_PATTERNS[rule.freq];
+  if (!type) return undefined;
+
+  const pattern = { type, interval: rule.interval };
+  if (type === "weekly") {
+    const days = rule.byDay.length > 0 ? rule.byDay : [WEEKDAY_CODES[start.day()]];
+    pattern.daysOfWeek = days.map((day) => GRAPH_WEEKDAYS[WEEKDAY_CODES.indexOf(day)]);
+  }
+  if (type === "absoluteMonthly" || type === "absoluteYearly") {
+    pattern.dayOfMonth = start.date();
+  }
+  if (type === "absoluteYearly") pattern.month = start.month() + 1;
+
+  const range = { startDate: start.format("YYYY-MM-DD"), recurrenceTimeZone: timezone };
+  if (rule.until) {
+    // UNTIL is the day after the last meeting at midnight UTC
+    Object.assign(range, {
+      type: "endDate",
+      endDate: rule.until.clone().subtract(1, "day").format("YYYY-MM-DD"),
+    });
+  } else if (rule.count) {
+    Object.assign(range, { type: "numbered", numberOfOccurrences: rule.count });
+  } else {
+    range.type = "noEnd";
+  }
+
+  return { pattern, range };
+}
+
+/**
+ * Create an Outlook event with a Teams link and invite the attendees
+ * @param {Object} account - Linked account
+ * @param {Object} meeting - title, start, end, timezone, attendees and recurrence
+ * @returns {Promise<{id: string, joinUrl: string|null, webLink: string}>} Created meeting
+ */
+async function createMicrosoftMeeting(account, meeting) {
+  const event = await graphRequest(account, "post", "/me/events", {
+    subject: meeting.title,
+    start: {
+      dateTime: meeting.start.format("YYYY-MM-DDTHH:mm:ss"),
+      timeZone: meeting.timezone,
+    },
+    end: {
+      dateTime: meeting.end.format("YYYY-MM-DDTHH:mm:ss"),
+      timeZone: meeting.timezone,
+    },
+    attendees: meeting.attendees.map((email) => ({
+      emailAddress: { address: email },
+      type: "required",
+    })),
+    isOnlineMeeting: true,
+    onlineMeetingProvider: "teamsForBusiness",
+    recurrence: meeting.recurrence
+      ? toGraphRecurrence(meeting.recurrence, meeting.start, meeting.timezone)
+      : undefined,
+  });
+
+  return {
+    id: event.id,
+    joinUrl: event.onlineMeeting?.joinUrl || null,
+    webLink: event.webLink,
+  };
+}
+
+/**
+ * Query Outlook free/busy for the organizer ("primary") and attendees
+ * @param {Object} account - Linked account
+ * @param {Array<string>} ids - "primary" and attendee emails
+ * @param {moment.Moment} from - Window start
+ * @param {moment.Moment} to - Window end
+ * @returns {Promise<{busy: Array<Object>, unchecked: Array<string>}>} Busy periods
+ *   as { who, start, end } ISO strings, and the calendars that couldn't be read
+ */
+async function queryMicrosoftBusy(account, ids, from, to) {
+  const me = await graphRequest(account, "get", "/me?$select=mail,userPrincipalName");
+  const ownAddress = (me.mail || me.userPrincipalName || "").toLowerCase();
+  const schedules = ids.map((id) => (id === "primary" ? ownAddress : id));
+
+  const result = await graphRequest(account, "post", "/me/calendar/getSchedule", {
+    schedules,
+    startTime: { dateTime: from.clone().utc().format("YYYY-MM-DDTHH:mm:ss"), timeZone: "UTC" },
+    endTime: { dateTime: to.clone().utc().format("YYYY-MM-DDTHH:mm:ss"), timeZone: "UTC" },
+    availabilityViewInterval: 30,
+  });
+
+  const busy = [];
+  const unchecked = [];
+  (result.value || []).forEach((schedule) => {
+    const who =
+      schedule.scheduleId.toLowerCase() === ownAddress ? "primary" : schedule.scheduleId;
+    if (schedule.error) {
+      unchecked.push(who);
+      return;
+    }
+    (schedule.scheduleItems || [])
+      .filter((item) => item.status !== "free")
+      .forEach((item) => {
+        busy.push({
+          who,
+          start: moment.utc(item.start.dateTime).toISOString(),
+          end: moment.utc(item.end.dateTime).toISOString(),
+        });
+      });
+  });
+
+  return { busy, unchecked };
+}
+
+module.exports = {
+  isMicrosoftConfigured,
+  getMicrosoftAuthUrl,
+  exchangeMicrosoftCode,
+  getMicrosoftAccountEmail,
+  createMicrosoftMeeting,
+  queryMicrosoftBusy,
+};
@@ -0,0 +1,84 @@
+-- Normalized tasks table
+--
+-- Moves tasks out of the `tasks` JSON array on each `grouped_tasks` row into
+-- one row per task. Column names match the keys the bot already used inside
+-- the JSON entries; name, phone and "employerNumber" identify the assignee's
+-- `grouped_tasks` row. `due_at` is the indexed copy of `due_date` (stored as
+-- "YYYY-MM-DD HH:mm" in IST).
+
+create table if not exists tasks (
+  "taskId" text primary key,
+  name text not null,
+  phone text not null,
+  "employerNumber" text not null,
+  "assignerNumber" text,
+  watchers jsonb not null default '[]'::jsonb,
+  task_details text not null,
+  task_done text not null default 'Pending',
+  reason text,
+  due_date text,
+  due_at timestamptz,
+  started_at text,
+  reminder text not null default 'true',
+  reminder_type text not null default 'recurring',
+  reminder_frequency text,
+  "reminderDateTime" text,
+  next_reminder_at timestamptz,
+  last_reminder_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists tasks_task_done_idx on tasks (task_done);
+create index if not exists tasks_due_at_idx on tasks (due_at);
+create index if not exists tasks_assigner_number_idx on tasks ("assignerNumber");
+create index if not exists tasks_employer_number_idx on tasks ("employerNumber");
+create index if not exists tasks_phone_idx on tasks (phone);
+
+-- Copy the existing JSON arrays over. Re-running skips tasks already moved.
+insert into tasks (
+  "taskId",
+  name,
+  phone,
+  "employerNumber",
+  "assignerNumber",
+  watchers,
+  task_details,
+  task_done,
+  reason,
+  due_date,
+  due_at,
+  started_at,
+  reminder,
+  reminder_type,
+  reminder_frequency,
+  "reminderDateTime",
+  next_reminder_at,
+  last_reminder_at
+)
+select
+  t ->> 'taskId',
+  g.name,
+  g.phone,
+  g."employerNumber",
+  coalesce(t ->> 'assignerNumber', g."employerNumber"),
+  coalesce(t -> 'watchers', '[]'::jsonb),
+  t ->> 'task_details',
+  coalesce(t ->> 'task_done', 'Pending'),
+  t ->> 'reason',
+  t ->> 'due_date',
+  case
+    when t ->> 'due_date' ~ '^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$'
+      then (t ->> 'due_date')::timestamp at time zone 'Asia/Kolkata'
+  end,
+  t ->> 'started_at',
+  coalesce(t ->> 'reminder', 'true'),
+  coalesce(t ->> 'reminder_type', 'recurring'),
+  t ->> 'reminder_frequency',
+  t ->> 'reminderDateTime',
+  (t ->> 'next_reminder_at')::timestamptz,
+  (t ->> 'last_reminder_at')::timestamptz
+from grouped_tasks g
+cross join lateral jsonb_array_elements(coalesce(g.tasks::jsonb, '[]'::jsonb)) as t
+where t ->> 'taskId' is not null
+  and t ->> 'task_details' is not null
+on conflict ("taskId") do nothing;
@@ -0,0 +1,15 @@
+-- Per-user and per-assignee timezones
+--
+-- `user_settings` holds preferences of anyone who messages the bot, keyed by
+-- their WhatsApp number. Assignees get their own zone on `grouped_tasks`, and
+-- each task remembers the zone its due date and reminder time were given in.
+
+create table if not exists user_settings (
+  phone_number text primary key,
+  timezone text not null default 'Asia/Kolkata',
+  updated_at timestamptz not null default now()
+);
+
+alter table grouped_tasks add column if not exists timezone text;
+
+alter table tasks add column if not exists timezone text not null default 'Asia/Kolkata';
@@ -0,0 +1,13 @@
+-- Escalation rules
+--
+-- Each assigner's escalation policy lives in `user_settings`. Tasks track how
+-- many times the assignee answered "No", when the assigner was told the task
+-- is overdue, when it was escalated, and the reminder frequency to go back to
+-- after reminders were made more frequent near the deadline.
+
+alter table user_settings add column if not exists escalation_policy jsonb;
+
+alter table tasks add column if not exists no_count integer not null default 0;
+alter table tasks add column if not exists overdue_notified_at timestamptz;
+alter table tasks add column if not exists escalated_at timestamptz;
+alter table tasks add column if not exists base_reminder_frequency text;
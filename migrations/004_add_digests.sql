@@ -0,0 +1,12 @@
+-- Manager digests
+--
+-- Managers choose when their team digest is sent. `digest_frequency` is
+-- 'daily', 'weekly' or null when turned off; `digest_day` is the weekday name
+-- of weekly digests. Tasks record when they were completed so the digest can
+-- list what was finished in the period.
+
+alter table user_settings add column if not exists digest_frequency text;
+alter table user_settings add column if not exists digest_time text;
+alter table user_settings add column if not exists digest_day text;
+
+alter table tasks add column if not exists completed_at timestamptz;
@@ -0,0 +1,39 @@
+-- Team roster management
+--
+-- Team members added over WhatsApp start as 'invited' and become 'active'
+-- once they reply JOIN ('declined' if they don't want tasks). Managers can
+-- deactivate members ('inactive'). Existing members are treated as active.
+
+alter table grouped_tasks add column if not exists status text not null default 'active';
+alter table grouped_tasks add column if not exists opted_in_at timestamptz;
+
+-- Members used to be added by hand, so one may have several rows. Keep the
+-- first row of each, taking a timezone from a duplicate when it has none;
+-- tasks point at ("employerNumber", phone), not at a row. Re-running finds
+-- nothing left to merge.
+update grouped_tasks kept
+set timezone = duplicate.timezone
+from grouped_tasks duplicate
+where duplicate."employerNumber" = kept."employerNumber"
+  and duplicate.phone = kept.phone
+  and duplicate.ctid > kept.ctid
+  and kept.timezone is null
+  and duplicate.timezone is not null
+  and not exists (
+    select 1 from grouped_tasks earlier
+    where earlier."employerNumber" = kept."employerNumber"
+      and earlier.phone = kept.phone
+      and earlier.ctid < kept.ctid
+  );
+
+delete from grouped_tasks duplicate
+using grouped_tasks kept
+where duplicate."employerNumber" = kept."employerNumber"
+  and duplicate.phone = kept.phone
+  and duplicate.ctid > kept.ctid;
+
+create unique index if not exists grouped_tasks_employer_phone_idx
+  on grouped_tasks ("employerNumber", phone);
+
+-- Members who were already receiving tasks count as having joined
+update grouped_tasks set opted_in_at = now() where status = 'active' and opted_in_at is null;
@@ -0,0 +1,13 @@
+-- API keys for the internal HTTP endpoints
+--
+-- Employers create keys over WhatsApp ("create api key"). Only the SHA-256
+-- hash of each key is stored; requests made with a key are limited to the
+-- employer that created it.
+
+create table if not exists api_keys (
+  key_hash text primary key,
+  employer_number text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists api_keys_employer_number_idx on api_keys (employer_number);
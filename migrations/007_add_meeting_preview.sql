@@ -0,0 +1,6 @@
+-- Meeting previews
+--
+-- Before a meeting is created the bot shows its details and waits for Yes,
+-- Edit or Cancel. Users can turn this off with "meeting preview off".
+
+alter table user_settings add column if not exists meeting_preview boolean not null default true;
@@ -0,0 +1,19 @@
+-- Contact book
+--
+-- Names the user can invite to meetings instead of typing emails. Contacts
+-- are added over WhatsApp ('manual') or imported from Google ('google').
+-- Team members can also have an email on their roster entry.
+
+create table if not exists contacts (
+  id bigint generated always as identity primary key,
+  owner_number text not null,
+  name text not null,
+  email text not null,
+  source text not null default 'manual',
+  created_at timestamptz not null default now(),
+  unique (owner_number, email)
+);
+
+create index if not exists contacts_owner_number_idx on contacts (owner_number);
+
+alter table grouped_tasks add column if not exists email text;
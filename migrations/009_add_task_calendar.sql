@@ -0,0 +1,11 @@
+-- Task deadlines on Google Calendar
+--
+-- `task_calendar` is 'assigner', 'assignee' or null when turned off. Each task
+-- remembers its deadline event and whose calendar it is on, and follow-up
+-- tasks remember the meeting they came from.
+
+alter table user_settings add column if not exists task_calendar text;
+
+alter table tasks add column if not exists calendar_event_id text;
+alter table tasks add column if not exists calendar_owner text;
+alter table tasks add column if not exists meeting_event_id text;
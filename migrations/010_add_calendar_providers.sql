@@ -0,0 +1,28 @@
+-- Meeting providers
+--
+-- Users can link Google, Microsoft (Outlook/Teams) and Zoom, so
+-- `user_tokens` keeps one refresh token per user and provider. Existing
+-- tokens are Google's. `meeting_provider` is the one new meetings are booked
+-- with.
+
+alter table user_tokens add column if not exists provider text not null default 'google';
+
+-- A phone number may now have several rows
+do $$
+begin
+  if exists (
+    select 1
+    from pg_index i
+    join pg_attribute a on a.attrelid = i.indrelid and a.attnum = any (i.indkey)
+    where i.indrelid = 'user_tokens'::regclass
+      and i.indisprimary
+      and a.attname = 'phone_number'
+  ) then
+    alter table user_tokens drop constraint user_tokens_pkey;
+  end if;
+end $$;
+alter table user_tokens drop constraint if exists user_tokens_phone_number_key;
+create unique index if not exists user_tokens_phone_number_provider_idx
+  on user_tokens (phone_number, provider);
+
+alter table user_settings add column if not exists meeting_provider text;
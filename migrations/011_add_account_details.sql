@@ -0,0 +1,8 @@
+-- Linked account details
+--
+-- The email of the account each token belongs to, shown by "google status",
+-- and when it was linked. Tokens linked before this have no email until the
+-- next status check fills it in.
+
+alter table user_tokens add column if not exists account_email text;
+alter table user_tokens add column if not exists linked_at timestamptz not null default now();
@@ -0,0 +1,22 @@
+-- Conversation sessions
+--
+-- What the bot is in the middle of with each WhatsApp number: a task being
+-- created or edited, a reminder awaiting Yes/No (`user_session`) and a meeting
+-- being set up (`meeting_session`). Each expires on its own; expired ones are
+-- ignored when loaded.
+--
+-- A server instance handling a message for a number holds its row's lock
+-- (`locked_by`, `locked_until`) until it saves, so instances sharing the table
+-- never handle the same number's messages at once. A lock left behind by a
+-- crashed instance lapses at `locked_until`.
+
+create table if not exists conversation_sessions (
+  phone_number text primary key,
+  user_session jsonb,
+  user_session_expires_at timestamptz,
+  meeting_session jsonb,
+  meeting_session_expires_at timestamptz,
+  locked_by text,
+  locked_until timestamptz,
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,41 @@
+/**
+ * OpenAI Client
+ *
+ * The OpenAI client shared by the bot, created from OPENAI_API_KEY on first
+ * use and counting usage against the daily budget. A client set with
+ * setOpenAIClient() is used instead, e.g. a local fake in tests.
+ */
+
+const { OpenAI } = require("openai");
+
+const { trackOpenAIUsage } = require("./webhookSecurity");
+require("dotenv").config();
+
+let client = null;
+
+/**
+ * Get the OpenAI client, creating it on first use
+ * @returns {Object} OpenAI client
+ */
+function getOpenAIClient() {
+  if (!client) {
+    client = trackOpenAIUsage(new OpenAI({ apiKey: process.env.OPENAI_API_KEY }));
+  }
+  return client;
+}
+
+/**
+ * Use another OpenAI client from now on, still counted against the budget
+ * @param {Object} replacement - Client with the openai SDK's chat API
+ */
+function setOpenAIClient(replacement) {
+  client = trackOpenAIUsage(replacement);
+}
+
+module.exports = {
+  get chat() {
+    return getOpenAIClient().chat;
+  },
+  getOpenAIClient,
+  setOpenAIClient,
+};
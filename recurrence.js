@@ -0,0 +1,47 @@
+/**
+ * Recurrence
+ *
+ * Reads the RRULEs GPT extracts for recurring meetings (e.g.
+ * "RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250630T000000Z") so they can be
+ * described to the user or converted for calendars that don't take RRULEs.
+ */
+
+const moment = require("moment-timezone");
+
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * Split an RRULE into its parts
+ * @param {string} recurrence - RRULE string, with or without the "RRULE:" prefix
+ * @returns {{freq: string|null, interval: number, byDay: Array<string>,
+ *   count: number|null, until: moment.Moment|null}} Parsed rule; byDay holds
+ *   two-letter codes like "MO", until is the last day in UTC
+ */
+function parseRecurrenceRule(recurrence) {
+  const rule = {};
+  String(recurrence || "")
+    .replace(/^RRULE:/i, "")
+    .split(";")
+    .forEach((part) => {
+      const [key, value] = part.split("=");
+      if (key && value) rule[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    });
+
+  const until = rule.UNTIL ? moment.utc(rule.UNTIL.slice(0, 8), "YYYYMMDD") : null;
+  return {
+    freq: rule.FREQ || null,
+    interval: parseInt(rule.INTERVAL, 10) || 1,
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(",")
+          .map((day) => day.slice(-2))
+          .filter((day) => WEEKDAY_CODES.includes(day))
+      : [],
+    count: parseInt(rule.COUNT, 10) || null,
+    until: until && until.isValid() ? until : null,
+  };
+}
+
+module.exports = {
+  WEEKDAY_CODES,
+  parseRecurrenceRule,
+};
@@ -0,0 +1,347 @@
+/**
+ * Reminder Replies
+ *
+ * Sends task reminders to assignees and handles their answers. Each open
+ * reminder gets a number so an assignee with several of them can answer
+ * "Yes 2" or "No 1"; a No is followed by a question about the reason, which
+ * goes back to the assigner.
+ */
+
+const { sendMessage, notifyTaskOwners } = require("./messaging");
+const { cancelReminder } = require("./reminderScheduler");
+const { updateTask, getTeamMember } = require("./taskStore");
+const { formatInTimezone } = require("./timezones");
+const { recordNoAnswer } = require("./escalations");
+const { syncTaskEvent } = require("./taskCalendar");
+const { userSessions, meetingSessions, withSessions } = require("./sessions");
+
+// ============================================================================
+// REMINDERS
+// ============================================================================
+
+/**
+ * Check whether a session only holds reminder questions, as opposed to
+ * another conversation a reminder came in the middle of
+ * @param {Object} [session] - Entry of userSessions
+ * @returns {boolean} True for the Yes/No and reason steps
+ */
+function isReminderSession(session) {
+  return [5, 6].includes(session?.step);
+}
+
+/**
+ * Start a session for reminder questions. While a meeting is being set up it
+ * gets no step, so the meeting keeps the assignee's plain answers.
+ * @param {string} assigneeNumber - Assignee's WhatsApp number
+ * @returns {Object} New userSessions entry
+ */
+function createReminderSession(assigneeNumber) {
+  return meetingSessions[assigneeNumber]
+    ? { conversationHistory: [] }
+    : { step: 5, conversationHistory: [] };
+}
+
+/**
+ * Add a reminder to the assignee's open Yes/No questions, numbering it when
+ * there are several or when the assignee is in the middle of something else
+ * @param {string} assigneeNumber - Assignee's WhatsApp number
+ * @param {Object} task - Task row the reminder is for
+ * @returns {string} How to answer this reminder
+ */
+function addReminderPrompt(assigneeNumber, task) {
+  // Earlier open questions and any conversation in progress stay as they are
+  let session = userSessions[assigneeNumber];
+  if (!session) {
+    session = createReminderSession(assigneeNumber);
+    userSessions[assigneeNumber] = session;
+  }
+  if (!session.pendingReminders) session.pendingReminders = [];
+
+  const prompts = session.pendingReminders;
+  let prompt = prompts.find((entry) => entry.taskId === task.taskId);
+  if (!prompt) {
+    let number = 1;
+    while (prompts.some((entry) => entry.number === number)) number++;
+
+    prompt = { number, taskId: task.taskId, task: task.task_details };
+    prompts.push(prompt);
+  }
+
+  return prompts.length > 1 || !isReminderSession(session)
+    ? `Reply with *Yes ${prompt.number}* or *No ${prompt.number}*.`
+    : "Reply with Yes or No.";
+}
+
+/**
+ * Send a task reminder to the assignee and wait for their Yes/No reply.
+ * Each open reminder gets a number so an assignee with several of them can
+ * answer "Yes 2" or "No 1" without the replies getting mixed up.
+ * @param {Object} task - Task row the reminder is for
+ */
+async function deliverReminder(task) {
+  const assigneeNumber = `whatsapp:+${task.phone}`;
+
+  let assignee = null;
+  try {
+    assignee = await getTeamMember(task.employerNumber, task.phone);
+  } catch (error) {
+    console.error("Error fetching assignee timezone:", error);
+  }
+
+  // Waits for any message of the assignee being handled right now
+  let replyHint;
+  try {
+    replyHint = await withSessions(assigneeNumber, () => addReminderPrompt(assigneeNumber, task));
+  } catch (error) {
+    console.error(`Error saving the reminder question for ${assigneeNumber}:`, error);
+    return;
+  }
+
+  sendMessage(
+    assigneeNumber,
+    `⏰ *Reminder*\n\nHas the task *${task.task_details}* assigned to you been completed yet?\n✉️ ${replyHint}\n📅 *Due:* ${formatInTimezone(
+      task.due_date,
+      task.timezone,
+      assignee?.timezone
+    )}`
+  );
+}
+
+// "done", "completed", "I've finished it" and the like
+const FINISHED_PATTERN = "(?:i(?:'ve|\\s+have)?\\s+)?(?:done|completed?|finished)(?:\\s+it)?";
+const YES_PATTERN = `(?:yes|yeah|yep|y|👍[\\u{1F3FB}-\\u{1F3FF}]?|✅|${FINISHED_PATTERN})(?:[,\\s]+${FINISHED_PATTERN})?`;
+const NO_PATTERN = "(?:no|nope|n|not\\s+(?:yet|done|completed)|👎[\\u{1F3FB}-\\u{1F3FF}]?|❌)(?:[,\\s]+not\\s+yet)?";
+const REMINDER_REPLY_PATTERN = new RegExp(
+  `^(?:(${YES_PATTERN})|${NO_PATTERN})[,\\s]*(?:for\\s+)?(?:task\\s+)?#?(\\d+)?[.!]?$`,
+  "u"
+);
+
+/**
+ * Parse an answer to a reminder such as "Yes", "no 2", "done #1", "not yet"
+ * or 👍
+ * @param {string} message - Assignee's reply
+ * @returns {{answer: string, number: number|null}|null} Parsed answer or null
+ */
+function parseReminderReply(message) {
+  const match = message.trim().toLowerCase().match(REMINDER_REPLY_PATTERN);
+  if (!match) return null;
+
+  return {
+    answer: match[1] ? "yes" : "no",
+    number: match[2] ? parseInt(match[2], 10) : null,
+  };
+}
+
+/**
+ * Format open reminders as a numbered list
+ * @param {Array<Object>} prompts - Open reminder prompts of an assignee
+ * @returns {string} Numbered list
+ */
+function formatReminderPrompts(prompts) {
+  return prompts.map((prompt) => `${prompt.number}. ${prompt.task}`).join("\n");
+}
+
+/**
+ * Drop an answered reminder and either close the session or ask about the rest
+ * @param {Object} session - Assignee's session
+ * @param {string} taskId - Task that was answered
+ * @param {string} From - Assignee's phone number
+ */
+function finishReminderPrompt(session, taskId, From) {
+  session.pendingReminders = session.pendingReminders.filter(
+    (prompt) => prompt.taskId !== taskId
+  );
+  delete session.reasonFor;
+
+  // The conversation the reminder came in the middle of carries on
+  if (!isReminderSession(session)) {
+    if (session.pendingReminders.length === 0) {
+      delete session.pendingReminders;
+    } else {
+      sendMessage(
+        From,
+        `You still have ${session.pendingReminders.length} open reminder(s):\n${formatReminderPrompts(
+          session.pendingReminders
+        )}\n\n✉️ Reply with *Yes <number>* or *No <number>*.`
+      );
+    }
+    return;
+  }
+
+  if (session.pendingReminders.length === 0) {
+    delete userSessions[From];
+    return;
+  }
+
+  session.step = 5;
+  sendMessage(
+    From,
+    `You still have ${session.pendingReminders.length} open reminder(s):\n${formatReminderPrompts(
+      session.pendingReminders
+    )}\n\n✉️ Reply with *Yes <number>* or *No <number>*.`
+  );
+}
+
+// ============================================================================
+// REPLIES
+// ============================================================================
+
+/**
+ * Handle an assignee's answer to a reminder: Yes or No, the number of the
+ * task it is for, or the reason a task wasn't completed
+ * @param {string} userMessage - Assignee's reply
+ * @param {string} From - Assignee's phone number
+ */
+async function handleReminderReply(userMessage, From) {
+  const session = userSessions[From];
+
+  if (!session.reasonFor) {
+    const prompts = session.pendingReminders || [];
+    let reply = parseReminderReply(userMessage);
+
+    // A bare number answers the earlier "which task?" question
+    if (!reply && session.pendingAnswer && /^\d+$/.test(userMessage.trim())) {
+      reply = {
+        answer: session.pendingAnswer,
+        number: parseInt(userMessage.trim(), 10),
+      };
+    }
+
+    if (!reply) {
+      sendMessage(
+        From,
+        prompts.length > 1 || !isReminderSession(session)
+          ? `Please respond with 'Yes <number>' or 'No <number>':\n${formatReminderPrompts(prompts)}`
+          : "Please respond with 'Yes' or 'No'."
+      );
+      return;
+    }
+
+    const prompt = reply.number
+      ? prompts.find((entry) => entry.number === reply.number)
+      : prompts.length === 1
+      ? prompts[0]
+      : null;
+
+    if (!prompt) {
+      const question = `${
+        reply.number ? `There is no reminder number ${reply.number}. ` : ""
+      }Which task is your "${reply.answer === "yes" ? "Yes" : "No"}" for?`;
+
+      // A bare number would go to the conversation in progress
+      if (!isReminderSession(session)) {
+        sendMessage(
+          From,
+          `${question} Reply with *Yes <number>* or *No <number>*:\n${formatReminderPrompts(prompts)}`
+        );
+        return;
+      }
+
+      session.pendingAnswer = reply.answer;
+      sendMessage(From, `${question} Reply with its number:\n${formatReminderPrompts(prompts)}`);
+      return;
+    }
+    delete session.pendingAnswer;
+
+    const taskId = prompt.taskId;
+
+    if (reply.answer === "yes") {
+      let updatedTask;
+      try {
+        updatedTask = await updateTask(taskId, {
+          task_done: "Completed",
+          completed_at: new Date().toISOString(),
+        });
+      } catch (updateError) {
+        console.error("Error updating task:", updateError);
+      }
+
+      if (!updatedTask) {
+        sendMessage(
+          From,
+          "Sorry, there was an error marking the task as completed."
+        );
+      } else {
+        sendMessage(
+          From,
+          `Thank you! The task *${prompt.task}* has been marked as completed! ✅`
+        );
+        notifyTaskOwners(
+          updatedTask,
+          updatedTask.employerNumber,
+          `The task with ID ${taskId} was completed. ✅`
+        );
+
+        cancelReminder(taskId);
+        await syncTaskEvent(updatedTask);
+      }
+
+      finishReminderPrompt(session, taskId, From);
+    } else {
+      sendMessage(
+        From,
+        `⚠️ Why has the task *${prompt.task}* not been completed? Please provide a reason.`
+      );
+
+      if (session.step === 5) session.step = 6;
+      session.reasonFor = taskId;
+    }
+  } else {
+    const reason = userMessage.trim();
+    const taskId = session.reasonFor;
+
+    let updatedTask;
+    try {
+      updatedTask = await updateTask(taskId, {
+        task_done: "Not Completed",
+        reason,
+      });
+    } catch (updateError) {
+      console.error("Error updating task with reason:", updateError);
+    }
+
+    if (!updatedTask) {
+      sendMessage(From, "Sorry, there was an error saving the reason. ⚠️");
+    } else {
+      sendMessage(From, "📤 Your response has been sent to the assigner.");
+      notifyTaskOwners(
+        updatedTask,
+        updatedTask.employerNumber,
+        `⚠️ *Task Not Completed*\n\nThe task with ID ${taskId} was not completed.\n📝 *Reason:* ${reason.trim()}`
+      );
+      await recordNoAnswer(updatedTask);
+    }
+
+    finishReminderPrompt(session, taskId, From);
+  }
+}
+
+/**
+ * Run a message handler without losing the open reminders of a conversation
+ * that the message ends or starts over
+ * @param {string} From - User's phone number
+ * @param {Function} handle - Async message handler
+ */
+async function keepReminderPrompts(From, handle) {
+  const session = userSessions[From];
+  try {
+    await handle();
+  } finally {
+    const { pendingReminders, reasonFor } = session || {};
+    if (pendingReminders?.length && !isReminderSession(session) && userSessions[From] !== session) {
+      if (!userSessions[From]) {
+        userSessions[From] = createReminderSession(From);
+        if (reasonFor && userSessions[From].step === 5) userSessions[From].step = 6;
+      }
+      userSessions[From].pendingReminders = pendingReminders;
+      if (reasonFor) userSessions[From].reasonFor = reasonFor;
+    }
+  }
+}
+
+module.exports = {
+  deliverReminder,
+  parseReminderReply,
+  handleReminderReply,
+  keepReminderPrompts,
+};
@@ -0,0 +1,373 @@
+/**
+ * Reminder Scheduler
+ *
+ * Schedules task reminders and keeps the schedule on the task rows in the
+ * `tasks` table, so pending reminders can be rebuilt after a restart and
+ * reminders that fell due while the server was down are caught up.
+ */
+
+const cron = require("node-cron");
+const moment = require("moment-timezone");
+
+const { getTask, listTasks, updateTask } = require("./taskStore");
+const { DEFAULT_TIMEZONE, DATE_TIME_FORMAT } = require("./timezones");
+
+// setTimeout overflows past ~24.8 days, longer delays are re-armed in steps
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const cronJobs = new Map(); // Map to store reminder jobs for each task
+let reminderHandler = null;
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Register the function that delivers a reminder to the assignee
+ * @param {Function} handler - Called with the task when a reminder fires
+ */
+function setReminderHandler(handler) {
+  reminderHandler = handler;
+}
+
+/**
+ * Convert a frequency like "every 3 mins" into a cron expression. Cron steps
+ * start over every hour, day or month, so longer steps like "every 90 minutes"
+ * have no cron expression and are rejected.
+ * @param {string} reminderFrequency - Reminder frequency text
+ * @returns {{cronExpression: string, intervalMs: number}|null} Schedule or null
+ */
+function parseFrequency(reminderFrequency) {
+  const frequencyPattern =
+    /(\d+)\s*(minute|min|mins|hour|hr|hrs|hours|day|days)s?/;
+  const match = reminderFrequency?.match(frequencyPattern);
+
+  if (!match) return null;
+
+  const quantity = parseInt(match[1], 10);
+  const unit = match[2];
+
+  if (quantity < 1) return null;
+
+  if (unit === "minute" || unit === "min" || unit === "mins") {
+    if (quantity > 59) return null;
+    return {
+      cronExpression: `*/${quantity} * * * *`,
+      intervalMs: quantity * 60 * 1000,
+    };
+  }
+  if (unit === "hour" || unit === "hours" || unit === "hrs" || unit === "hr") {
+    if (quantity > 23) return null;
+    return {
+      cronExpression: `0 */${quantity} * * *`,
+      intervalMs: quantity * 60 * 60 * 1000,
+    };
+  }
+  if (unit === "day" || unit === "days") {
+    if (quantity > 31) return null;
+    return {
+      cronExpression: `0 0 */${quantity} * *`,
+      intervalMs: quantity * 24 * 60 * 60 * 1000,
+    };
+  }
+  return null;
+}
+
+/**
+ * Check whether a task still wants reminders
+ * @param {Object} task - Task row
+ * @returns {boolean} True if reminders should keep firing
+ */
+function needsReminder(task) {
+  return !(
+    task.reminder !== "true" ||
+    task.task_done === "Completed" ||
+    task.task_done === "No" ||
+    task.task_done === "Reminder sent" ||
+    !task.task_details
+  );
+}
+
+/**
+ * Get the one-time reminder moment of a task
+ * @param {Object} task - Task row
+ * @returns {moment.Moment} Reminder time in the zone the task was created in
+ */
+function getReminderTime(task) {
+  return moment.tz(
+    task.reminderDateTime || task.due_date,
+    DATE_TIME_FORMAT,
+    task.timezone || DEFAULT_TIMEZONE
+  );
+}
+
+/**
+ * Save reminder bookkeeping on a task without letting a failed write stop the job
+ * @param {string} taskId - Task ID
+ * @param {Object} changes - Fields to update on the task
+ */
+async function saveSchedule(taskId, changes) {
+  try {
+    await updateTask(taskId, changes);
+  } catch (error) {
+    console.error(`Error saving reminder schedule for task ${taskId}:`, error);
+  }
+}
+
+// ============================================================================
+// REMINDER JOBS
+// ============================================================================
+
+/**
+ * Stop and forget the reminder job for a task
+ * @param {string} taskId - Task ID
+ */
+function cancelReminder(taskId) {
+  const entry = cronJobs.get(taskId);
+  if (!entry) return;
+
+  if (entry.job) entry.job.stop();
+  if (entry.timer) clearTimeout(entry.timer);
+  cronJobs.delete(taskId);
+}
+
+/**
+ * Stop every in-memory reminder job, leaving the saved schedules alone so
+ * restoreReminders() can pick them up again
+ */
+function cancelAllReminders() {
+  [...cronJobs.keys()].forEach(cancelReminder);
+}
+
+/**
+ * Send the reminder for a task and record when the next one is due
+ * @param {string} taskId - Task ID
+ */
+async function fireReminder(taskId) {
+  console.log(`Checking reminder for task ${taskId}...`);
+
+  let task;
+  try {
+    task = await getTask(taskId);
+  } catch (error) {
+    console.error(`Error fetching task ${taskId}:`, error);
+    return;
+  }
+
+  if (!task) {
+    console.log(`No matching task found for task ${taskId}. Stopping reminder.`);
+    cancelReminder(taskId);
+    return;
+  }
+
+  if (!needsReminder(task)) {
+    console.log(
+      `Task ${taskId} doesn't need reminder anymore. Stopping reminder.`
+    );
+    cancelReminder(taskId);
+    return;
+  }
+
+  console.log(`Sending reminder to: ${task.phone} for task ${taskId}`);
+  if (reminderHandler) await reminderHandler(task);
+
+  const now = moment();
+
+  // For one-time reminders, mark task to stop further reminders
+  if (task.reminder_type === "one-time") {
+    await saveSchedule(taskId, {
+      reminder: "false",
+      last_reminder_at: now.toISOString(),
+      next_reminder_at: null,
+    });
+    cancelReminder(taskId);
+    return;
+  }
+
+  const schedule = parseFrequency(task.reminder_frequency);
+  await saveSchedule(taskId, {
+    last_reminder_at: now.toISOString(),
+    next_reminder_at: schedule
+      ? now.clone().add(schedule.intervalMs, "ms").toISOString()
+      : null,
+  });
+}
+
+/**
+ * Send a reminder from a timer or cron job, which would leave a failure
+ * unhandled
+ * @param {string} taskId - Task ID
+ * @returns {Promise<void>} Settles once the reminder is handled
+ */
+function fireScheduledReminder(taskId) {
+  return fireReminder(taskId).catch((error) => {
+    console.error(`Error sending reminder for task ${taskId}:`, error);
+  });
+}
+
+/**
+ * Arm the in-memory job for a task whose schedule is already saved
+ * @param {Object} task - Task row
+ */
+function startJob(task) {
+  const { taskId } = task;
+
+  if (task.reminder_type === "one-time") {
+    const delay = getReminderTime(task).diff(moment());
+    const timer = setTimeout(async () => {
+      if (delay > MAX_TIMEOUT_MS) {
+        cronJobs.delete(taskId);
+        startJob(task);
+        return;
+      }
+      await fireScheduledReminder(taskId);
+    }, Math.max(Math.min(delay, MAX_TIMEOUT_MS), 0));
+
+    cronJobs.set(taskId, { type: "one-time", timer });
+    return;
+  }
+
+  const { cronExpression } = parseFrequency(task.reminder_frequency);
+  const job = cron.schedule(cronExpression, () => fireScheduledReminder(taskId), {
+    timezone: task.timezone || DEFAULT_TIMEZONE,
+  });
+  cronJobs.set(taskId, { type: "recurring", job });
+}
+
+/**
+ * Schedule reminders for a task and save the schedule with the task
+ * @param {Object} reminder - Reminder details
+ * @param {string} reminder.taskId - Task ID
+ * @param {string} reminder.reminder_type - "recurring" or "one-time"
+ * @param {string} [reminder.reminder_frequency] - e.g. "every 3 mins"
+ * @param {string} [reminder.reminderDateTime] - "YYYY-MM-DD HH:mm" in the task's zone
+ * @param {string} [reminder.dueDateTime] - Fallback time for one-time reminders
+ * @param {string} [reminder.timezone] - Zone the times were given in
+ * @returns {Promise<{ok: boolean, message: string}>} Scheduling result
+ */
+async function scheduleReminder({
+  taskId,
+  reminder_type,
+  reminder_frequency,
+  reminderDateTime,
+  dueDateTime,
+  timezone,
+}) {
+  if (cronJobs.has(taskId)) {
+    console.log(
+      `Cron job already exists for task ${taskId}. Ignoring duplicate trigger.`
+    );
+    return { ok: true, message: "Reminder already scheduled" };
+  }
+
+  const task = {
+    taskId,
+    reminder_type: reminder_type || "recurring",
+    reminder_frequency,
+    reminderDateTime: reminderDateTime || dueDateTime,
+    timezone: timezone || DEFAULT_TIMEZONE,
+  };
+
+  if (task.reminder_type === "one-time") {
+    const reminderTime = getReminderTime(task);
+
+    if (!reminderTime.isValid()) {
+      return { ok: false, message: "Invalid reminder date and time" };
+    }
+
+    await saveSchedule(taskId, {
+      reminder_type: "one-time",
+      reminderDateTime: task.reminderDateTime,
+      next_reminder_at: reminderTime.toISOString(),
+    });
+
+    if (reminderTime.diff(moment()) <= 0) {
+      console.log(`Task ${taskId} due date is in the past. Sending reminder now.`);
+      await fireReminder(taskId);
+      return { ok: true, message: "One-time reminder sent" };
+    }
+
+    startJob(task);
+    console.log(
+      `Scheduled one-time reminder for task ${taskId} at ${task.reminderDateTime}`
+    );
+    return { ok: true, message: "One-time reminder scheduled" };
+  }
+
+  const schedule = parseFrequency(reminder_frequency);
+  if (!schedule) {
+    console.log("Invalid reminder frequency format");
+    return { ok: false, message: "Invalid reminder frequency format" };
+  }
+
+  await saveSchedule(taskId, {
+    reminder_type: "recurring",
+    reminder_frequency,
+    next_reminder_at: moment().add(schedule.intervalMs, "ms").toISOString(),
+  });
+
+  startJob(task);
+  console.log(
+    `Scheduled recurring reminder for task ${taskId} with frequency ${reminder_frequency}`
+  );
+  return { ok: true, message: "Recurring reminder scheduled" };
+}
+
+/**
+ * Rebuild reminder jobs from the tasks table after a restart and send the
+ * reminders that were missed while the server was down
+ * @returns {Promise<number>} Number of reminders restored
+ */
+async function restoreReminders() {
+  let tasks;
+  try {
+    tasks = await listTasks({ reminder: "true" });
+  } catch (error) {
+    console.error("Error restoring reminders:", error);
+    return 0;
+  }
+
+  const now = moment();
+  let restored = 0;
+
+  for (const task of tasks) {
+    if (cronJobs.has(task.taskId) || !needsReminder(task)) continue;
+
+    if (task.reminder_type === "one-time") {
+      const reminderTime = getReminderTime(task);
+      if (!reminderTime.isValid()) continue;
+
+      if (!reminderTime.isAfter(now)) {
+        console.log(`Catching up missed one-time reminder for task ${task.taskId}`);
+        await fireReminder(task.taskId);
+      } else {
+        startJob(task);
+      }
+      restored++;
+      continue;
+    }
+
+    if (!parseFrequency(task.reminder_frequency)) continue;
+
+    startJob(task);
+    restored++;
+
+    if (task.next_reminder_at && !moment(task.next_reminder_at).isAfter(now)) {
+      console.log(`Catching up missed recurring reminder for task ${task.taskId}`);
+      await fireReminder(task.taskId);
+    }
+  }
+
+  console.log(`Restored ${restored} reminder(s) from Supabase`);
+  return restored;
+}
+
+module.exports = {
+  setReminderHandler,
+  scheduleReminder,
+  cancelReminder,
+  cancelAllReminders,
+  fireReminder,
+  restoreReminders,
+  parseFrequency,
+};
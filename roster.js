@@ -0,0 +1,447 @@
+/**
+ * Roster
+ *
+ * Lets managers add, rename, deactivate and list their team members from
+ * WhatsApp instead of editing `grouped_tasks` in Supabase. New members are
+ * sent a welcome message and only receive tasks once they reply JOIN.
+ *
+ * Member status: "invited" → "active" (or "declined"), and "inactive" once
+ * deactivated by the manager. Deactivating pauses the reminders of the
+ * member's open tasks; they resume once the member is active again.
+ */
+
+const { sendMessage } = require("./messaging");
+const {
+  listTasks,
+  updateTask,
+  updateTasks,
+  getTeamMembers,
+  insertTeamMember,
+  updateTeamMembers,
+} = require("./taskStore");
+const { cancelReminder, scheduleReminder } = require("./reminderScheduler");
+
+// `reminder` of tasks whose reminders were stopped by a deactivation
+const PAUSED_REMINDER = "paused";
+
+const STATUS_LABELS = {
+  active: "✅ Active",
+  invited: "✉️ Invite sent",
+  declined: "🚫 Declined",
+  inactive: "⏸️ Deactivated",
+};
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Normalize a phone number to the digits stored in `grouped_tasks.phone`
+ * @param {string} input - Phone number as typed, e.g. "+91 98765-43210"
+ * @returns {string|null} Digits with country code, or null if not a valid number
+ */
+function normalizePhone(input) {
+  const text = String(input || "").trim().replace(/^whatsapp:/, "");
+  if (!/^(\+|00)?[\d\s().-]+$/.test(text)) return null;
+
+  const hasPrefix = /^(\+|00)/.test(text);
+  const digits = text.replace(/\D/g, "").replace(/^00/, "");
+
+  // Without a + we can't tell a local number from one with a country code
+  if (digits.length > 15 || digits.length < (hasPrefix ? 8 : 11)) return null;
+  if (digits.startsWith("0")) return null;
+  return digits;
+}
+
+/**
+ * Check whether a team member can be sent tasks
+ * @param {Object} member - grouped_tasks row
+ * @returns {boolean} True if the member has joined and is not deactivated
+ */
+function canReceiveTasks(member) {
+  return !member.status || member.status === "active";
+}
+
+/**
+ * Find a team member by exact name, or by a partial name matching only one
+ * @param {Array<Object>} members - grouped_tasks rows
+ * @param {string} name - Name typed by the manager
+ * @returns {{member?: Object, matches: Array<Object>}} Match, plus all candidates
+ */
+function findMember(members, name) {
+  const text = name.trim().toLowerCase();
+  const exact = members.filter((member) => member.name.toLowerCase() === text);
+  if (exact.length === 1) return { member: exact[0], matches: exact };
+
+  const matches = members.filter((member) =>
+    member.name.toLowerCase().includes(text)
+  );
+  return { member: matches.length === 1 ? matches[0] : undefined, matches };
+}
+
+/**
+ * Build the reply for a name that matched nobody or several members
+ * @param {string} name - Name typed by the manager
+ * @param {Array<Object>} matches - Candidates
+ * @returns {string} Reply message
+ */
+function describeNoMatch(name, matches) {
+  if (matches.length === 0) {
+    return `I couldn't find a team member called "${name}". Send *my team* to see everyone.`;
+  }
+  const names = matches
+    .map((member) => `• ${member.name} (…${String(member.phone).slice(-4)})`)
+    .join("\n");
+  return `More than one team member matches "${name}":\n${names}\n\nPlease use the full name.`;
+}
+
+/**
+ * Send the welcome and opt-in message to a new team member
+ * @param {Object} member - grouped_tasks row
+ */
+function sendInvite(member) {
+  sendMessage(
+    `whatsapp:+${member.phone}`,
+    `👋 Hi ${member.name}!\n\n${member.employerNumber.replace(
+      "whatsapp:",
+      ""
+    )} has added you to their team. Tasks and reminders from them will arrive in this chat.\n\nReply *JOIN* to accept, or *DECLINE* if you don't want to receive tasks.`
+  );
+}
+
+/**
+ * Explain to the assigner why a member can't be given tasks yet
+ * @param {Object} member - grouped_tasks row
+ * @returns {string} Reply message
+ */
+function describeUnavailableMember(member) {
+  if (member.status === "declined") {
+    return `🚫 ${member.name} declined to receive tasks, so I can't assign this one.`;
+  }
+  if (member.status === "inactive") {
+    return `⏸️ ${member.name} is deactivated. Send *reactivate ${member.name}* first.`;
+  }
+
+  sendInvite(member);
+  return `✉️ ${member.name} hasn't accepted your invite yet, so I can't send them tasks. I've sent the invite again — try once they reply *JOIN*.`;
+}
+
+// ============================================================================
+// ROSTER ACTIONS
+// ============================================================================
+
+/**
+ * Format the roster for WhatsApp
+ * @param {Array<Object>} members - grouped_tasks rows
+ * @returns {string} Roster message
+ */
+function formatRoster(members) {
+  if (members.length === 0) {
+    return "👥 You haven't added any team members yet.\n\nAdd one with *add team member Astik +919876543210*.";
+  }
+
+  const lines = members.map(
+    (member, index) =>
+      `${index + 1}. *${member.name}* — +${member.phone}\n   ${
+        STATUS_LABELS[member.status] || STATUS_LABELS.active
+      }`
+  );
+  return `👥 *Your Team* (${members.length})\n\n${lines.join("\n")}`;
+}
+
+/**
+ * Add a member to the sender's team and invite them
+ * @param {string} name - Member's name
+ * @param {string} phoneInput - Member's phone number as typed
+ * @param {string} From - Manager's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function addMember(name, phoneInput, From) {
+  const phone = normalizePhone(phoneInput);
+  if (!phone) {
+    return `⚠️ "${phoneInput}" doesn't look like a valid phone number. Include the country code, e.g. *+919876543210*.`;
+  }
+
+  const members = await getTeamMembers(From, { includeInactive: true });
+  const samePhone = members.find((member) => member.phone === phone);
+  if (samePhone) {
+    return samePhone.status === "inactive"
+      ? `+${phone} is already on your team as *${samePhone.name}* but deactivated. Send *reactivate ${samePhone.name}* to bring them back.`
+      : `+${phone} is already on your team as *${samePhone.name}*.`;
+  }
+  if (members.some((member) => member.name.toLowerCase() === name.toLowerCase())) {
+    return `You already have a team member called *${name}*. Please use a different name, e.g. with a surname.`;
+  }
+
+  const member = await insertTeamMember({
+    name,
+    phone,
+    employerNumber: From,
+    status: "invited",
+  });
+  sendInvite(member);
+
+  return `👥 Added *${member.name}* (+${phone}) to your team.\n\n✉️ I've sent them a welcome message. You can assign tasks to them once they reply *JOIN*.`;
+}
+
+/**
+ * Rename a team member on their roster entry and existing tasks
+ * @param {string} name - Current name
+ * @param {string} newName - New name
+ * @param {string} From - Manager's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function renameMember(name, newName, From) {
+  const members = await getTeamMembers(From, { includeInactive: true });
+  const { member, matches } = findMember(members, name);
+  if (!member) return describeNoMatch(name, matches);
+
+  const clash = members.find(
+    (other) =>
+      other !== member && other.name.toLowerCase() === newName.toLowerCase()
+  );
+  if (clash) return `You already have a team member called *${clash.name}*.`;
+
+  const oldName = member.name;
+  const filters = { employerNumber: From, phone: member.phone };
+  await updateTeamMembers(filters, { name: newName });
+  await updateTasks(filters, { name: newName });
+
+  return `✏️ *${oldName}* is now called *${newName}*.`;
+}
+
+/**
+ * Deactivate a team member and stop reminders for their open tasks
+ * @param {string} name - Member's name
+ * @param {string} From - Manager's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function deactivateMember(name, From) {
+  const members = await getTeamMembers(From);
+  const { member, matches } = findMember(members, name);
+  if (!member) return describeNoMatch(name, matches);
+
+  await updateTeamMembers(
+    { employerNumber: From, phone: member.phone },
+    { status: "inactive" }
+  );
+
+  const openTasks = (
+    await listTasks({ employerNumber: From, phone: member.phone })
+  ).filter((task) => task.task_done !== "Completed");
+  for (const task of openTasks) {
+    cancelReminder(task.taskId);
+    if (task.reminder === "true") {
+      await updateTask(task.taskId, { reminder: PAUSED_REMINDER, next_reminder_at: null });
+    }
+  }
+
+  const taskNote =
+    openTasks.length > 0
+      ? `\n\n📋 They still have ${openTasks.length} open task(s); reminders for them are paused until you reactivate them. Reassign with *reassign task <name> to <member>*.`
+      : "";
+  return `⏸️ *${member.name}* has been deactivated and won't receive new tasks.${taskNote}`;
+}
+
+/**
+ * Restart the reminders a deactivation paused
+ * @param {string} employerNumber - Manager's WhatsApp number
+ * @param {string} phone - Member's phone number without the whatsapp:+ prefix
+ * @returns {Promise<number>} Number of tasks reminding again
+ */
+async function resumeReminders(employerNumber, phone) {
+  const pausedTasks = (
+    await listTasks({ employerNumber, phone, reminder: PAUSED_REMINDER })
+  ).filter((task) => task.task_done !== "Completed");
+
+  for (const task of pausedTasks) {
+    await updateTask(task.taskId, { reminder: "true" });
+    await scheduleReminder({
+      taskId: task.taskId,
+      reminder_type: task.reminder_type,
+      reminder_frequency: task.reminder_frequency,
+      reminderDateTime: task.reminderDateTime,
+      dueDateTime: task.due_date,
+      timezone: task.timezone,
+    });
+  }
+  return pausedTasks.length;
+}
+
+/**
+ * Reactivate a deactivated team member
+ * @param {string} name - Member's name
+ * @param {string} From - Manager's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function reactivateMember(name, From) {
+  const members = await getTeamMembers(From, { includeInactive: true });
+  const { member, matches } = findMember(
+    members.filter((candidate) => candidate.status === "inactive"),
+    name
+  );
+  if (!member) {
+    const active = findMember(members, name).member;
+    return active
+      ? `*${active.name}* is not deactivated.`
+      : describeNoMatch(name, matches);
+  }
+
+  // Members who never joined have to accept the invite again
+  const status = member.opted_in_at ? "active" : "invited";
+  await updateTeamMembers(
+    { employerNumber: From, phone: member.phone },
+    { status }
+  );
+
+  if (status === "invited") {
+    sendInvite(member);
+    return `▶️ *${member.name}* is back on your team. I've sent the invite again; reminders for their open tasks restart once they reply JOIN.`;
+  }
+
+  const resumed = await resumeReminders(From, member.phone);
+  const reminderNote =
+    resumed > 0 ? `\n\n🔔 Reminders for their ${resumed} open task(s) are back on.` : "";
+  return `▶️ *${member.name}* is back on your team and can receive tasks again.${reminderNote}`;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Parse roster commands:
+ * - "my team", "list team members"
+ * - "add team member Astik +919876543210", "add Astik +919876543210 to my team"
+ * - "rename Astik to Astik Sharma"
+ * - "deactivate Astik", "remove Astik from my team", "reactivate Astik"
+ * @param {string} message - User's message
+ * @returns {Object|null} Command with action, name, phone and newName, or null
+ */
+function parseRosterCommand(message) {
+  const text = message.trim().replace(/[.!?]+$/, "").replace(/\s+/g, " ");
+
+  if (/^(?:list |show )?(?:my )?(?:team|team members|roster)$/i.test(text)) {
+    return { action: "list" };
+  }
+
+  const add = text.match(
+    /^add (?:a )?(?:new )?(?:team member |member )?([a-z][a-z .'-]*?),? (?:on |with (?:number |phone )?)?((?:\+|00)?[\d][\d\s().-]{6,})(?: to (?:my |the )?team)?$/i
+  );
+  if (add) return { action: "add", name: add[1].trim(), phone: add[2].trim() };
+
+  const rename = text.match(/^rename (?:team member )?(.+?) (?:to|as) (.+)$/i);
+  if (rename && !/^task\b/i.test(rename[1])) {
+    return { action: "rename", name: rename[1].trim(), newName: rename[2].trim() };
+  }
+
+  const deactivate = text.match(
+    /^(?:deactivate (?:team member )?(.+)|remove (.+?) from (?:my |the )?team)$/i
+  );
+  if (deactivate) {
+    return { action: "deactivate", name: (deactivate[1] || deactivate[2]).trim() };
+  }
+
+  const reactivate = text.match(/^(?:reactivate|re-?enable) (?:team member )?(.+)$/i);
+  if (reactivate) return { action: "reactivate", name: reactivate[1].trim() };
+
+  return null;
+}
+
+/**
+ * Apply a roster command
+ * @param {Object} command - Result of parseRosterCommand
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function handleRosterCommand(command, From) {
+  try {
+    if (command.action === "list") {
+      return formatRoster(await getTeamMembers(From, { includeInactive: true }));
+    }
+    if (command.action === "add") {
+      return await addMember(command.name, command.phone, From);
+    }
+    if (command.action === "rename") {
+      return await renameMember(command.name, command.newName, From);
+    }
+    if (command.action === "deactivate") {
+      return await deactivateMember(command.name, From);
+    }
+    return await reactivateMember(command.name, From);
+  } catch (error) {
+    console.error("Error updating team roster:", error);
+    return "Sorry, there was an error updating your team.";
+  }
+}
+
+/**
+ * Parse a team member's answer to an invite
+ * @param {string} message - User's message
+ * @returns {"join"|"decline"|null} Answer or null
+ */
+function parseInviteReply(message) {
+  const text = message.trim().toLowerCase().replace(/[.!]+$/, "");
+  if (/^(join|accept|i accept|opt in)$/.test(text)) return "join";
+  if (/^(decline|reject|opt out)$/.test(text)) return "decline";
+  return null;
+}
+
+/**
+ * Record a team member's answer to every pending invite for their number
+ * @param {string} answer - "join" or "decline"
+ * @param {string} From - Member's WhatsApp number
+ * @returns {Promise<string|null>} Reply, or null if they have no pending invite
+ */
+async function handleInviteReply(answer, From) {
+  const phone = From.replace("whatsapp:+", "");
+
+  try {
+    // Someone who declined can still change their mind and join
+    const statuses = answer === "join" ? ["invited", "declined"] : ["invited"];
+    const changes =
+      answer === "join"
+        ? { status: "active", opted_in_at: new Date().toISOString() }
+        : { status: "declined" };
+
+    const updated = [];
+    for (const status of statuses) {
+      updated.push(...(await updateTeamMembers({ phone, status }, changes)));
+    }
+    if (updated.length === 0) return null;
+
+    if (answer === "join") {
+      for (const member of updated) {
+        await resumeReminders(member.employerNumber, member.phone);
+      }
+    }
+
+    updated.forEach((member) => {
+      sendMessage(
+        member.employerNumber,
+        answer === "join"
+          ? `✅ *${member.name}* joined your team and can now receive tasks.`
+          : `🚫 *${member.name}* declined your invite and won't receive tasks.`
+      );
+    });
+
+    return answer === "join"
+      ? "🎉 You're in! You'll receive tasks and reminders here."
+      : "👍 No problem, you won't receive tasks.";
+  } catch (error) {
+    console.error("Error saving invite reply:", error);
+    return "Sorry, there was an error saving your reply.";
+  }
+}
+
+module.exports = {
+  normalizePhone,
+  canReceiveTasks,
+  findMember,
+  describeNoMatch,
+  describeUnavailableMember,
+  parseRosterCommand,
+  handleRosterCommand,
+  parseInviteReply,
+  handleInviteReply,
+};
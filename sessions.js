@@ -0,0 +1,317 @@
+/**
+ * Conversation Sessions
+ *
+ * What the bot is in the middle of with each WhatsApp number, shared by the
+ * intent handlers:
+ * - `userSessions` holds task conversations and awaited answers by `step`:
+ *   0 creating a task, 5 reminder Yes/No, 6 reason for a No, 7 picking an
+ *   assignee, 8 task edit follow-up, 9 meeting edit follow-up
+ * - `meetingSessions` holds a meeting being set up: the GPT conversation
+ *   (`history`, `pendingMeeting`), the details so far (`pendingArgs`) and the
+ *   `awaiting*` flag of the question that was asked
+ *
+ * Both are keyed by the sender's "whatsapp:+..." number and persisted in the
+ * store picked by SESSION_STORE, so a conversation survives restarts and can
+ * be carried on by any server instance:
+ * - "supabase" (default): the conversation_sessions table
+ * - "sqlite": a local database at SESSION_SQLITE_PATH, e.g. ":memory:" in tests
+ *
+ * withSessions() locks a number's row, loads its sessions into the objects
+ * above, runs the handler and saves them back. Sessions expire after
+ * SESSION_TTL_MINUTES without a message; a reminder question waits
+ * REMINDER_SESSION_TTL_HOURS for its answer.
+ */
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const supabase = require("./supabaseClient");
+require("dotenv").config();
+
+const TABLE = "conversation_sessions";
+
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 30) * 60 * 1000;
+const REMINDER_SESSION_TTL_MS = (Number(process.env.REMINDER_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Steps answering a reminder, which may be read hours after it was sent
+const REMINDER_STEPS = [5, 6];
+
+// A lock lapses after this long, in case its instance died mid-message
+const LOCK_LEASE_MS = 2 * 60 * 1000;
+// How long a message waits for the one before it from the same number
+const LOCK_WAIT_MS = Number(process.env.SESSION_LOCK_WAIT_MS) || 30 * 1000;
+const LOCK_RETRY_MS = 250;
+
+const userSessions = {};
+const meetingSessions = {};
+
+// Locks taken by the current call chain, so handling a message can reach
+// code locking the same number again (a reminder of a task assigned to
+// oneself) without waiting on itself. Timers started meanwhile inherit the
+// chain, hence the check that a lock is still held.
+const heldLocks = new AsyncLocalStorage();
+const liveOwners = new Set();
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+const supabaseStore = {
+  /**
+   * Take the lock of a number's row, creating the row if needed
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} owner - Id of this lock holder
+   * @returns {Promise<Object|null>} Row, or null if another holder has it
+   */
+  async lock(phoneNumber, owner) {
+    const { error: insertError } = await supabase
+      .from(TABLE)
+      .upsert({ phone_number: phoneNumber }, { onConflict: "phone_number", ignoreDuplicates: true });
+    if (insertError) throw insertError;
+
+    const now = new Date();
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({
+        locked_by: owner,
+        locked_until: new Date(now.getTime() + LOCK_LEASE_MS).toISOString(),
+      })
+      .eq("phone_number", phoneNumber)
+      .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+      .select();
+    if (error) throw error;
+    return data[0] || null;
+  },
+
+  /**
+   * Save a number's sessions and release its lock
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} owner - Id of the lock holder
+   * @param {Object} row - Session columns to save
+   * @returns {Promise<boolean>} False if the lock had lapsed to someone else
+   */
+  async save(phoneNumber, owner, row) {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .update({ ...row, locked_by: null, locked_until: null, updated_at: new Date().toISOString() })
+      .eq("phone_number", phoneNumber)
+      .eq("locked_by", owner)
+      .select("phone_number");
+    if (error) throw error;
+    return data.length > 0;
+  },
+};
+
+let sqliteDb = null;
+
+/**
+ * Open the SQLite session database, creating its table on first use
+ * @returns {Object} better-sqlite3 database
+ */
+function getSqliteDb() {
+  if (sqliteDb) return sqliteDb;
+
+  // Only needed for this store, so it's loaded on first use
+  const Database = require("better-sqlite3");
+  sqliteDb = new Database(process.env.SESSION_SQLITE_PATH || "sessions.db");
+  sqliteDb.exec(`
+    create table if not exists ${TABLE} (
+      phone_number text primary key,
+      user_session text,
+      user_session_expires_at text,
+      meeting_session text,
+      meeting_session_expires_at text,
+      locked_by text,
+      locked_until text,
+      updated_at text
+    )
+  `);
+  return sqliteDb;
+}
+
+const sqliteStore = {
+  /**
+   * Take the lock of a number's row, creating the row if needed
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} owner - Id of this lock holder
+   * @returns {Promise<Object|null>} Row, or null if another holder has it
+   */
+  async lock(phoneNumber, owner) {
+    const db = getSqliteDb();
+    const now = new Date();
+    const { changes } = db
+      .prepare(
+        `insert into ${TABLE} (phone_number, locked_by, locked_until, updated_at)
+         values (?, ?, ?, ?)
+         on conflict (phone_number) do update
+           set locked_by = excluded.locked_by, locked_until = excluded.locked_until
+           where locked_until is null or locked_until < ?`
+      )
+      .run(
+        phoneNumber,
+        owner,
+        new Date(now.getTime() + LOCK_LEASE_MS).toISOString(),
+        now.toISOString(),
+        now.toISOString()
+      );
+    if (changes === 0) return null;
+
+    const row = db.prepare(`select * from ${TABLE} where phone_number = ?`).get(phoneNumber);
+    return {
+      ...row,
+      user_session: JSON.parse(row.user_session),
+      meeting_session: JSON.parse(row.meeting_session),
+    };
+  },
+
+  /**
+   * Save a number's sessions and release its lock
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} owner - Id of the lock holder
+   * @param {Object} row - Session columns to save
+   * @returns {Promise<boolean>} False if the lock had lapsed to someone else
+   */
+  async save(phoneNumber, owner, row) {
+    const { changes } = getSqliteDb()
+      .prepare(
+        `update ${TABLE}
+         set user_session = ?, user_session_expires_at = ?,
+             meeting_session = ?, meeting_session_expires_at = ?,
+             locked_by = null, locked_until = null, updated_at = ?
+         where phone_number = ? and locked_by = ?`
+      )
+      .run(
+        row.user_session && JSON.stringify(row.user_session),
+        row.user_session_expires_at,
+        row.meeting_session && JSON.stringify(row.meeting_session),
+        row.meeting_session_expires_at,
+        new Date().toISOString(),
+        phoneNumber,
+        owner
+      );
+    return changes > 0;
+  },
+};
+
+const STORES = {
+  supabase: supabaseStore,
+  sqlite: sqliteStore,
+};
+
+/**
+ * Get the session store picked by SESSION_STORE
+ * @returns {Object} Store with lock() and save()
+ */
+function getStore() {
+  const name = (process.env.SESSION_STORE || "supabase").toLowerCase();
+  const store = STORES[name];
+  if (!store) throw new Error(`Unknown SESSION_STORE "${name}"`);
+  return store;
+}
+
+// ============================================================================
+// LOADING AND SAVING
+// ============================================================================
+
+/**
+ * Check whether an expiry time has passed
+ * @param {string|null} expiresAt - ISO timestamp
+ * @returns {boolean} True if expired or missing
+ */
+function isExpired(expiresAt) {
+  return !expiresAt || new Date(expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Wait for and take the lock of a number's sessions
+ * @param {Object} store - Session store
+ * @param {string} phoneNumber - User's phone number
+ * @param {string} owner - Id of this lock holder
+ * @returns {Promise<Object>} Locked row
+ */
+async function acquireLock(store, phoneNumber, owner) {
+  const giveUpAt = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    const row = await store.lock(phoneNumber, owner);
+    if (row) return row;
+    if (Date.now() >= giveUpAt) {
+      throw new Error(`Timed out waiting for the session lock of ${phoneNumber}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+/**
+ * Load a number's unexpired sessions into userSessions and meetingSessions
+ * @param {string} phoneNumber - User's phone number
+ * @param {Object} row - Locked row
+ */
+function loadSessions(phoneNumber, row) {
+  delete userSessions[phoneNumber];
+  delete meetingSessions[phoneNumber];
+
+  if (row.user_session && !isExpired(row.user_session_expires_at)) {
+    userSessions[phoneNumber] = row.user_session;
+  }
+  if (row.meeting_session && !isExpired(row.meeting_session_expires_at)) {
+    meetingSessions[phoneNumber] = row.meeting_session;
+  }
+}
+
+/**
+ * Take a number's sessions out of userSessions and meetingSessions, with
+ * fresh expiry times
+ * @param {string} phoneNumber - User's phone number
+ * @returns {Object} Session columns to save
+ */
+function unloadSessions(phoneNumber) {
+  const userSession = userSessions[phoneNumber] || null;
+  const meetingSession = meetingSessions[phoneNumber] || null;
+  delete userSessions[phoneNumber];
+  delete meetingSessions[phoneNumber];
+
+  const now = Date.now();
+  const userTtl = REMINDER_STEPS.includes(userSession?.step) ? REMINDER_SESSION_TTL_MS : SESSION_TTL_MS;
+  return {
+    user_session: userSession,
+    user_session_expires_at: userSession ? new Date(now + userTtl).toISOString() : null,
+    meeting_session: meetingSession,
+    meeting_session_expires_at: meetingSession ? new Date(now + SESSION_TTL_MS).toISOString() : null,
+  };
+}
+
+/**
+ * Run a handler with a number's sessions loaded, then save them. Messages
+ * from the same number are handled one at a time across all instances.
+ * @param {string} phoneNumber - User's phone number
+ * @param {Function} handler - Async function reading and changing
+ *   userSessions[phoneNumber] and meetingSessions[phoneNumber]
+ * @returns {Promise<*>} What the handler returned
+ */
+async function withSessions(phoneNumber, handler) {
+  const held = heldLocks.getStore() || {};
+  if (liveOwners.has(held[phoneNumber])) return handler();
+
+  const store = getStore();
+  const owner = crypto.randomUUID();
+  const row = await acquireLock(store, phoneNumber, owner);
+  loadSessions(phoneNumber, row);
+  liveOwners.add(owner);
+
+  try {
+    return await heldLocks.run({ ...held, [phoneNumber]: owner }, handler);
+  } finally {
+    liveOwners.delete(owner);
+    // Unloaded before the lock is released, so the next holder's load isn't cleared
+    const saved = await store.save(phoneNumber, owner, unloadSessions(phoneNumber));
+    if (!saved) {
+      console.error(`⚠️ Session lock of ${phoneNumber} lapsed; its session changes were not saved`);
+    }
+  }
+}
+
+module.exports = {
+  userSessions,
+  meetingSessions,
+  withSessions,
+};
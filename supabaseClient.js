@@ -1,10 +1,37 @@
-const { createClient } = require('@supabase/supabase-js');
+/**
+ * Supabase Client
+ *
+ * The Supabase client shared by every table helper, created from
+ * SUPABASE_URL and SUPABASE_ANON_KEY on first use. A client set with
+ * setSupabaseClient() is used instead, e.g. a local fake in tests.
+ */
+
+const { createClient } = require("@supabase/supabase-js");
 require("dotenv").config();
 
-const supabasekey = process.env.SUPABASE_ANON_KEY
-const supabaseurl = process.env.SUPABASE_URL
+let client = null;
 
-const supabase = createClient(supabaseurl, supabasekey)
+/**
+ * Get the Supabase client, creating it on first use
+ * @returns {Object} Supabase client
+ */
+function getSupabaseClient() {
+  if (!client) {
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+  }
+  return client;
+}
 
+/**
+ * Use another Supabase client from now on
+ * @param {Object} replacement - Client with the supabase-js query builder API
+ */
+function setSupabaseClient(replacement) {
+  client = replacement;
+}
 
-module.exports = supabase
\ No newline at end of file
+module.exports = {
+  from: (table) => getSupabaseClient().from(table),
+  getSupabaseClient,
+  setSupabaseClient,
+};
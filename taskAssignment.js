@@ -0,0 +1,350 @@
+/**
+ * Task Assignment
+ *
+ * Creates tasks from a conversation with the assigner. GPT collects the task
+ * details and calls create_task (see taskExtraction.js); the dates are
+ * resolved, the assignee is looked up in the assigner's team (asking which one
+ * when a name matches several people), and the task is saved, announced to
+ * both sides and given its reminder.
+ */
+
+const moment = require("moment-timezone");
+
+const supabase = require("./supabaseClient");
+const openai = require("./openaiClient");
+const { sendMessage } = require("./messaging");
+const { scheduleReminder } = require("./reminderScheduler");
+const { insertTask, getTeamMembers } = require("./taskStore");
+const { DEFAULT_TIMEZONE, formatInTimezone, getUserTimezone } = require("./timezones");
+const { canReceiveTasks, describeUnavailableMember } = require("./roster");
+const { syncTaskEvent } = require("./taskCalendar");
+const { resolveTaskDates } = require("./dateParsing");
+const { CREATE_TASK_FUNCTION, validateTaskDetails } = require("./taskExtraction");
+const { userSessions } = require("./sessions");
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the current date and time in "YYYY-MM-DD HH:mm" format
+ * @param {string} [timezone] - User's timezone
+ * @returns {string} Current date and time
+ */
+const getCurrentDate = (timezone = DEFAULT_TIMEZONE) => {
+  return moment().tz(timezone).format("YYYY-MM-DD HH:mm");
+};
+
+/**
+ * Resolve watcher names or phone numbers into WhatsApp addresses
+ * @param {Array<string>} watchers - Names from the assigner's team or phone numbers
+ * @param {string} assignerNumber - Assigner's WhatsApp number
+ * @returns {Promise<Array<string>>} WhatsApp addresses like "whatsapp:+91..."
+ */
+async function resolveWatchers(watchers, assignerNumber) {
+  if (!Array.isArray(watchers) || watchers.length === 0) return [];
+
+  const members = await getTeamMembers(assignerNumber);
+  return watchers
+    .map((watcher) => {
+      const member = members.find(
+        (person) => person.name.toLowerCase() === String(watcher).trim().toLowerCase()
+      );
+      if (member) return `whatsapp:+${member.phone}`;
+
+      const digits = String(watcher).replace(/\D/g, "");
+      if (digits.length >= 10) return `whatsapp:+${digits}`;
+
+      return null;
+    })
+    .filter((number) => number && number !== assignerNumber);
+}
+
+// ============================================================================
+// TASK CREATION
+// ============================================================================
+
+/**
+ * Format duplicate assignees as a numbered list the assigner can pick from
+ * @param {Array<Object>} candidates - Matching grouped_tasks rows
+ * @returns {string} Numbered list of names with the last digits of each phone
+ */
+function formatAssigneeChoices(candidates) {
+  return candidates
+    .map(
+      (assignee, index) =>
+        `${index + 1}. ${assignee.name} (…${String(assignee.phone).slice(-4)})`
+    )
+    .join("\n");
+}
+
+/**
+ * Save a new task for an assignee, notify both sides and schedule its reminder
+ * @param {Object} taskData - Task details extracted from the conversation
+ * @param {Object} assignedPerson - grouped_tasks row of the chosen assignee
+ * @param {string} From - Assigner's phone number
+ */
+async function createTask(taskData, assignedPerson, From) {
+  const assigneeName = assignedPerson.name;
+
+  if (!canReceiveTasks(assignedPerson)) {
+    sendMessage(From, describeUnavailableMember(assignedPerson));
+    delete userSessions[From];
+    return;
+  }
+
+  sendMessage(
+    From,
+    `✅ *Task Summary*
+Thank you for providing the task details! Here's a quick summary:
+
+📝 *Task:* ${taskData.task}
+👤 *Assignee:* ${assigneeName}
+📅 *Due Date:* ${taskData.dueDate}
+⏰ *Due Time:* ${taskData.dueTime}
+🔁 *Reminder:* ${
+      taskData.reminder_type === "one-time"
+        ? `One-time at ${taskData.reminderDateTime}`
+        : `Recurring ${taskData.reminder_frequency}`
+    }`
+  );
+
+  if (!taskData.task || !taskData.dueDate || !taskData.dueTime) return;
+
+  // Due and reminder times are given in the assigner's zone
+  const timezone = await getUserTimezone(From);
+  const dueDateTime = `${taskData.dueDate} ${taskData.dueTime}`;
+  const newTask = {
+    taskId: Date.now().toString(), // Simple ID generation; consider UUID for production
+    task_details: taskData.task,
+    task_done: "Pending",
+    due_date: dueDateTime,
+    reminder: "true",
+    reminder_frequency: taskData.reminder_frequency,
+    reason: null,
+    started_at: getCurrentDate(timezone),
+    timezone,
+    reminder_type: taskData.reminder_type || "recurring", // Default to recurring if not specified
+    reminderDateTime: taskData.reminderDateTime || null, // Store reminder date and time
+    assignerNumber: From, // Completion updates go back to whoever assigned the task
+    watchers: await resolveWatchers(taskData.watchers, From),
+    // Phone keeps people who share a name apart
+    name: assigneeName,
+    phone: assignedPerson.phone,
+    employerNumber: From,
+    meeting_event_id: taskData.meetingEventId || null,
+  };
+
+  let savedTask;
+  try {
+    savedTask = await insertTask(newTask);
+  } catch (error) {
+    console.error("Error inserting task into Supabase:", error);
+    sendMessage(From, "Error saving the task.");
+    return;
+  }
+
+  sendMessage(
+    From,
+    `📌 *Task Assigned*\n\nA new task, *${taskData.task}* has been assigned to *${assigneeName}*\n🗓️ *Due Date:* ${formatInTimezone(
+      dueDateTime,
+      timezone
+    )}`
+  );
+  sendMessage(
+    `whatsapp:+${assignedPerson.phone}`,
+    `📬 *New Task Assigned!*\n\nHello *${assigneeName}*,\nYou've been assigned a new task:\n\n📝 *Task:* *${taskData.task}*\n📅 *Deadline:* ${formatInTimezone(
+      dueDateTime,
+      timezone,
+      assignedPerson.timezone
+    )}`
+  );
+  delete userSessions[From];
+
+  const result = await scheduleReminder({
+    taskId: newTask.taskId,
+    reminder_type: taskData.reminder_type || "recurring",
+    reminder_frequency: taskData.reminder_frequency,
+    reminderDateTime: taskData.reminderDateTime,
+    dueDateTime: dueDateTime, // Used for one-time reminders without a reminder time
+    timezone,
+  });
+  if (!result.ok) console.error(`Reminder for task ${newTask.taskId} not scheduled:`, result.message);
+
+  await syncTaskEvent(savedTask);
+}
+
+/**
+ * Handle an assigner's message while creating a task: the pick between
+ * assignees who share a name, or the next turn of the GPT conversation that
+ * collects the task details
+ * @param {string} userMessage - User's message
+ * @param {string} From - User's phone number
+ */
+async function handleUserInput(userMessage, From) {
+  const session = userSessions[From];
+  const conversationHistory = session.conversationHistory || [];
+  conversationHistory.push({ role: "user", content: userMessage });
+
+  if (session.step === 7) {
+    const choice = userMessage.trim().toLowerCase();
+    const candidates = session.possibleAssignees || [];
+
+    let selected;
+    if (/^\d+$/.test(choice)) {
+      selected = candidates[parseInt(choice, 10) - 1];
+    } else {
+      const partialMatches = candidates.filter((candidate) =>
+        candidate.name.toLowerCase().includes(choice)
+      );
+      selected =
+        candidates.find((candidate) => candidate.name.toLowerCase() === choice) ||
+        (partialMatches.length === 1 ? partialMatches[0] : undefined);
+    }
+
+    if (!selected || !session.pendingTask) {
+      sendMessage(
+        From,
+        `Please reply with the number or full name of the assignee:\n${formatAssigneeChoices(
+          candidates
+        )}`
+      );
+      return;
+    }
+
+    await createTask(session.pendingTask, selected, From);
+  } else {
+    const prompt = `
+You are a helpful task manager assistant. Respond with a formal tone and
+a step-by-step format.
+Your goal is to guide the user through task assignment:
+- Ask for task details (task, assignee, due date, time, and reminder preference).
+- The reminder preference can be either:
+  - A recurring reminder (e.g., "every 3 mins", "every 2 hours", "every 1 day").
+  - A one-time reminder (e.g., "one-time on 20th May at 5PM").
+- For one-time reminders, explicitly ask for the reminder date and time (e.g., "When would you like the one-time reminder to be sent? For example, '20th May at 5PM'.").  
+- The user may optionally ask to keep other people informed about the task (e.g., "cc Priya", "also notify +919876543210"). These are watchers; do not ask for them if the user does not mention any.
+- Respond to yes/no inputs appropriately.
+- Follow up if any information is incomplete.
+- Keep the respone concise and structured.
+
+EXAMPLES: 
+
+- If a user is asked about due date, due time, and reminder preference, and they send only due date and due time, ask for reminder preference.
+- If a user is asked about due date, due time and reminder frequncy, and user sends only due date and due time then it should again ask for reminder frequency and should not ignore that.
+- If a user selects a one-time reminder but doesn't provide a reminder date and time, ask for the reminder date and time explicitly.
+- Similarly if a user is asked about task, assignee and due date but user only only task and due date then it should again ask the user asking about the assignee since they did not sent that.
+
+IMPORTANT:
+- Once all details are collected, call the **create_task** function with them
+instead of replying. Do **not** write the details as JSON in a message.
+- For one-time reminders, set reminder_type to "one-time", reminder_frequency to null, and reminderDateTime to the reminder date and time the user gave.
+- For recurring reminders, set reminderDateTime to null.
+- Do **not** assume the reminder time is tied to the due date for one-time reminders; it should be based on user input (e.g., "20th May at 5PM").
+
+For dates and times:
+- Copy dates and times exactly as the user wrote them (e.g., "tomorrow",
+"next Friday", "28th Feb", "6 PM", "in 2 hours").
+- Do **not** convert them into calendar dates, add a year, or change them to
+24-hour time. The backend works out the exact date and asks the user if it
+is unclear.
+- If the user later clarifies a date or time (e.g., answers "PM" to "Did you
+mean 6:00 AM or 6:00 PM?"), use the clarified words (e.g., "6 PM").
+
+Conversation history: ${JSON.stringify(conversationHistory)}
+User input: ${userMessage}
+`;
+    try {
+      const response = await openai.chat.completions.create({
+        model: "gpt-4-turbo",
+        messages: [{ role: "system", content: prompt }],
+        functions: [CREATE_TASK_FUNCTION],
+        function_call: "auto",
+      });
+      const botReply = response.choices[0].message;
+      session.conversationHistory = conversationHistory;
+
+      // GPT calls create_task once it has every detail, otherwise it asks
+      if (botReply.function_call) {
+        let taskArgs;
+        try {
+          taskArgs = JSON.parse(botReply.function_call.arguments);
+        } catch (parseError) {
+          console.error("Unreadable create_task arguments:", botReply.function_call.arguments);
+          sendMessage(From, "Sorry, I couldn't read the task details. Could you send them again?");
+          return;
+        }
+
+        // Each missing or invalid field gets its own question
+        const validation = validateTaskDetails(taskArgs);
+        if (validation.question) {
+          conversationHistory.push({ role: "assistant", content: validation.question });
+          sendMessage(From, validation.question);
+          return;
+        }
+        const taskDetails = validation.value;
+
+        // GPT copies the user's words; exact dates are worked out here
+        const dates = resolveTaskDates(taskDetails, await getUserTimezone(From));
+        if (dates.question) {
+          conversationHistory.push({ role: "assistant", content: dates.question });
+          sendMessage(From, dates.question);
+          return;
+        }
+        Object.assign(taskDetails, dates.value);
+
+        const assigneeName = taskDetails.assignee.trim();
+
+        const { data: matchingAssignees, error } = await supabase
+          .from("grouped_tasks")
+          .select("*")
+          .ilike("name", `%${assigneeName}%`)
+          .eq("employerNumber", From)
+          .neq("status", "inactive");
+
+        if (error) {
+          console.error("Error fetching assignees:", error);
+          sendMessage(
+            From,
+            "Sorry, there was an error fetching the assignee data."
+          );
+          return;
+        }
+
+        if (matchingAssignees.length > 1) {
+          const message = `There are multiple people with the name "${assigneeName}". Please choose one:\n${formatAssigneeChoices(
+            matchingAssignees
+          )}`;
+          sendMessage(From, message);
+          session.step = 7;
+          session.possibleAssignees = matchingAssignees;
+          session.pendingTask = taskDetails;
+          return;
+        }
+
+        if (matchingAssignees.length === 0) {
+          sendMessage(
+            From,
+            `Error: Could not find assignee "${assigneeName}". Add them with *add team member ${assigneeName} +<phone number>*.`
+          );
+          return;
+        }
+
+        await createTask(taskDetails, matchingAssignees[0], From);
+      } else {
+        sendMessage(From, botReply.content || "Could you provide more details?");
+      }
+    } catch (error) {
+      console.error("Error processing user input with ChatGPT:", error);
+      sendMessage(
+        From,
+        "Sorry, I couldn't process your message right now. Please try again."
+      );
+    }
+  }
+}
+
+module.exports = {
+  createTask,
+  handleUserInput,
+};
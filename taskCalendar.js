@@ -0,0 +1,418 @@
+/**
+ * Task Calendar
+ *
+ * Puts task deadlines on Google Calendar and creates follow-up tasks from
+ * meetings.
+ *
+ * Assigners choose where deadlines go with `user_settings.task_calendar`:
+ * - "assigner": their own calendar
+ * - "assignee": the assignee's calendar when the assignee has signed in with
+ *   Google, otherwise the assigner's
+ * - null: off
+ * Each task keeps its event in `calendar_event_id` on the calendar of
+ * `calendar_owner`. The event is updated when the task is rescheduled,
+ * reassigned or completed, and deleted when the task is cancelled. Changes
+ * made in the calendar are not copied back to the task.
+ *
+ * Follow-ups like "after the sync, Astik should send notes by Friday" become a
+ * task linked to the meeting through `meeting_event_id`.
+ */
+
+const chrono = require("chrono-node");
+const moment = require("moment-timezone");
+
+const { listTasks, updateTask, getTeamMembers } = require("./taskStore");
+const { getUserSettings, updateUserSettings } = require("./userSettings");
+const { getCalendarClient, getRefreshToken } = require("./googleCalendar");
+const {
+  DEFAULT_TIMEZONE,
+  DATE_TIME_FORMAT,
+  getUserTimezone,
+} = require("./timezones");
+const {
+  MEETING_WORDS,
+  getEventTimes,
+  formatEventTime,
+  findEvents,
+} = require("./meetings");
+const { findMember, describeNoMatch } = require("./roster");
+const {
+  isRevokedTokenError,
+  forgetRevokedToken,
+  describeGoogleOnly,
+} = require("./calendarProviders");
+const { sendMessage } = require("./messaging");
+
+const EVENT_MINUTES = 30;
+const STATUS_ICONS = {
+  Pending: "📋",
+  Completed: "✅",
+  "Not Completed": "⚠️",
+};
+
+// Follow-ups are due at this time when no time is given
+const DEFAULT_DUE_TIME = "18:00";
+// How far back "after the sync" looks for the meeting
+const FOLLOW_UP_PAST_DAYS = 7;
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Work out whose calendar a task's deadline belongs on
+ * @param {Object} task - Task row
+ * @returns {Promise<{owner: string, refreshToken: string}|null>} Calendar owner's
+ *   WhatsApp number and Google token, or null if the assigner turned this off
+ */
+async function getCalendarOwner(task) {
+  const assignerNumber = task.assignerNumber || task.employerNumber;
+  const { task_calendar: mode } = await getUserSettings(assignerNumber);
+  if (!mode) return null;
+
+  if (mode === "assignee") {
+    const assigneeNumber = `whatsapp:+${task.phone}`;
+    const refreshToken = await getRefreshToken(assigneeNumber);
+    if (refreshToken) return { owner: assigneeNumber, refreshToken };
+  }
+
+  const refreshToken = await getRefreshToken(assignerNumber);
+  return refreshToken ? { owner: assignerNumber, refreshToken } : null;
+}
+
+/**
+ * Build the calendar event for a task's deadline
+ * @param {Object} task - Task row
+ * @returns {Object} Calendar event resource
+ */
+function buildTaskEvent(task) {
+  const timezone = task.timezone || DEFAULT_TIMEZONE;
+  const due = moment.tz(task.due_date, DATE_TIME_FORMAT, timezone);
+
+  return {
+    summary: `${STATUS_ICONS[task.task_done] || "📋"} ${task.task_details} — ${task.name}`,
+    description: `Deadline of task ${task.taskId}, assigned to ${task.name}.\nStatus: ${task.task_done}\n\nUpdated from WhatsApp. Changes made here are not copied back to the task.`,
+    start: { dateTime: due.format("YYYY-MM-DDTHH:mm:ss"), timeZone: timezone },
+    end: {
+      dateTime: due.clone().add(EVENT_MINUTES, "minutes").format("YYYY-MM-DDTHH:mm:ss"),
+      timeZone: timezone,
+    },
+    // A deadline shouldn't make anyone look busy to free/busy checks
+    transparency: "transparent",
+    extendedProperties: { private: { taskId: String(task.taskId) } },
+  };
+}
+
+/**
+ * Check whether a Calendar API error means the event no longer exists
+ * @param {Error} error - Calendar API error
+ * @returns {boolean} True for 404 and 410
+ */
+function isMissingEvent(error) {
+  const status = error.code || error.response?.status;
+  return status === 404 || status === 410;
+}
+
+// ============================================================================
+// EVENT SYNC
+// ============================================================================
+
+/**
+ * Delete a task's deadline event, if it has one
+ * @param {Object} task - Task row
+ */
+async function removeTaskEvent(task) {
+  if (!task.calendar_event_id || !task.calendar_owner) return;
+
+  try {
+    const refreshToken = await getRefreshToken(task.calendar_owner);
+    if (refreshToken) {
+      await getCalendarClient(refreshToken).events.delete({
+        calendarId: "primary",
+        eventId: task.calendar_event_id,
+      });
+    }
+  } catch (error) {
+    if (!isMissingEvent(error)) {
+      console.error(`Error deleting calendar event of task ${task.taskId}:`, error);
+    }
+  }
+}
+
+/**
+ * Create or update a task's deadline event. Errors are logged, never thrown,
+ * so calendar problems don't get in the way of the task itself.
+ * @param {Object} task - Task row as saved
+ */
+async function syncTaskEvent(task) {
+  let target = null;
+  try {
+    target = task.due_date ? await getCalendarOwner(task) : null;
+
+    // Reassigned to someone else's calendar, or turned off
+    if (task.calendar_event_id && target?.owner !== task.calendar_owner) {
+      await removeTaskEvent(task);
+      if (!target) {
+        await updateTask(task.taskId, { calendar_event_id: null, calendar_owner: null });
+        return;
+      }
+      task = { ...task, calendar_event_id: null };
+    }
+    if (!target) return;
+
+    const calendar = getCalendarClient(target.refreshToken);
+    const resource = buildTaskEvent(task);
+
+    if (task.calendar_event_id) {
+      try {
+        await calendar.events.patch({
+          calendarId: "primary",
+          eventId: task.calendar_event_id,
+          resource,
+        });
+        return;
+      } catch (error) {
+        // Deleted from the calendar by hand: create it again below
+        if (!isMissingEvent(error)) throw error;
+      }
+    }
+
+    const response = await calendar.events.insert({ calendarId: "primary", resource });
+    await updateTask(task.taskId, {
+      calendar_event_id: response.data.id,
+      calendar_owner: target.owner,
+    });
+  } catch (error) {
+    console.error(`Error syncing calendar event of task ${task.taskId}:`, error);
+    // The token is forgotten, so the owner is only told once
+    if (isRevokedTokenError(error) && target) {
+      sendMessage(target.owner, await forgetRevokedToken(target.owner, "google"));
+    }
+  }
+}
+
+/**
+ * Add or remove deadline events for all open tasks of an assigner
+ * @param {string} assignerNumber - Assigner's WhatsApp number
+ * @param {boolean} remove - Remove the events instead of adding them
+ * @returns {Promise<number>} Number of tasks handled
+ */
+async function syncOpenTasks(assignerNumber, remove) {
+  const tasks = await listTasks({ assignerNumber, task_done: "Pending" });
+
+  for (const task of tasks) {
+    if (remove) {
+      await removeTaskEvent(task);
+      await updateTask(task.taskId, { calendar_event_id: null, calendar_owner: null });
+    } else {
+      await syncTaskEvent(task);
+    }
+  }
+  return tasks.length;
+}
+
+// ============================================================================
+// FOLLOW-UP TASKS
+// ============================================================================
+
+/**
+ * Split "send notes by Friday" into the task and its due date
+ * @param {string} text - What the assignee should do
+ * @param {moment.Moment} after - End of the meeting, dates are resolved from here
+ * @param {string} timezone - Assigner's zone
+ * @returns {{task: string, due: moment.Moment}} Task description and due time
+ */
+function parseFollowUpTask(text, after, timezone) {
+  const [result] = chrono.parse(
+    text,
+    { instant: after.toDate(), timezone: after.utcOffset() },
+    { forwardDate: true }
+  );
+
+  let task = text;
+  let due = after.clone().add(1, "day");
+  let timeKnown = false;
+
+  if (result) {
+    task = (text.slice(0, result.index) + text.slice(result.index + result.text.length))
+      .replace(/\s+(?:by|on|before|until|at)\s*$/i, "")
+      .replace(/\s+(?:by|on|before|until|at)\s+(?=\S)/i, " ");
+    due = moment(result.start.date()).tz(timezone);
+    timeKnown = result.start.isCertain("hour");
+  }
+  if (!timeKnown) {
+    const [hour, minute] = DEFAULT_DUE_TIME.split(":").map(Number);
+    due.set({ hour, minute, second: 0 });
+  }
+
+  task = task.replace(/\s+/g, " ").trim();
+  return { task: task.charAt(0).toUpperCase() + task.slice(1), due };
+}
+
+/**
+ * Pick the meeting a follow-up is about: the latest one that already started,
+ * or else the next one
+ * @param {Array<Object>} events - Matching events
+ * @param {string} timezone - User's zone
+ * @returns {Object} Event
+ */
+function pickFollowUpMeeting(events, timezone) {
+  const now = moment().tz(timezone);
+  const started = events.filter((event) =>
+    getEventTimes(event, timezone).start.isSameOrBefore(now)
+  );
+  return started.length > 0 ? started[started.length - 1] : events[0];
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Parse where task deadlines should go:
+ * "add tasks to my calendar", "add tasks to assignees' calendars",
+ * "task calendar off"
+ * @param {string} message - User's message
+ * @returns {{mode: string|null}|null} Setting ("assigner", "assignee" or null), or null
+ */
+function parseTaskCalendarCommand(message) {
+  const text = message.trim().toLowerCase().replace(/[.!]+$/, "");
+
+  if (
+    /^(?:stop (?:adding|putting) tasks (?:to|on|in) (?:my |the )?calendars?|task calendar off|(?:turn )?off task calendar)$/.test(text)
+  ) {
+    return { mode: null };
+  }
+  if (
+    /^(?:add|put) (?:my )?tasks (?:to|on|in) (?:the )?assignees?'?s?'? calendars?$|^task calendar (?:for )?assignees?$/.test(text)
+  ) {
+    return { mode: "assignee" };
+  }
+  if (/^(?:add|put) (?:my )?tasks (?:to|on|in) my calendar$|^task calendar on$/.test(text)) {
+    return { mode: "assigner" };
+  }
+  return null;
+}
+
+/**
+ * Save where task deadlines go and update open tasks to match
+ * @param {Object} command - Result of parseTaskCalendarCommand
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function handleTaskCalendarCommand(command, From) {
+  try {
+    if (command.mode && !(await getRefreshToken(From))) {
+      return `${await describeGoogleOnly(From, "Adding tasks to your calendar")}\nThen send the command again.`;
+    }
+
+    await updateUserSettings(From, { task_calendar: command.mode });
+    const count = await syncOpenTasks(From, !command.mode);
+
+    if (!command.mode) {
+      return `🗓️ Task deadlines won't be added to calendars anymore.${
+        count > 0 ? ` Removed the events of ${count} open task(s).` : ""
+      }`;
+    }
+    const where =
+      command.mode === "assignee"
+        ? "your assignees' calendars (yours when they haven't signed in with Google)"
+        : "your Google Calendar";
+    return `🗓️ Task deadlines will be added to ${where} and kept up to date.${
+      count > 0 ? ` Added ${count} open task(s).` : ""
+    }`;
+  } catch (error) {
+    console.error("Error saving task calendar setting:", error);
+    return "Sorry, there was an error saving your task calendar setting.";
+  }
+}
+
+/**
+ * Parse "after the sync, Astik should send notes by Friday"
+ * @param {string} message - User's message
+ * @returns {{meeting: string, assignee: string, task: string}|null} Command or null
+ */
+function parseFollowUpCommand(message) {
+  const text = message.trim().replace(/\s+/g, " ").replace(/[.!]+$/, "");
+  const match = text.match(
+    /^(?:after|following) (.+?) (?:should|needs to|has to|must|will) (.+)$/i
+  );
+  if (!match) return null;
+
+  // "the sync, Astik Sharma" or, without a comma, "the sync Astik"
+  const [, before, task] = match;
+  const comma = before.lastIndexOf(",");
+  const words = before.split(" ");
+  const meeting = comma >= 0 ? before.slice(0, comma) : words.slice(0, -1).join(" ");
+  const assignee = comma >= 0 ? before.slice(comma + 1) : words[words.length - 1];
+
+  // "After lunch, Astik should call the client" is an ordinary task
+  if (!meeting || !assignee.trim() || !MEETING_WORDS.test(meeting)) return null;
+
+  return { meeting: meeting.trim(), assignee: assignee.trim(), task: task.trim() };
+}
+
+/**
+ * Work out the task for a meeting follow-up
+ * @param {Object} command - Result of parseFollowUpCommand
+ * @param {string} From - Assigner's WhatsApp number
+ * @returns {Promise<{reply: string, taskData?: Object, assignee?: Object}>} Reply,
+ *   plus the task and assignee to pass to createTask when everything was found
+ */
+async function handleFollowUpCommand(command, From) {
+  try {
+    const refreshToken = await getRefreshToken(From);
+    if (!refreshToken) {
+      return { reply: await describeGoogleOnly(From, "Finding meetings for follow-ups") };
+    }
+
+    const members = await getTeamMembers(From);
+    const { member, matches } = findMember(members, command.assignee);
+    if (!member) return { reply: describeNoMatch(command.assignee, matches) };
+
+    const timezone = await getUserTimezone(From);
+    const events = await findEvents(
+      getCalendarClient(refreshToken),
+      command.meeting,
+      timezone,
+      { pastDays: FOLLOW_UP_PAST_DAYS }
+    );
+    if (events.length === 0) {
+      return { reply: `I couldn't find a meeting matching "${command.meeting}" in your calendar.` };
+    }
+
+    const meeting = pickFollowUpMeeting(events, timezone);
+    const { end } = getEventTimes(meeting, timezone);
+    const { task, due } = parseFollowUpTask(command.task, end, timezone);
+
+    return {
+      reply: `🔗 Follow-up of *${meeting.summary || "(no title)"}* (${formatEventTime(
+        meeting,
+        timezone
+      )}) assigned to *${member.name}*.`,
+      assignee: member,
+      taskData: {
+        task: `${task} (follow-up: ${meeting.summary || "meeting"})`,
+        dueDate: due.format("YYYY-MM-DD"),
+        dueTime: due.format("HH:mm"),
+        reminder_type: "one-time",
+        reminder_frequency: null,
+        reminderDateTime: null,
+        meetingEventId: meeting.id,
+      },
+    };
+  } catch (error) {
+    console.error("Error creating meeting follow-up:", error);
+    if (isRevokedTokenError(error)) return { reply: await forgetRevokedToken(From, "google") };
+    return { reply: "Sorry, there was an error creating the follow-up task." };
+  }
+}
+
+module.exports = {
+  syncTaskEvent,
+  removeTaskEvent,
+  parseTaskCalendarCommand,
+  handleTaskCalendarCommand,
+  parseFollowUpCommand,
+  handleFollowUpCommand,
+};
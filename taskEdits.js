@@ -0,0 +1,477 @@
+/**
+ * Task Edits
+ *
+ * Conversational flows that let an assigner reschedule, reassign, change the
+ * reminder of, or cancel a task they created. Tasks are targeted by ID or by a
+ * fuzzy description, the task's row in the `tasks` table is updated, the
+ * reminder job is restarted or stopped, and the assignee is told.
+ */
+
+const moment = require("moment-timezone");
+
+const { sendMessage } = require("./messaging");
+const {
+  listTasks,
+  updateTask,
+  deleteTask,
+  getTeamMembers,
+  getTeamMember,
+} = require("./taskStore");
+const {
+  scheduleReminder,
+  cancelReminder,
+  parseFrequency,
+} = require("./reminderScheduler");
+const {
+  DEFAULT_TIMEZONE,
+  DATE_TIME_FORMAT,
+  formatInTimezone,
+  parseInTimezone,
+} = require("./timezones");
+const { canReceiveTasks, describeUnavailableMember } = require("./roster");
+const { syncTaskEvent, removeTaskEvent } = require("./taskCalendar");
+
+const VALUE_QUESTIONS = {
+  reschedule: "📅 What should the new due date and time be? (e.g., Friday 5 PM)",
+  reassign: "👤 Who should the task be reassigned to?",
+  reminder:
+    "🔁 How often should the reminder be sent? (e.g., every 2 hours, once on Friday 5 PM, or off)",
+};
+
+// ============================================================================
+// COMMAND PARSING
+// ============================================================================
+
+/**
+ * Split "<task> to <value>" at the last " to ", since task names often
+ * contain "to" ("Send slides to client") while new values don't
+ * @param {string} text - Text after the command words
+ * @returns {{target: string, value: string|null}} Task description and value
+ */
+function splitTargetAndValue(text) {
+  const index = text.toLowerCase().lastIndexOf(" to ");
+  if (index <= 0) return { target: text, value: null };
+  return { target: text.slice(0, index), value: text.slice(index + 4) || null };
+}
+
+/**
+ * Parse an edit or cancel command
+ * @param {string} message - User's message
+ * @returns {Object|null} Edit with action, target and optional value, or null
+ */
+function parseTaskEdit(message) {
+  const text = message.trim().replace(/\s+/g, " ").replace(/[.!]+$/, "");
+
+  let match = text.match(/^(?:cancel|delete|remove) (?:the )?task (.+)$/i);
+  if (match) return { action: "cancel", target: match[1], value: null };
+
+  const patterns = [
+    ["reschedule", /^(?:reschedule|move|postpone|push) (?:the )?task (.+)$/i],
+    [
+      "reschedule",
+      /^change (?:the )?(?:due date|due time|deadline) (?:of|for) (?:the )?(?:task )?(.+)$/i,
+    ],
+    ["reassign", /^reassign (?:the )?task (.+)$/i],
+    [
+      "reminder",
+      /^change (?:the )?reminder (?:frequency )?(?:of|for) (?:the )?(?:task )?(.+)$/i,
+    ],
+  ];
+  for (const [action, pattern] of patterns) {
+    match = text.match(pattern);
+    if (match) return { action, ...splitTargetAndValue(match[1]) };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a new due date in the task's zone, keeping the old time if only a day is given
+ * @param {string} value - e.g. "Friday 5pm" or "tomorrow"
+ * @param {string} currentDue - Current due date in "YYYY-MM-DD HH:mm"
+ * @param {string} timezone - Zone the task's times are given in
+ * @returns {string|null} Due date in "YYYY-MM-DD HH:mm" or null
+ */
+function parseDueDate(value, currentDue, timezone) {
+  const result = parseInTimezone(value, timezone);
+  if (!result) return null;
+
+  const parsed = moment(result.start.date()).tz(timezone);
+  if (!result.start.isCertain("hour")) {
+    const current = moment.tz(currentDue, DATE_TIME_FORMAT, timezone);
+    parsed.set({
+      hour: current.isValid() ? current.hour() : 18,
+      minute: current.isValid() ? current.minute() : 0,
+    });
+  }
+  return parsed.format(DATE_TIME_FORMAT);
+}
+
+// ============================================================================
+// TASK LOOKUP
+// ============================================================================
+
+/**
+ * Find the assigner's tasks matching an ID or a description
+ * @param {string} target - Task ID or words from the task description
+ * @param {Array<Object>} tasks - Tasks of the assigner's team
+ * @returns {Array<Object>} Best matches
+ */
+function findTaskMatches(target, tasks) {
+  const cleaned = target.trim().replace(/^#/, "").toLowerCase();
+
+  const byId = tasks.filter((task) => task.taskId === cleaned);
+  if (byId.length > 0) return byId;
+
+  const words = cleaned.split(/\s+/).filter((word) => word.length > 1);
+  if (words.length === 0) return [];
+
+  const scored = tasks
+    .map((task) => {
+      const haystack = `${task.task_details} ${task.name}`.toLowerCase();
+      const hits = words.filter((word) => haystack.includes(word)).length;
+      return { task, score: hits / words.length };
+    })
+    .filter((entry) => entry.score >= 0.5);
+
+  const best = Math.max(0, ...scored.map((entry) => entry.score));
+  return scored
+    .filter((entry) => entry.score === best)
+    .map((entry) => entry.task)
+    .sort(
+      (a, b) =>
+        Number(a.task_done === "Completed") - Number(b.task_done === "Completed")
+    );
+}
+
+/**
+ * Start reminders again for a task that is still open
+ * @param {Object} task - Updated task
+ */
+async function restartReminder(task) {
+  cancelReminder(task.taskId);
+  if (task.reminder !== "true" || task.task_done === "Completed") return;
+
+  await scheduleReminder({
+    taskId: task.taskId,
+    reminder_type: task.reminder_type,
+    reminder_frequency: task.reminder_frequency,
+    reminderDateTime: task.reminderDateTime,
+    dueDateTime: task.due_date,
+    timezone: task.timezone,
+  });
+}
+
+/**
+ * Show a task time in the assignee's own zone
+ * @param {Object} task - Task row
+ * @param {string} dateTime - "YYYY-MM-DD HH:mm" in the task's zone
+ * @param {Object} [member] - Assignee's grouped_tasks row, looked up if omitted
+ * @returns {Promise<string>} Formatted time
+ */
+async function formatForAssignee(task, dateTime, member) {
+  const assignee =
+    member || (await getTeamMember(task.employerNumber, task.phone));
+  return formatInTimezone(dateTime, task.timezone, assignee?.timezone);
+}
+
+// ============================================================================
+// EDIT ACTIONS
+// ============================================================================
+
+/**
+ * Delete a task and stop its reminders
+ * @param {Object} task - Task to cancel
+ * @returns {Promise<string>} Reply message
+ */
+async function cancelTask(task) {
+  await deleteTask(task.taskId);
+  await removeTaskEvent(task);
+
+  cancelReminder(task.taskId);
+  sendMessage(
+    `whatsapp:+${task.phone}`,
+    `🗑️ *Task Cancelled*\n\nThe task *${task.task_details}* has been cancelled. No further action is needed.`
+  );
+  return `🗑️ The task *${task.task_details}* assigned to *${task.name}* has been cancelled.`;
+}
+
+/**
+ * Move a task to a new due date
+ * @param {Object} task - Task to reschedule
+ * @param {string} value - New due date text
+ * @returns {Promise<string|null>} Reply message, or null if the date is unclear
+ */
+async function rescheduleTask(task, value) {
+  const timezone = task.timezone || DEFAULT_TIMEZONE;
+  const dueDate = parseDueDate(value, task.due_date, timezone);
+  if (!dueDate) return null;
+
+  const updatedTask = await updateTask(task.taskId, {
+    due_date: dueDate,
+    timezone,
+    overdue_notified_at: null,
+  });
+
+  await restartReminder(updatedTask);
+  await syncTaskEvent(updatedTask);
+  sendMessage(
+    `whatsapp:+${task.phone}`,
+    `📅 *Task Rescheduled*\n\nThe deadline for *${task.task_details}* has changed.\n⏮️ *Was:* ${await formatForAssignee(
+      task,
+      task.due_date
+    )}\n⏭️ *Now:* ${await formatForAssignee(task, dueDate)}`
+  );
+  return `📅 The task *${task.task_details}* is now due on *${formatInTimezone(
+    dueDate,
+    timezone
+  )}*.`;
+}
+
+/**
+ * Move a task to another member of the assigner's team
+ * @param {Object} task - Task to reassign
+ * @param {string} value - Name of the new assignee
+ * @param {Array<Object>} members - Team members of the assigner
+ * @returns {Promise<string|null>} Reply message, or null if nobody matched
+ */
+async function reassignTask(task, value, members) {
+  const name = value.trim().toLowerCase();
+  const exact = members.filter((member) => member.name.toLowerCase() === name);
+  const partial = members.filter((member) =>
+    member.name.toLowerCase().includes(name)
+  );
+  const candidates = exact.length > 0 ? exact : partial;
+
+  if (candidates.length !== 1) return null;
+
+  const newMember = candidates[0];
+  if (newMember.phone === task.phone && newMember.name === task.name) {
+    return `The task is already assigned to *${task.name}*.`;
+  }
+  if (!canReceiveTasks(newMember)) return describeUnavailableMember(newMember);
+
+  const updatedTask = await updateTask(task.taskId, {
+    name: newMember.name,
+    phone: newMember.phone,
+  });
+  await syncTaskEvent(updatedTask);
+
+  sendMessage(
+    `whatsapp:+${task.phone}`,
+    `🔄 *Task Reassigned*\n\nThe task *${task.task_details}* has been reassigned to someone else. No further action is needed from you.`
+  );
+  sendMessage(
+    `whatsapp:+${newMember.phone}`,
+    `📬 *New Task Assigned!*\n\nHello *${newMember.name}*,\nYou've been assigned a new task:\n\n📝 *Task:* *${task.task_details}*\n📅 *Deadline:* ${await formatForAssignee(
+      task,
+      task.due_date,
+      newMember
+    )}`
+  );
+  return `🔄 The task *${task.task_details}* has been reassigned from *${task.name}* to *${newMember.name}*.`;
+}
+
+/**
+ * Change how often, or whether, a task is reminded about
+ * @param {Object} task - Task to update
+ * @param {string} value - New reminder text
+ * @returns {Promise<string|null>} Reply message, or null if the value is unclear
+ */
+async function changeReminder(task, value) {
+  const text = value.trim().toLowerCase();
+  let changes;
+  let summary;
+
+  if (/^(off|none|stop|no reminders?|disable)$/.test(text)) {
+    changes = { reminder: "false", next_reminder_at: null };
+    summary = "Reminders turned off";
+  } else if (/^(once|one[- ]time)\b/.test(text)) {
+    const reminderDateTime = parseDueDate(
+      text.replace(/^(once|one[- ]time)\s*(at|on)?\s*/, ""),
+      task.due_date,
+      task.timezone || DEFAULT_TIMEZONE
+    );
+    if (!reminderDateTime) return null;
+
+    changes = {
+      reminder: "true",
+      reminder_type: "one-time",
+      reminder_frequency: null,
+      reminderDateTime,
+    };
+    summary = `One-time at ${reminderDateTime}`;
+  } else if (parseFrequency(text)) {
+    changes = {
+      reminder: "true",
+      reminder_type: "recurring",
+      reminder_frequency: value.trim(),
+      reminderDateTime: null,
+    };
+    summary = `Recurring ${value.trim()}`;
+  } else {
+    return null;
+  }
+
+  // An explicit choice replaces any frequency raised near the deadline
+  const updatedTask = await updateTask(task.taskId, {
+    ...changes,
+    base_reminder_frequency: null,
+  });
+
+  await restartReminder(updatedTask);
+  sendMessage(
+    `whatsapp:+${task.phone}`,
+    `🔁 *Reminder Updated*\n\nReminders for *${task.task_details}* have changed.\n🔁 *Reminder:* ${summary}`
+  );
+  return `🔁 Reminder for *${task.task_details}* updated: *${summary}*.`;
+}
+
+// ============================================================================
+// CONVERSATION FLOW
+// ============================================================================
+
+/**
+ * Advance an edit conversation by one step
+ * @param {Object} edit - Parsed command or the pending edit from the session
+ * @param {string|null} message - User's reply, or null when the command starts
+ * @param {string} From - Assigner's WhatsApp number
+ * @returns {Promise<{reply: string, pendingEdit: Object|null}>} Reply and the
+ *   edit to keep in the session, or null when the flow is finished
+ */
+async function handleTaskEdit(edit, message, From) {
+  const state = { ...edit };
+
+  if (message !== null) {
+    const text = message.trim();
+
+    if (/^(never ?mind|abort|stop|forget it)$/i.test(text)) {
+      return { reply: "👍 Okay, the task was left unchanged.", pendingEdit: null };
+    }
+
+    if (state.awaiting === "choice") {
+      const chosen = state.candidates[parseInt(text, 10) - 1];
+      if (!/^\d+$/.test(text) || !chosen) {
+        return {
+          reply: `Please reply with the number of the task:\n${formatCandidates(state.candidates)}`,
+          pendingEdit: state,
+        };
+      }
+      state.taskId = chosen.taskId;
+    } else if (state.awaiting === "value") {
+      state.value = text;
+    } else if (state.awaiting === "confirm") {
+      if (!/^(yes|y|confirm)$/i.test(text)) {
+        return { reply: "👍 Okay, the task was not cancelled.", pendingEdit: null };
+      }
+      state.confirmed = true;
+    }
+    delete state.awaiting;
+  }
+
+  try {
+    return await applyTaskEdit(state, From);
+  } catch (error) {
+    console.error("Error editing task:", error);
+    return { reply: "Sorry, there was an error updating the task.", pendingEdit: null };
+  }
+}
+
+/**
+ * Resolve the targeted task and apply the edit once everything is known
+ * @param {Object} state - Pending edit
+ * @param {string} From - Assigner's WhatsApp number
+ * @returns {Promise<{reply: string, pendingEdit: Object|null}>} Reply and pending edit
+ */
+async function applyTaskEdit(state, From) {
+  const tasks = await listTasks({ employerNumber: From });
+
+  if (!state.taskId) {
+    const matches = findTaskMatches(state.target, tasks);
+
+    if (matches.length === 0) {
+      return {
+        reply: `I couldn't find a task matching "${state.target}". Send "my tasks" to see your tasks and their IDs.`,
+        pendingEdit: null,
+      };
+    }
+
+    if (matches.length > 1) {
+      state.candidates = matches.slice(0, 9).map((task) => ({
+        taskId: task.taskId,
+        task_details: task.task_details,
+        name: task.name,
+        due_date: task.due_date,
+      }));
+      state.awaiting = "choice";
+      return {
+        reply: `Several tasks match "${state.target}". Which one did you mean?\n${formatCandidates(state.candidates)}`,
+        pendingEdit: state,
+      };
+    }
+
+    state.taskId = matches[0].taskId;
+  }
+
+  const task = tasks.find((entry) => entry.taskId === state.taskId);
+  if (!task) {
+    return { reply: "That task no longer exists.", pendingEdit: null };
+  }
+
+  if (state.action === "cancel") {
+    if (!state.confirmed) {
+      state.awaiting = "confirm";
+      return {
+        reply: `🗑️ Cancel the task *${task.task_details}* assigned to *${task.name}*?\nReply *Yes* to confirm or *No* to keep it.`,
+        pendingEdit: state,
+      };
+    }
+    return { reply: await cancelTask(task), pendingEdit: null };
+  }
+
+  if (!state.value) {
+    state.awaiting = "value";
+    return { reply: VALUE_QUESTIONS[state.action], pendingEdit: state };
+  }
+
+  let reply;
+  if (state.action === "reschedule") {
+    reply = await rescheduleTask(task, state.value);
+  } else if (state.action === "reassign") {
+    reply = await reassignTask(task, state.value, await getTeamMembers(From));
+  } else {
+    reply = await changeReminder(task, state.value);
+  }
+
+  if (reply === null) {
+    const invalid = {
+      reschedule: `⚠️ I couldn't understand the date "${state.value}".`,
+      reassign: `⚠️ I couldn't find exactly one team member called "${state.value}". Please use their full name.`,
+      reminder: `⚠️ I couldn't understand the reminder "${state.value}".`,
+    }[state.action];
+    state.value = null;
+    state.awaiting = "value";
+    return { reply: `${invalid}\n${VALUE_QUESTIONS[state.action]}`, pendingEdit: state };
+  }
+
+  return { reply, pendingEdit: null };
+}
+
+/**
+ * Format candidate tasks as a numbered list
+ * @param {Array<Object>} candidates - Candidate tasks
+ * @returns {string} Numbered list
+ */
+function formatCandidates(candidates) {
+  return candidates
+    .map(
+      (candidate, index) =>
+        `${index + 1}. *${candidate.task_details}* — ${candidate.name} (📅 ${candidate.due_date})`
+    )
+    .join("\n");
+}
+
+module.exports = {
+  parseTaskEdit,
+  handleTaskEdit,
+};
@@ -0,0 +1,123 @@
+/**
+ * Task Extraction
+ *
+ * The create_task function GPT calls once a conversation holds every detail
+ * of a new task, and validation of the arguments it sends. A missing or
+ * invalid field gets its own follow-up question; the user's answer goes back
+ * through GPT, which calls create_task again with the field filled in.
+ *
+ * Dates and times stay in the user's words here and are resolved afterwards
+ * by dateParsing.js.
+ */
+
+const { parseFrequency } = require("./reminderScheduler");
+
+const REMINDER_TYPES = ["recurring", "one-time"];
+
+const CREATE_TASK_FUNCTION = {
+  name: "create_task",
+  description: "Assign a task once all of its details have been collected",
+  parameters: {
+    type: "object",
+    properties: {
+      task: { type: "string", description: "What needs to be done" },
+      assignee: { type: "string", description: "Name of the team member doing the task" },
+      dueDate: {
+        type: "string",
+        description: "Due date in the user's words, e.g. 'next Friday' or '28th Feb'",
+      },
+      dueTime: {
+        type: "string",
+        description: "Due time in the user's words, e.g. '6 PM' or 'in 2 hours'",
+      },
+      reminder_type: { type: "string", enum: REMINDER_TYPES },
+      reminder_frequency: {
+        type: ["string", "null"],
+        description: "How often to remind for recurring reminders, e.g. 'every 3 hours'; null for one-time",
+      },
+      reminderDateTime: {
+        type: ["string", "null"],
+        description:
+          "When to send a one-time reminder in the user's words, e.g. '20th May at 5PM'; null for recurring",
+      },
+      watchers: {
+        type: "array",
+        items: { type: "string" },
+        description: "Names or phone numbers of people to keep informed; empty if none",
+      },
+    },
+    required: ["task", "assignee", "dueDate", "dueTime", "reminder_type"],
+  },
+};
+
+// What to ask when a field is missing or invalid
+const FIELD_QUESTIONS = {
+  task: "📝 What is the task? Please describe what needs to be done.",
+  assignee: "👤 Who should this task be assigned to?",
+  dueDate: "📅 When is the task due? For example, *next Friday* or *28th Feb*.",
+  dueTime: "⏰ What time is the task due? For example, *6 PM*.",
+  reminder_type:
+    "🔁 Should I send a recurring reminder (e.g. *every 2 hours*) or a one-time reminder (e.g. *20th May at 5PM*)?",
+  reminder_frequency:
+    "🔁 How often should I send the reminder? Please use minutes, hours or days, e.g. *every 30 mins*, *every 2 hours* or *every 1 day*.",
+  reminderDateTime: "⏰ When should the one-time reminder be sent? For example, *20th May at 5PM*.",
+  watchers: "👀 Who should be kept informed? Please reply with names or phone numbers.",
+};
+
+/**
+ * Trim a string argument
+ * @param {*} value - Argument from GPT
+ * @returns {string} Trimmed text, or "" if it isn't a string
+ */
+function toText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Validate the arguments of a create_task call
+ * @param {Object} details - Parsed arguments
+ * @returns {{value: Object}|{field: string, question: string}} Cleaned task
+ *   details, or the first invalid field and the question to ask about it
+ */
+function validateTaskDetails(details) {
+  const invalid = (field) => ({ field, question: FIELD_QUESTIONS[field] });
+  if (!details || typeof details !== "object") return invalid("task");
+
+  for (const field of ["task", "assignee", "dueDate", "dueTime"]) {
+    if (!toText(details[field])) return invalid(field);
+  }
+
+  const reminderType = toText(details.reminder_type).toLowerCase().replace(/\s+/, "-");
+  if (!REMINDER_TYPES.includes(reminderType)) return invalid("reminder_type");
+
+  const frequency = toText(details.reminder_frequency);
+  if (reminderType === "recurring" && !(parseFrequency(frequency)?.intervalMs > 0)) {
+    return invalid("reminder_frequency");
+  }
+
+  const reminderDateTime = toText(details.reminderDateTime);
+  if (reminderType === "one-time" && !reminderDateTime) return invalid("reminderDateTime");
+
+  const watchers = details.watchers ?? [];
+  if (!Array.isArray(watchers) || watchers.some((watcher) => !toText(String(watcher)))) {
+    return invalid("watchers");
+  }
+
+  return {
+    value: {
+      task: toText(details.task),
+      assignee: toText(details.assignee),
+      dueDate: toText(details.dueDate),
+      dueTime: toText(details.dueTime),
+      reminder_type: reminderType,
+      reminder_frequency: reminderType === "recurring" ? frequency : null,
+      reminderDateTime: reminderType === "one-time" ? reminderDateTime : null,
+      watchers: watchers.map((watcher) => String(watcher).trim()),
+    },
+  };
+}
+
+module.exports = {
+  CREATE_TASK_FUNCTION,
+  validateTaskDetails,
+};
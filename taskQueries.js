@@ -0,0 +1,220 @@
+/**
+ * Task Queries
+ *
+ * Parses WhatsApp commands like "my tasks", "pending for Astik", "overdue" or
+ * "due this week" and answers them from the `tasks` table.
+ */
+
+const moment = require("moment-timezone");
+
+const { listTasks, getTeamMembers } = require("./taskStore");
+const { formatInTimezone, getUserTimezone } = require("./timezones");
+
+const STATUS_FILTERS = {
+  pending: "Pending",
+  completed: "Completed",
+  "not completed": "Not Completed",
+};
+
+const STATUS_ICONS = {
+  Pending: "⏳",
+  Completed: "✅",
+  "Not Completed": "⚠️",
+};
+
+// ============================================================================
+// COMMAND PARSING
+// ============================================================================
+
+/**
+ * Parse a task query command
+ * @param {string} message - User's message
+ * @returns {Object|null} Query with status, due, assignee and view, or null
+ */
+function parseTaskQuery(message) {
+  const text = message
+    .trim()
+    .toLowerCase()
+    .replace(/[?!.]+$/, "")
+    .replace(/\s+/g, " ");
+
+  if (/^(what'?s|what is) on my plate$|^my (to-?do|todo list|plate)$/.test(text)) {
+    return { status: "open", due: null, assignee: null, view: "assignee" };
+  }
+
+  const match = text.match(
+    /^(?:show |list |get )?(?:me )?(?:my |all )?(pending|overdue|completed|done|not completed|open)?\s*(?:tasks?)?\s*(?:(?:that are )?due (today|tomorrow|this week|next week))?\s*(?:(?:for|of|assigned to) ([a-z][a-z .'-]{0,40}))?$/
+  );
+  if (!match) return null;
+
+  const [, status, due, assignee] = match;
+
+  // Every part is optional, so insist on at least one meaningful word
+  if (!status && !due && !assignee && !/\btasks?\b/.test(text)) return null;
+  if (!status && !due && assignee && !/\btasks?\b/.test(text)) return null;
+  if (status === "done" && !/\btasks?\b/.test(text)) return null;
+
+  return {
+    status:
+      status === "done" ? "completed" : status === "open" ? "open" : status || "all",
+    due: due || null,
+    assignee: assignee
+      ? assignee.trim().replace(/\b\w/g, (letter) => letter.toUpperCase())
+      : null,
+    view: null,
+  };
+}
+
+// ============================================================================
+// TASK FILTERING AND FORMATTING
+// ============================================================================
+
+/**
+ * Check whether a task matches the status filter of a query
+ * @param {Object} task - Task row
+ * @param {Object} query - Parsed query
+ * @param {moment.Moment} now - Current time in the sender's zone
+ * @returns {boolean} True if the task should be listed
+ */
+function matchesStatus(task, query, now) {
+  const done = task.task_done === "Completed";
+
+  if (STATUS_FILTERS[query.status]) {
+    return task.task_done === STATUS_FILTERS[query.status];
+  }
+  if (query.status === "open") return !done;
+  if (query.status === "overdue") {
+    return !done && Boolean(task.due_at) && moment(task.due_at).isBefore(now);
+  }
+  return true;
+}
+
+/**
+ * Get the due date window of a query
+ * @param {string|null} due - "today", "tomorrow", "this week" or "next week"
+ * @param {moment.Moment} now - Current time in the sender's zone
+ * @returns {{from?: string, to?: string}} ISO timestamps for listTasks
+ */
+function getDueRange(due, now) {
+  let start;
+  let span = "day";
+
+  if (due === "today") start = now.clone().startOf("day");
+  if (due === "tomorrow") start = now.clone().add(1, "day").startOf("day");
+  if (due === "this week" || due === "next week") {
+    span = "week";
+    start = now.clone().startOf("isoWeek");
+    if (due === "next week") start.add(1, "week");
+  }
+  if (!start) return {};
+
+  return {
+    from: start.toISOString(),
+    to: start.clone().add(1, span).toISOString(),
+  };
+}
+
+/**
+ * Build the heading of a task list reply
+ * @param {Object} query - Parsed query
+ * @returns {string} Heading text
+ */
+function describeQuery(query) {
+  const statusLabel = {
+    all: "",
+    open: "Open ",
+    pending: "Pending ",
+    overdue: "Overdue ",
+    completed: "Completed ",
+    "not completed": "Not completed ",
+  }[query.status];
+
+  let heading = `${statusLabel}tasks`;
+  heading = heading.charAt(0).toUpperCase() + heading.slice(1);
+  if (query.due) heading += ` due ${query.due}`;
+  if (query.assignee) heading += ` for ${query.assignee}`;
+  return heading;
+}
+
+/**
+ * Format matching tasks into a WhatsApp message
+ * @param {Array<Object>} tasks - Task rows
+ * @param {Object} query - Parsed query
+ * @param {boolean} showAssignee - Whether to show the assignee on each line
+ * @param {string} timezone - Sender's zone, due dates are shown in it
+ * @returns {string} Formatted message
+ */
+function formatTaskList(tasks, query, showAssignee, timezone) {
+  const heading = describeQuery(query);
+
+  if (tasks.length === 0) {
+    return `📋 *${heading}*\n\nNo tasks found. 🎉`;
+  }
+
+  const lines = tasks.map((task, index) => {
+    const icon = STATUS_ICONS[task.task_done] || "⏳";
+    const assignee = showAssignee ? ` — ${task.name}` : "";
+    const reason = task.reason ? `\n   📝 ${task.reason}` : "";
+    return `${index + 1}. *${task.task_details}*${assignee}\n   📅 ${formatInTimezone(task.due_date, task.timezone, timezone)} · ${icon} ${task.task_done} · 🆔 ${task.taskId}${reason}`;
+  });
+
+  return `📋 *${heading}* (${tasks.length})\n\n${lines.join("\n")}`;
+}
+
+// ============================================================================
+// SUPABASE DATA FUNCTIONS
+// ============================================================================
+
+/**
+ * Answer a parsed task query for the sender
+ * @param {Object} query - Result of parseTaskQuery
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<string>} Reply message
+ */
+async function answerTaskQuery(query, From) {
+  const phone = From.replace("whatsapp:+", "");
+  const timezone = await getUserTimezone(From);
+  const now = moment().tz(timezone);
+
+  try {
+    const members = await getTeamMembers(From);
+    const isManager = members.length > 0 && query.view !== "assignee";
+
+    if (isManager && query.assignee) {
+      const found = members.some((member) =>
+        member.name.toLowerCase().includes(query.assignee.toLowerCase())
+      );
+      if (!found) {
+        return `I couldn't find a team member called "${query.assignee}".`;
+      }
+    }
+
+    const filters = isManager ? { employerNumber: From } : { phone };
+    if (STATUS_FILTERS[query.status]) {
+      filters.task_done = STATUS_FILTERS[query.status];
+    }
+
+    const tasks = (await listTasks(filters, getDueRange(query.due, now)))
+      .filter((task) => matchesStatus(task, query, now))
+      .filter(
+        (task) =>
+          !isManager ||
+          !query.assignee ||
+          task.name.toLowerCase().includes(query.assignee.toLowerCase())
+      );
+
+    if (!isManager && tasks.length === 0 && query.status === "all" && !query.due) {
+      return "I couldn't find any tasks for you yet. 📭";
+    }
+
+    return formatTaskList(tasks, query, isManager, timezone);
+  } catch (error) {
+    console.error("Error fetching tasks for query:", error);
+    return "Sorry, there was an error fetching your tasks.";
+  }
+}
+
+module.exports = {
+  parseTaskQuery,
+  answerTaskQuery,
+};
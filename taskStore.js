@@ -0,0 +1,220 @@
+/**
+ * Task Store
+ *
+ * Data access for the normalized `tasks` table. Each task is its own row, so
+ * status changes update a single record instead of rewriting the assignee's
+ * whole task list in `grouped_tasks`. Team members (name, phone and
+ * employerNumber) still live in `grouped_tasks`.
+ */
+
+const moment = require("moment-timezone");
+
+const supabase = require("./supabaseClient");
+const { DEFAULT_TIMEZONE, DATE_TIME_FORMAT } = require("./timezones");
+
+const TASKS_TABLE = "tasks";
+const TEAM_MEMBER_COLUMNS = "name, phone, employerNumber, timezone, status, opted_in_at, email";
+
+/**
+ * Fill in the indexed `due_at` timestamp whenever `due_date` is written.
+ * Pass the task's `timezone` along with a new `due_date`.
+ * @param {Object} fields - Task fields being saved
+ * @returns {Object} Fields including due_at
+ */
+function withDueAt(fields) {
+  if (!("due_date" in fields)) return fields;
+
+  const due = moment.tz(
+    fields.due_date,
+    DATE_TIME_FORMAT,
+    fields.timezone || DEFAULT_TIMEZONE
+  );
+  return { ...fields, due_at: due.isValid() ? due.toISOString() : null };
+}
+
+/**
+ * Get a single task
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object|null>} Task or null if it does not exist
+ */
+async function getTask(taskId) {
+  const { data, error } = await supabase
+    .from(TASKS_TABLE)
+    .select("*")
+    .eq("taskId", taskId)
+    .maybeSingle();
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * List tasks matching column filters, ordered by due date
+ * @param {Object} [filters] - Column/value pairs, e.g. { employerNumber, task_done }
+ * @param {Object} [range] - Optional due date window
+ * @param {string} [range.from] - ISO timestamp, inclusive
+ * @param {string} [range.to] - ISO timestamp, exclusive
+ * @returns {Promise<Array<Object>>} Tasks
+ */
+async function listTasks(filters = {}, range = {}) {
+  let query = supabase.from(TASKS_TABLE).select("*");
+
+  Object.entries(filters).forEach(([column, value]) => {
+    query = query.eq(column, value);
+  });
+  if (range.from) query = query.gte("due_at", range.from);
+  if (range.to) query = query.lt("due_at", range.to);
+
+  const { data, error } = await query.order("due_at", { ascending: true });
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Insert a new task
+ * @param {Object} task - Task fields including the assignee's name, phone and employerNumber
+ * @returns {Promise<Object>} Saved task
+ */
+async function insertTask(task) {
+  const { data, error } = await supabase
+    .from(TASKS_TABLE)
+    .insert(withDueAt(task))
+    .select()
+    .single();
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Update fields of a single task
+ * @param {string} taskId - Task ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} Updated task or null if it does not exist
+ */
+async function updateTask(taskId, changes) {
+  const { data, error } = await supabase
+    .from(TASKS_TABLE)
+    .update(withDueAt(changes))
+    .eq("taskId", taskId)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Delete a task
+ * @param {string} taskId - Task ID
+ */
+async function deleteTask(taskId) {
+  const { error } = await supabase.from(TASKS_TABLE).delete().eq("taskId", taskId);
+  if (error) throw error;
+}
+
+/**
+ * Update fields of every task matching column filters
+ * @param {Object} filters - Column/value pairs, e.g. { employerNumber, phone }
+ * @param {Object} changes - Fields to update, not including due_date
+ * @returns {Promise<Array<Object>>} Updated tasks
+ */
+async function updateTasks(filters, changes) {
+  let query = supabase.from(TASKS_TABLE).update(changes);
+
+  Object.entries(filters).forEach(([column, value]) => {
+    query = query.eq(column, value);
+  });
+
+  const { data, error } = await query.select();
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Get the team members an assigner manages
+ * @param {string} employerNumber - Assigner's WhatsApp number
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive] - Also return deactivated members
+ * @returns {Promise<Array<Object>>} grouped_tasks rows with name and phone
+ */
+async function getTeamMembers(employerNumber, { includeInactive = false } = {}) {
+  let query = supabase
+    .from("grouped_tasks")
+    .select(TEAM_MEMBER_COLUMNS)
+    .eq("employerNumber", employerNumber);
+  if (!includeInactive) query = query.neq("status", "inactive");
+
+  const { data, error } = await query.order("name", { ascending: true });
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Get one team member of an assigner
+ * @param {string} employerNumber - Assigner's WhatsApp number
+ * @param {string} phone - Member's phone number without the whatsapp:+ prefix
+ * @returns {Promise<Object|null>} grouped_tasks row or null
+ */
+async function getTeamMember(employerNumber, phone) {
+  const { data, error } = await supabase
+    .from("grouped_tasks")
+    .select(TEAM_MEMBER_COLUMNS)
+    .eq("employerNumber", employerNumber)
+    .eq("phone", phone)
+    .maybeSingle();
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Add a team member to an assigner's roster
+ * @param {Object} member - name, phone, employerNumber and status
+ * @returns {Promise<Object>} Saved grouped_tasks row
+ */
+async function insertTeamMember(member) {
+  const { data, error } = await supabase
+    .from("grouped_tasks")
+    .insert(member)
+    .select(TEAM_MEMBER_COLUMNS)
+    .single();
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Update team member rows matching column filters
+ * @param {Object} filters - Column/value pairs, e.g. { employerNumber, phone }
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Array<Object>>} Updated grouped_tasks rows
+ */
+async function updateTeamMembers(filters, changes) {
+  let query = supabase.from("grouped_tasks").update(changes);
+
+  Object.entries(filters).forEach(([column, value]) => {
+    query = query.eq(column, value);
+  });
+
+  const { data, error } = await query.select(TEAM_MEMBER_COLUMNS);
+  if (error) throw error;
+
+  return data;
+}
+
+module.exports = {
+  getTask,
+  listTasks,
+  insertTask,
+  updateTask,
+  deleteTask,
+  updateTasks,
+  getTeamMembers,
+  getTeamMember,
+  insertTeamMember,
+  updateTeamMembers,
+};
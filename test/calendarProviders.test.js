@@ -0,0 +1,104 @@
+/**
+ * Calendar Providers
+ *
+ * Linked accounts and the features only Google supports, driven over
+ * WhatsApp (see harness.js).
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ASSIGNER, startHarness } = require("./harness");
+const { parseAccountCommand } = require("../calendarProviders");
+
+let bot;
+
+beforeEach(async () => {
+  bot = await startHarness({
+    seed: {
+      user_tokens: [{ phone_number: ASSIGNER, provider: "zoom", refresh_token: "zoom-token" }],
+    },
+  });
+});
+
+afterEach(async () => {
+  await bot.close();
+  assert.equal(bot.openai.unscripted.length, 0, "every OpenAI request should be scripted");
+});
+
+/**
+ * Link a Google account for the assigner
+ */
+function linkGoogle() {
+  bot.tables.user_tokens.push({
+    phone_number: ASSIGNER,
+    provider: "google",
+    refresh_token: "google-token",
+    account_email: "old@example.com",
+    linked_at: "2030-01-01T09:00:00.000Z",
+  });
+}
+
+/**
+ * Get the assigner's linked providers
+ * @returns {Array<string>} Provider names
+ */
+function getLinked() {
+  return bot.tables.user_tokens
+    .filter((row) => row.phone_number === ASSIGNER)
+    .map((row) => row.provider);
+}
+
+test("account commands are parsed", () => {
+  assert.deepEqual(parseAccountCommand("Google status"), { action: "status", provider: "google" });
+  assert.deepEqual(parseAccountCommand("is my outlook connected?"), { action: "status", provider: "microsoft" });
+  assert.deepEqual(parseAccountCommand("relink google meet"), { action: "relink", provider: "google" });
+  assert.deepEqual(parseAccountCommand("disconnect my zoom account"), { action: "disconnect", provider: "zoom" });
+  assert.equal(parseAccountCommand("disconnect the projector"), null);
+});
+
+test("a linked account's status shows the account it's linked as", async () => {
+  linkGoogle();
+
+  const { reply } = await bot.say("google status");
+
+  assert.match(reply, /\*Google Calendar \(Google Meet\)\* is linked as \*organizer@example\.com\* since Jan 1, 2030/);
+  const row = bot.tables.user_tokens.find((token) => token.provider === "google");
+  assert.equal(row.account_email, "organizer@example.com", "the new email is saved");
+});
+
+test("an account is disconnected and can be linked again", async () => {
+  linkGoogle();
+
+  const disconnected = await bot.say("disconnect google");
+  assert.match(disconnected.reply, /Disconnected your Google Calendar \(Google Meet\) account \*old@example\.com\*/);
+  assert.deepEqual(getLinked(), ["zoom"]);
+
+  const status = await bot.say("google status");
+  assert.match(status.reply, /isn't linked\. Sign in here:\n.*accounts\.google\./);
+
+  const relink = await bot.say("relink google");
+  assert.match(relink.reply, /Sign in with Google Calendar \(Google Meet\) to link your account again/);
+});
+
+test("providers this deployment can't use are reported", async () => {
+  const { reply } = await bot.say("zoom status");
+
+  assert.equal(reply, "Sorry, Zoom isn't available yet.");
+  assert.deepEqual(getLinked(), ["zoom"]);
+});
+
+test("Google-only features tell a Zoom user why Google is needed", async () => {
+  for (const [message, feature] of [
+    ["show my meetings today", /Managing meetings works with Google Calendar only/],
+    ["import google contacts", /Importing contacts works with Google Calendar only/],
+    ["add tasks to my calendar", /Adding tasks to your calendar works with Google Calendar only/],
+  ]) {
+    const { reply } = await bot.say(message);
+
+    assert.match(reply, feature);
+    assert.match(reply, /Your Zoom account can't be used for this/);
+    assert.match(reply, /accounts\.google\./);
+  }
+  assert.equal(bot.google.events.length, 0);
+});
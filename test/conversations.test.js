@@ -0,0 +1,278 @@
+/**
+ * Conversations
+ *
+ * Scripted WhatsApp conversations replayed against the bot with local fakes
+ * (see harness.js), checking its replies and what it saved.
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ASSIGNER, startHarness } = require("./harness");
+const { functionCall } = require("./fakes");
+
+const ASSIGNEE = "whatsapp:+15550000002";
+
+const TEAM = [
+  { name: "Priya", phone: "15550000002", employerNumber: ASSIGNER },
+  { name: "Astik", phone: "15550000003", employerNumber: ASSIGNER },
+];
+
+const OPEN_TASK = {
+  taskId: "101",
+  task_details: "Update the roadmap",
+  task_done: "Pending",
+  name: "Priya",
+  phone: "15550000002",
+  employerNumber: ASSIGNER,
+  assignerNumber: ASSIGNER,
+  due_date: "2030-01-15 17:00",
+  due_at: "2030-01-15T11:30:00.000Z",
+  timezone: "Asia/Kolkata",
+  reminder: "true",
+  reminder_type: "recurring",
+  reminder_frequency: "every 2 hours",
+};
+
+let bot;
+
+/**
+ * Script the intent the classifier gives the next message
+ * @param {string} intent - One of intentRouter's INTENTS
+ */
+function classifyAs(intent) {
+  bot.openai.reply("classify_message", functionCall("classify_message", { intent }));
+}
+
+/**
+ * Get the saved conversation sessions of a number
+ * @param {string} phoneNumber - WhatsApp number
+ * @returns {Object|undefined} conversation_sessions row
+ */
+function getSessionRow(phoneNumber) {
+  return bot.tables.conversation_sessions.find((row) => row.phone_number === phoneNumber);
+}
+
+beforeEach(async () => {
+  bot = await startHarness({
+    seed: {
+      grouped_tasks: TEAM,
+      tasks: [OPEN_TASK],
+      user_tokens: [{ phone_number: ASSIGNER, provider: "google", refresh_token: "google-token" }],
+    },
+  });
+});
+
+afterEach(async () => {
+  await bot.close();
+  assert.deepEqual(
+    bot.openai.unscripted.map((request) => request.messages[0].content.slice(0, 80)),
+    [],
+    "every OpenAI request should be scripted"
+  );
+});
+
+test("help is answered without asking GPT", async () => {
+  const { reply } = await bot.say("help");
+
+  assert.match(reply, /Here's what I can do/);
+  assert.equal(bot.openai.requests.length, 1, "only the typo correction runs");
+});
+
+test("a task is assigned over two messages", async () => {
+  classifyAs("create_task");
+  bot.openai.reply("create_task", "👤 Who should the report be assigned to, and when is it due?");
+  const first = await bot.say("Send the quarterly report");
+  assert.deepEqual(first.sent(), ["👤 Who should the report be assigned to, and when is it due?"]);
+  assert.ok(getSessionRow(ASSIGNER).user_session, "the conversation is saved between messages");
+
+  classifyAs("create_task");
+  bot.openai.reply(
+    "create_task",
+    functionCall("create_task", {
+      task: "Send the quarterly report",
+      assignee: "Priya",
+      dueDate: "15th January 2030",
+      dueTime: "6 PM",
+      reminder_type: "recurring",
+      reminder_frequency: "every 2 hours",
+      watchers: [],
+    })
+  );
+  const second = await bot.say("Priya, 15th January 2030 at 6 PM, remind her every 2 hours");
+
+  const taskRequest = bot.openai.requests.filter((request) => request.functions?.[0].name === "create_task").pop();
+  assert.match(taskRequest.messages[0].content, /Send the quarterly report/, "GPT sees the earlier message");
+
+  const task = bot.tables.tasks.find((row) => row.task_details === "Send the quarterly report");
+  assert.ok(task, "the task is saved");
+  assert.equal(task.phone, "15550000002");
+  assert.equal(task.assignerNumber, ASSIGNER);
+  assert.equal(task.reminder_frequency, "every 2 hours");
+  assert.equal(task.due_date, "2030-01-15 18:00");
+
+  assert.ok(second.sent().some((body) => body.includes("*Task Assigned*")));
+  assert.ok(second.sent(ASSIGNEE).some((body) => body.includes("*New Task Assigned!*")));
+  assert.equal(getSessionRow(ASSIGNER).user_session, null, "the conversation ends");
+});
+
+test("watchers are found in the assigner's current team", async () => {
+  // Added after the bot started
+  bot.tables.grouped_tasks.push({
+    name: "Dana",
+    phone: "15550000004",
+    employerNumber: ASSIGNER,
+    status: "active",
+  });
+
+  classifyAs("create_task");
+  bot.openai.reply(
+    "create_task",
+    functionCall("create_task", {
+      task: "Plan the offsite",
+      assignee: "Astik",
+      dueDate: "15th January 2030",
+      dueTime: "6 PM",
+      reminder_type: "recurring",
+      reminder_frequency: "every 2 hours",
+      watchers: ["dana", "+1 555 000 0009", "Nobody"],
+    })
+  );
+  await bot.say("Astik should plan the offsite by 15th January 2030 at 6 PM, keep Dana posted");
+
+  const task = bot.tables.tasks.find((row) => row.task_details === "Plan the offsite");
+  assert.deepEqual(task.watchers, ["whatsapp:+15550000004", "whatsapp:+15550000009"]);
+});
+
+test("an assignee marks a reminded task as done", async () => {
+  const reminders = await bot.remind("101");
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].to, ASSIGNEE);
+  assert.match(reminders[0].body, /Has the task \*Update the roadmap\*/);
+
+  const { sent } = await bot.say("yes", ASSIGNEE);
+
+  assert.equal(bot.tables.tasks[0].task_done, "Completed");
+  assert.ok(sent(ASSIGNEE).some((body) => body.includes("has been marked as completed")));
+  assert.ok(sent(ASSIGNER).some((body) => body.includes("was completed")));
+});
+
+test("an assignee explains why a task isn't done", async () => {
+  await bot.remind("101");
+
+  const no = await bot.say("no", ASSIGNEE);
+  assert.match(no.sent(ASSIGNEE)[0], /Why has the task \*Update the roadmap\* not been completed/);
+
+  const reason = await bot.say("Waiting on the design team", ASSIGNEE);
+  assert.equal(bot.tables.tasks[0].task_done, "Not Completed");
+  assert.equal(bot.tables.tasks[0].reason, "Waiting on the design team");
+  assert.ok(reason.sent(ASSIGNER).some((body) => body.includes("*Reason:* Waiting on the design team")));
+});
+
+test("a reminder in the middle of another conversation leaves it open", async () => {
+  classifyAs("create_task");
+  bot.openai.reply("create_task", "📅 When is the task due?");
+  await bot.say("Astik should prepare the slides", ASSIGNEE);
+
+  const reminders = await bot.remind("101");
+  assert.match(reminders[0].body, /Reply with \*Yes 1\* or \*No 1\*/);
+
+  await bot.say("no 1", ASSIGNEE);
+  const reason = await bot.say("Waiting on the design team", ASSIGNEE);
+  assert.equal(bot.tables.tasks[0].reason, "Waiting on the design team");
+  assert.ok(reason.sent(ASSIGNER).some((body) => body.includes("*Task Not Completed*")));
+
+  const session = getSessionRow(ASSIGNEE).user_session;
+  assert.equal(session.step, 0);
+  assert.equal(session.conversationHistory[0].content, "Astik should prepare the slides");
+  assert.equal(session.pendingReminders, undefined, "the reminder is answered");
+});
+
+test("open reminders outlast the conversation they came in the middle of", async () => {
+  classifyAs("create_task");
+  bot.openai.reply("create_task", "📅 When is the task due?");
+  await bot.say("Astik should prepare the slides", ASSIGNEE);
+  await bot.remind("101");
+
+  const cancelled = await bot.say("cancel", ASSIGNEE);
+  assert.match(cancelled.reply, /dropped the task you were creating/);
+
+  const { sent } = await bot.say("yes", ASSIGNEE);
+  assert.equal(bot.tables.tasks[0].task_done, "Completed");
+  assert.ok(sent(ASSIGNEE).some((body) => body.includes("has been marked as completed")));
+  assert.equal(getSessionRow(ASSIGNEE).user_session, null);
+});
+
+test("a meeting is previewed and created on Google Calendar", async () => {
+  classifyAs("schedule_meeting");
+  bot.openai.reply(
+    "create_calendar_event",
+    functionCall("create_calendar_event", {
+      title: "Design review",
+      startDate: "15th January 2030",
+      startTime: "3 PM",
+      durationMinutes: 30,
+      attendees: ["dana@example.com"],
+    })
+  );
+  const preview = await bot.say("Set up a design review on 15th January 2030 at 3 PM with dana@example.com");
+  assert.match(preview.reply, /Meeting Preview/);
+  assert.match(preview.reply, /Design review/);
+  assert.equal(bot.google.events.length, 0, "nothing is created before the preview is confirmed");
+
+  const { parameters } = bot.openai.requests.find(
+    (request) => request.functions?.[0].name === "create_calendar_event"
+  ).functions[0];
+  for (const field of parameters.required) {
+    assert.ok(field in parameters.properties, `required field ${field} is declared`);
+  }
+
+  classifyAs("schedule_meeting");
+  const created = await bot.say("yes");
+  assert.match(created.reply, /Meeting created!/);
+
+  assert.equal(bot.google.events.length, 1);
+  const [event] = bot.google.events;
+  assert.equal(event.summary, "Design review");
+  assert.equal(event.start.dateTime, "2030-01-15T15:00:00");
+  assert.deepEqual(event.attendees, [{ email: "dana@example.com" }]);
+});
+
+test("a meeting session with no question pending starts the request over", async () => {
+  bot.tables.conversation_sessions = [
+    {
+      phone_number: ASSIGNER,
+      meeting_session: { pendingArgs: { title: "Old sync" } },
+      meeting_session_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    },
+  ];
+
+  classifyAs("schedule_meeting");
+  bot.openai.reply(
+    "create_calendar_event",
+    functionCall("create_calendar_event", {
+      title: "Budget review",
+      startDate: "16th January 2030",
+      startTime: "11 AM",
+      durationMinutes: 45,
+      attendees: ["dana@example.com"],
+    })
+  );
+  const { reply } = await bot.say("Budget review on 16th January 2030 at 11 AM with dana@example.com");
+
+  assert.match(reply, /Meeting Preview/);
+  assert.match(reply, /Budget review/);
+  assert.doesNotMatch(reply, /Old sync/);
+});
+
+test("cancel drops the conversation in progress", async () => {
+  classifyAs("create_task");
+  bot.openai.reply("create_task", "📅 When is the task due?");
+  await bot.say("Astik should prepare the slides");
+
+  const { reply } = await bot.say("cancel");
+
+  assert.match(reply, /dropped the task you were creating/);
+  assert.equal(getSessionRow(ASSIGNER).user_session, null);
+  assert.equal(bot.tables.tasks.length, 1, "no task is created");
+});
@@ -0,0 +1,89 @@
+/**
+ * Date Parsing
+ *
+ * Resolving the date and time phrases GPT copies out of a task request, and
+ * the questions asked when they're unclear.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+
+const { resolveTime, resolveTaskDates } = require("../dateParsing");
+
+const TIMEZONE = "Asia/Kolkata";
+
+test("clock times are read in the user's zone", () => {
+  assert.equal(resolveTime("5pm", TIMEZONE).value, "17:00");
+  assert.equal(resolveTime("08:00", TIMEZONE).value, "08:00", "zero-padded times are 24-hour");
+  assert.equal(resolveTime("noon", TIMEZONE).value, "12:00");
+  assert.equal(resolveTime("5pm", TIMEZONE).date, null, "the day is left to the date phrase");
+});
+
+test("relative times fix the day too", () => {
+  const before = moment().tz(TIMEZONE).add(2, "hours");
+  const { value, date } = resolveTime("in 2 hours", TIMEZONE);
+  const after = moment().tz(TIMEZONE).add(2, "hours");
+
+  assert.ok([before, after].some((time) => time.format("HH:mm") === value), value);
+  assert.ok([before, after].some((time) => time.format("YYYY-MM-DD") === date), date);
+});
+
+test("unclear times are asked about", () => {
+  assert.equal(resolveTime("8", TIMEZONE).question, "⏰ Did you mean *8:00 AM* or *8:00 PM*?");
+  assert.match(
+    resolveTime("tomorrow", TIMEZONE, { label: "due time" }).question,
+    /What due time should I use for tomorrow\?/
+  );
+  assert.match(resolveTime("evening", TIMEZONE).question, /couldn't understand "evening" as a time/);
+  assert.match(resolveTime("", TIMEZONE).question, /What time should I use\?/);
+});
+
+test("a task's due date, due time and reminder are resolved together", () => {
+  assert.deepEqual(resolveTaskDates({ dueDate: "15th January 2030", dueTime: "6 PM" }, TIMEZONE), {
+    value: { dueDate: "2030-01-15", dueTime: "18:00", reminderDateTime: null },
+  });
+  assert.deepEqual(resolveTaskDates({ dueDate: "15th January 2030 at 5pm" }, TIMEZONE).value, {
+    dueDate: "2030-01-15",
+    dueTime: "17:00",
+    reminderDateTime: null,
+  });
+
+  const oneTime = resolveTaskDates(
+    {
+      dueDate: "15th January 2030",
+      dueTime: "6 PM",
+      reminder_type: "one-time",
+      reminderDateTime: "14th January 2030 at 9am",
+    },
+    TIMEZONE
+  );
+  assert.equal(oneTime.value.reminderDateTime, "2030-01-14 09:00");
+});
+
+test("task dates that can't be used are asked about", () => {
+  assert.equal(
+    resolveTaskDates({ dueDate: "3/4/2030", dueTime: "6 PM" }, TIMEZONE).question,
+    '📅 By "3/4/2030" did you mean *Apr 3* or *Mar 4*? Please reply with the month name.'
+  );
+  assert.match(
+    resolveTaskDates({ dueDate: "1st January 2020", dueTime: "6 PM" }, TIMEZONE).question,
+    /Jan 1, 2020 is in the past\. Please reply with a future due date/
+  );
+  assert.match(
+    resolveTaskDates({ dueDate: "15th January 2030" }, TIMEZONE).question,
+    /What due time should I use for 15th January 2030\?/
+  );
+  assert.match(
+    resolveTaskDates(
+      {
+        dueDate: "15th January 2030",
+        dueTime: "6 PM",
+        reminder_type: "one-time",
+        reminderDateTime: "1st January 2020 at 9am",
+      },
+      TIMEZONE
+    ).question,
+    /has already passed\. Please reply with a later reminder date/
+  );
+});
@@ -0,0 +1,119 @@
+/**
+ * Digests
+ *
+ * Team digests asked for over WhatsApp (see harness.js), checking which
+ * tasks each one counts.
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ASSIGNER, startHarness } = require("./harness");
+const { parseDigestCommand } = require("../digests");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Build a task Priya completed some time ago
+ * @param {string} taskId - Task ID
+ * @param {string} details - Task description
+ * @param {number} hoursAgo - When it was completed
+ * @returns {Object} tasks row
+ */
+function completedTask(taskId, details, hoursAgo) {
+  return {
+    taskId,
+    task_details: details,
+    task_done: "Completed",
+    completed_at: new Date(Date.now() - hoursAgo * HOUR).toISOString(),
+    name: "Priya",
+    phone: "15550000002",
+    employerNumber: ASSIGNER,
+    due_date: "2030-01-15 17:00",
+    timezone: "Asia/Kolkata",
+  };
+}
+
+let bot;
+
+beforeEach(async () => {
+  bot = await startHarness({
+    seed: {
+      grouped_tasks: [{ name: "Priya", phone: "15550000002", employerNumber: ASSIGNER }],
+      tasks: [
+        completedTask("101", "Send the invoices", 2),
+        completedTask("102", "Book the venue", 3 * 24),
+        completedTask("103", "Update the roadmap", 10 * 24),
+      ],
+    },
+  });
+});
+
+afterEach(async () => {
+  await bot.close();
+  assert.equal(bot.openai.unscripted.length, 0, "every OpenAI request should be scripted");
+});
+
+/**
+ * Get the manager's saved settings
+ * @returns {Object|undefined} user_settings row
+ */
+function getSettings() {
+  return bot.tables.user_settings?.find((row) => row.phone_number === ASSIGNER);
+}
+
+test("digest commands are parsed", () => {
+  assert.deepEqual(parseDigestCommand("Report"), { action: "send", period: "daily" });
+  assert.deepEqual(parseDigestCommand("send me the weekly digest now"), { action: "send", period: "weekly" });
+  assert.deepEqual(parseDigestCommand("daily report at 6pm"), {
+    action: "schedule",
+    period: "daily",
+    day: null,
+    time: "6pm",
+  });
+  assert.deepEqual(parseDigestCommand("weekly digest on friday at 5 pm"), {
+    action: "schedule",
+    period: "weekly",
+    day: "friday",
+    time: "5 pm",
+  });
+  assert.deepEqual(parseDigestCommand("stop digest"), { action: "off" });
+  assert.equal(parseDigestCommand("report the bug to Astik"), null);
+});
+
+test("a weekly digest is scheduled and turned off", async () => {
+  const scheduled = await bot.say("weekly digest on friday at 5 pm");
+  assert.match(scheduled.reply, /I'll send your team digest every Friday at 5:00 PM/);
+  assert.equal(getSettings().digest_frequency, "weekly");
+  assert.equal(getSettings().digest_time, "17:00");
+  assert.equal(getSettings().digest_day, "friday");
+
+  const off = await bot.say("digest off");
+  assert.match(off.reply, /Scheduled digests turned off/);
+  assert.equal(getSettings().digest_frequency, null);
+});
+
+test("unreadable digest times are asked about", async () => {
+  const { reply } = await bot.say("daily report at 25pm");
+
+  assert.match(reply, /couldn't read the time "25pm"/);
+  assert.equal(getSettings(), undefined);
+});
+
+test("the daily digest counts completions of the last 24 hours", async () => {
+  const { reply } = await bot.say("report");
+
+  assert.match(reply, /Daily Team Digest/);
+  assert.match(reply, /Completed in the last 24 hours\* \(1\)/);
+  assert.match(reply, /Send the invoices/);
+  assert.doesNotMatch(reply, /Book the venue/);
+});
+
+test("the weekly digest counts completions of the last 7 days", async () => {
+  const { reply } = await bot.say("weekly report");
+
+  assert.match(reply, /Weekly Team Digest/);
+  assert.match(reply, /Completed in the last 7 days\* \(2\)/);
+  assert.match(reply, /Book the venue/);
+  assert.doesNotMatch(reply, /Update the roadmap/);
+});
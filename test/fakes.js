@@ -0,0 +1,452 @@
+/**
+ * Local Fakes
+ *
+ * In-memory stand-ins for the Supabase, OpenAI, Twilio and Google clients,
+ * covering the parts of each SDK the bot uses. Tests seed and inspect their
+ * state directly:
+ * - Supabase: `tables` holds the rows of every table by name
+ * - OpenAI: replies are scripted per request with reply(), and `requests`
+ *   and `unscripted` record what was asked
+ * - Twilio: `sent` holds every outgoing WhatsApp message
+ * - Google: `events` holds the calendar events of every linked account
+ */
+
+const moment = require("moment-timezone");
+
+// ============================================================================
+// SUPABASE
+// ============================================================================
+
+/**
+ * Compare a column value like Postgres does, where null matches nothing
+ * @param {*} value - Column value
+ * @param {string} operator - eq, neq, gt, gte, lt or lte
+ * @param {*} expected - Value from the filter
+ * @returns {boolean} True if the row passes
+ */
+function compare(value, operator, expected) {
+  if (value === null || value === undefined) return false;
+  switch (operator) {
+    case "eq":
+      return value === expected;
+    case "neq":
+      return value !== expected;
+    case "gt":
+      return value > expected;
+    case "gte":
+      return value >= expected;
+    case "lt":
+      return value < expected;
+    case "lte":
+      return value <= expected;
+    default:
+      throw new Error(`Fake Supabase doesn't support the "${operator}" filter`);
+  }
+}
+
+/**
+ * Copy a value the way it would come back from the database, e.g. Dates as
+ * ISO strings
+ * @param {*} value - Row or values
+ * @returns {*} Copy
+ */
+function serialize(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Turn a PostgREST filter like "locked_until.lt.2025-01-01T00:00:00Z" into a
+ * row test
+ * @param {string} condition - column.operator.value
+ * @returns {Function} Row predicate
+ */
+function parseCondition(condition) {
+  const [column, operator, ...rest] = condition.split(".");
+  const value = rest.join(".");
+  if (operator === "is") {
+    return (row) => (value === "null" ? row[column] == null : String(row[column]) === value);
+  }
+  return (row) => compare(row[column], operator, value);
+}
+
+/**
+ * Start a query on a fake table. Builder methods can be chained in any order
+ * and the query runs when it is awaited, resolving to { data, error }.
+ * @param {Array<Object>} rows - Rows of the table, changed in place
+ * @param {Object} schema - `defaults` of inserted rows and the `primaryKey`
+ *   columns an upsert conflicts on
+ * @returns {Object} Query builder
+ */
+function createQuery(rows, schema) {
+  const filters = [];
+  let action = "select";
+  let payload = null;
+  let options = {};
+  let returning = false;
+  let mode = "many";
+  let ordering = null;
+  let limit = null;
+
+  const run = () => {
+    if (action === "insert" || action === "upsert") {
+      const written = [].concat(serialize(payload)).map((values) => {
+        const keys = options.onConflict ? options.onConflict.split(",") : schema.primaryKey;
+        const existing =
+          action === "upsert" && keys.length > 0
+            ? rows.find((row) => keys.every((key) => row[key] === values[key]))
+            : null;
+        if (existing) {
+          if (options.ignoreDuplicates) return null;
+          return Object.assign(existing, values);
+        }
+        const row = { ...schema.defaults, ...values };
+        rows.push(row);
+        return row;
+      });
+      return written.filter(Boolean);
+    }
+
+    let matched = rows.filter((row) => filters.every((test) => test(row)));
+    if (action === "update") matched.forEach((row) => Object.assign(row, serialize(payload)));
+    if (action === "delete") {
+      matched.forEach((row) => rows.splice(rows.indexOf(row), 1));
+    }
+    if (ordering) {
+      const { column, ascending } = ordering;
+      matched = [...matched].sort((a, b) => {
+        if (a[column] === b[column]) return 0;
+        return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+      });
+    }
+    if (limit !== null) matched = matched.slice(0, limit);
+    return matched;
+  };
+
+  const query = {
+    select() {
+      if (action !== "select") returning = true;
+      return query;
+    },
+    insert(values) {
+      action = "insert";
+      payload = values;
+      return query;
+    },
+    upsert(values, upsertOptions = {}) {
+      action = "upsert";
+      payload = values;
+      options = upsertOptions;
+      return query;
+    },
+    update(values) {
+      action = "update";
+      payload = values;
+      return query;
+    },
+    delete() {
+      action = "delete";
+      return query;
+    },
+    eq: (column, value) => query.where((row) => compare(row[column], "eq", value)),
+    neq: (column, value) => query.where((row) => compare(row[column], "neq", value)),
+    gt: (column, value) => query.where((row) => compare(row[column], "gt", value)),
+    gte: (column, value) => query.where((row) => compare(row[column], "gte", value)),
+    lt: (column, value) => query.where((row) => compare(row[column], "lt", value)),
+    lte: (column, value) => query.where((row) => compare(row[column], "lte", value)),
+    in: (column, values) => query.where((row) => values.includes(row[column])),
+    is: (column, value) => query.where((row) => (value === null ? row[column] == null : row[column] === value)),
+    ilike(column, pattern) {
+      const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%/g, ".*");
+      const regex = new RegExp(`^${escaped}$`, "i");
+      return query.where((row) => typeof row[column] === "string" && regex.test(row[column]));
+    },
+    or(conditions) {
+      const tests = conditions.split(",").map(parseCondition);
+      return query.where((row) => tests.some((test) => test(row)));
+    },
+    where(test) {
+      filters.push(test);
+      return query;
+    },
+    order(column, { ascending = true } = {}) {
+      ordering = { column, ascending };
+      return query;
+    },
+    limit(count) {
+      limit = count;
+      return query;
+    },
+    single() {
+      mode = "single";
+      return query;
+    },
+    maybeSingle() {
+      mode = "maybeSingle";
+      return query;
+    },
+    then(resolve, reject) {
+      let result;
+      try {
+        // Copies, so callers can't change stored rows without a query
+        const data = run().map(serialize);
+        const silent = action !== "select" && !returning;
+        if (mode === "many") {
+          result = { data: silent ? null : data, error: null };
+        } else if (data.length > 1 || (mode === "single" && data.length === 0)) {
+          result = {
+            data: null,
+            error: { code: "PGRST116", message: `Expected 1 row, got ${data.length}` },
+          };
+        } else {
+          result = { data: data[0] || null, error: null };
+        }
+      } catch (error) {
+        return Promise.reject(error).then(resolve, reject);
+      }
+      return Promise.resolve(result).then(resolve, reject);
+    },
+  };
+  return query;
+}
+
+/**
+ * Create a fake Supabase client
+ * @param {Object} [options]
+ * @param {Object} [options.seed] - Rows to start with, by table name
+ * @param {Object} [options.schemas] - By table name, the `defaults` of
+ *   inserted rows and the `primaryKey` columns
+ * @returns {{from: Function, tables: Object}} Client and its tables
+ */
+function createFakeSupabase({ seed = {}, schemas = {} } = {}) {
+  const tables = {};
+  const getSchema = (name) => ({ defaults: {}, primaryKey: [], ...schemas[name] });
+  Object.entries(seed).forEach(([name, rows]) => {
+    tables[name] = rows.map((row) => ({ ...getSchema(name).defaults, ...row }));
+  });
+
+  return {
+    tables,
+    from(name) {
+      if (!tables[name]) tables[name] = [];
+      return createQuery(tables[name], getSchema(name));
+    },
+  };
+}
+
+// ============================================================================
+// OPENAI
+// ============================================================================
+
+/**
+ * Build a scripted reply in which GPT calls a function
+ * @param {string} name - Function name
+ * @param {Object} args - Arguments GPT sends
+ * @returns {Object} Assistant message
+ */
+function functionCall(name, args) {
+  return { role: "assistant", content: null, function_call: { name, arguments: JSON.stringify(args) } };
+}
+
+/**
+ * Check whether a chat request is the one a scripted reply is for
+ * @param {Object} request - Chat completion request
+ * @param {string|Function} match - Name of a function offered to GPT, text in
+ *   the system prompt, or a predicate
+ * @returns {boolean} True if it matches
+ */
+function matchesRequest(request, match) {
+  if (typeof match === "function") return match(request);
+  if ((request.functions || []).some((fn) => fn.name === match)) return true;
+  const system = request.messages.find((message) => message.role === "system");
+  return Boolean(system?.content?.includes(match));
+}
+
+/**
+ * Create a fake OpenAI client that answers chat requests from a script
+ * @returns {Object} Client with chat.completions.create, reply(), always(),
+ *   `requests` and `unscripted`
+ */
+function createFakeOpenAI() {
+  const script = [];
+  const standing = [];
+  const requests = [];
+  const unscripted = [];
+
+  const toMessage = (reply, request) => {
+    const message = typeof reply === "function" ? reply(request) : reply;
+    return typeof message === "string" ? { role: "assistant", content: message } : message;
+  };
+
+  return {
+    requests,
+    unscripted,
+
+    /**
+     * Answer the next matching request once
+     * @param {string|Function} match - See matchesRequest()
+     * @param {string|Object|Function} reply - Text, assistant message, or a
+     *   function of the request returning either
+     */
+    reply(match, reply) {
+      script.push({ match, reply });
+    },
+
+    /**
+     * Answer every matching request that has no one-off reply
+     * @param {string|Function} match - See matchesRequest()
+     * @param {string|Object|Function} reply - As for reply()
+     */
+    always(match, reply) {
+      standing.push({ match, reply });
+    },
+
+    chat: {
+      completions: {
+        create: async (request) => {
+          requests.push(request);
+          const index = script.findIndex((entry) => matchesRequest(request, entry.match));
+          const entry = index >= 0 ? script.splice(index, 1)[0] : standing.find((candidate) => matchesRequest(request, candidate.match));
+
+          if (!entry) {
+            unscripted.push(request);
+            return { choices: [{ message: { role: "assistant", content: "" } }], usage: { total_tokens: 0 } };
+          }
+          return {
+            choices: [{ message: toMessage(entry.reply, request) }],
+            usage: { total_tokens: 0 },
+          };
+        },
+      },
+    },
+  };
+}
+
+// ============================================================================
+// TWILIO
+// ============================================================================
+
+/**
+ * Create a fake Twilio client that records outgoing messages
+ * @returns {{messages: Object, sent: Array<Object>}} Client and sent messages
+ */
+function createFakeTwilio() {
+  const sent = [];
+  return {
+    sent,
+    messages: {
+      create: async ({ from, to, body }) => {
+        const message = { sid: `SM${sent.length + 1}`, from, to, body };
+        sent.push(message);
+        return message;
+      },
+    },
+  };
+}
+
+// ============================================================================
+// GOOGLE
+// ============================================================================
+
+/**
+ * Create a fake googleapis with OAuth, Calendar and People clients. Every
+ * linked account shares one calendar.
+ * @param {Object} [options]
+ * @param {string} [options.email] - Address of the linked account
+ * @param {Array<Object>} [options.busy] - Busy periods as { id, start, end }
+ * @returns {Object} googleapis stand-in with `events`
+ */
+function createFakeGoogle({ email = "organizer@example.com", busy = [] } = {}) {
+  const events = [];
+  let nextId = 1;
+
+  const toMoment = (time) => moment.tz(time.dateTime || time.date, time.timeZone || "UTC");
+  const findEvent = (eventId) => {
+    const event = events.find((candidate) => candidate.id === eventId);
+    if (!event) throw Object.assign(new Error("Not Found"), { code: 404 });
+    return event;
+  };
+
+  class OAuth2 {
+    setCredentials(credentials) {
+      this.credentials = credentials;
+    }
+
+    generateAuthUrl({ state }) {
+      return `https://accounts.google.test/o/oauth2/auth?state=${encodeURIComponent(state)}`;
+    }
+
+    async getToken(code) {
+      return { tokens: { refresh_token: `refresh-${code}` } };
+    }
+
+    async revokeToken() {}
+  }
+
+  const calendar = {
+    calendars: {
+      get: async () => ({ data: { id: email } }),
+    },
+    events: {
+      insert: async ({ resource, requestBody }) => {
+        const id = `event${nextId++}`;
+        const event = {
+          ...(resource || requestBody),
+          id,
+          status: "confirmed",
+          htmlLink: `https://calendar.google.test/event?eid=${id}`,
+        };
+        if (event.conferenceData) event.hangoutLink = `https://meet.google.test/${id}`;
+        events.push(event);
+        return { data: event };
+      },
+      list: async ({ timeMin, timeMax }) => ({
+        data: {
+          items: events
+            .filter((event) => toMoment(event.end).isAfter(timeMin) && toMoment(event.start).isBefore(timeMax))
+            .sort((a, b) => toMoment(a.start).diff(toMoment(b.start))),
+        },
+      }),
+      patch: async ({ eventId, resource, requestBody }) => {
+        const event = Object.assign(findEvent(eventId), resource || requestBody);
+        return { data: event };
+      },
+      delete: async ({ eventId }) => {
+        events.splice(events.indexOf(findEvent(eventId)), 1);
+        return { data: "" };
+      },
+    },
+    freebusy: {
+      query: async ({ requestBody }) => ({
+        data: {
+          calendars: Object.fromEntries(
+            requestBody.items.map(({ id }) => [
+              id,
+              {
+                busy: busy
+                  .filter((period) => period.id === id)
+                  .map(({ start, end }) => ({ start, end })),
+              },
+            ])
+          ),
+        },
+      }),
+    },
+  };
+
+  return {
+    events,
+    auth: { OAuth2 },
+    calendar: () => calendar,
+    people: () => ({
+      people: { connections: { list: async () => ({ data: { connections: [] } }) } },
+    }),
+  };
+}
+
+module.exports = {
+  createFakeSupabase,
+  createFakeOpenAI,
+  createFakeTwilio,
+  createFakeGoogle,
+  functionCall,
+};
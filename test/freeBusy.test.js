@@ -0,0 +1,94 @@
+/**
+ * Free/Busy
+ *
+ * Checking a meeting time against everyone's calendars and suggesting the
+ * next open slots when someone is busy.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+
+const { checkAvailability, formatConflict } = require("../freeBusy");
+
+const TIMEZONE = "Asia/Kolkata";
+
+/**
+ * Build a provider lookup that answers with fixed busy periods
+ * @param {Array<Object>} busy - Busy periods as { who, start, end } local times
+ * @param {Array<string>} [unchecked] - Calendars it can't read
+ * @returns {Function} Lookup, recording the calendars asked for in `ids`
+ */
+function fakeQueryBusy(busy, unchecked = []) {
+  const queryBusy = async (ids) => {
+    queryBusy.ids = ids;
+    return {
+      busy: busy.map(({ who, start, end }) => ({
+        who,
+        start: moment.tz(start, TIMEZONE).toISOString(),
+        end: moment.tz(end, TIMEZONE).toISOString(),
+      })),
+      unchecked,
+    };
+  };
+  return queryBusy;
+}
+
+/**
+ * Format suggested slots as local times
+ * @param {Array<moment.Moment>} slots - Slot starts
+ * @returns {Array<string>} "YYYY-MM-DD HH:mm" times
+ */
+function formatSlots(slots) {
+  return slots.map((slot) => slot.format("YYYY-MM-DD HH:mm"));
+}
+
+test("a free time has no clashes and no suggestions", async () => {
+  const queryBusy = fakeQueryBusy([], ["dana@example.com"]);
+  const availability = await checkAvailability(
+    queryBusy,
+    { start: moment.tz("2030-01-14 10:00", TIMEZONE), durationMinutes: 30, attendees: ["dana@example.com"] },
+    TIMEZONE
+  );
+
+  assert.deepEqual(queryBusy.ids, ["primary", "dana@example.com"]);
+  assert.deepEqual(availability.clashes, []);
+  assert.deepEqual(availability.slots, []);
+  assert.deepEqual(availability.unchecked, ["dana@example.com"]);
+});
+
+test("a clash suggests the next slots everyone is free", async () => {
+  const availability = await checkAvailability(
+    fakeQueryBusy([
+      { who: "primary", start: "2030-01-14 10:00", end: "2030-01-14 11:00" },
+      { who: "dana@example.com", start: "2030-01-14 11:00", end: "2030-01-14 11:30" },
+    ]),
+    { start: moment.tz("2030-01-14 10:00", TIMEZONE), durationMinutes: 30, attendees: ["dana@example.com"] },
+    TIMEZONE
+  );
+
+  assert.deepEqual(availability.clashes.map((clash) => clash.who), ["primary"]);
+  assert.deepEqual(formatSlots(availability.slots), [
+    "2030-01-14 11:30",
+    "2030-01-14 12:00",
+    "2030-01-14 12:30",
+  ]);
+
+  const reply = formatConflict("Design review", moment.tz("2030-01-14 10:00", TIMEZONE), availability, 30);
+  assert.match(reply, /• You: 10:00 AM – 11:00 AM/);
+  assert.match(reply, /1\. Mon Jan 14, 11:30 AM/);
+});
+
+test("suggestions skip evenings and weekends", async () => {
+  const availability = await checkAvailability(
+    fakeQueryBusy([{ who: "primary", start: "2030-01-18 17:00", end: "2030-01-18 18:00" }]),
+    { start: moment.tz("2030-01-18 17:00", TIMEZONE), durationMinutes: 60, attendees: [] },
+    TIMEZONE
+  );
+
+  assert.deepEqual(formatSlots(availability.slots), [
+    "2030-01-21 09:00",
+    "2030-01-21 09:30",
+    "2030-01-21 10:00",
+  ]);
+});
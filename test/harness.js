@@ -0,0 +1,169 @@
+/**
+ * Conversation Harness
+ *
+ * Runs the bot against the local fakes in fakes.js so WhatsApp conversations
+ * can be replayed without Twilio, OpenAI, Supabase or Google: say() posts a
+ * message to the /whatsapp webhook the way Twilio would, waits until the bot
+ * is done with it, and returns the reply plus every WhatsApp message sent
+ * meanwhile. Tests then check the replies and the fake tables.
+ *
+ * Each harness gets fresh fakes, including the conversation sessions, which
+ * are kept in the fake Supabase.
+ */
+
+// Read by the modules below when they load
+Object.assign(process.env, {
+  TWILIO_SKIP_SIGNATURE_VALIDATION: "true",
+  TWILIO_PHONE_NUMBER: "whatsapp:+10000000000",
+  RATE_LIMIT_PER_MINUTE: "1000",
+  RATE_LIMIT_PER_HOUR: "1000",
+  SESSION_STORE: "supabase",
+  SESSION_LOCK_WAIT_MS: "2000",
+  CLIENT_ID: "test-client-id",
+  CLIENT_SECRET: "test-client-secret",
+  REDIRECT_URI: "http://localhost/auth/google/callback",
+});
+
+const { app } = require("../app");
+const { setSupabaseClient } = require("../supabaseClient");
+const { setOpenAIClient } = require("../openaiClient");
+const { setTwilioClient } = require("../messaging");
+const { setGoogleApis } = require("../googleCalendar");
+const { fireReminder, cancelAllReminders } = require("../reminderScheduler");
+const { withSessions } = require("../sessions");
+const {
+  createFakeSupabase,
+  createFakeOpenAI,
+  createFakeTwilio,
+  createFakeGoogle,
+} = require("./fakes");
+
+// Default sender of test messages
+const ASSIGNER = "whatsapp:+15550000001";
+
+// Column defaults and primary keys the bot relies on, as set by migrations/
+const SCHEMAS = {
+  tasks: { primaryKey: ["taskId"] },
+  grouped_tasks: { defaults: { status: "active", timezone: null } },
+  user_settings: { primaryKey: ["phone_number"] },
+  user_tokens: { primaryKey: ["phone_number", "provider"] },
+  conversation_sessions: { primaryKey: ["phone_number"] },
+};
+
+/**
+ * Read the messages out of a TwiML reply
+ * @param {string} twiml - Response body
+ * @returns {string} Message texts, one per line
+ */
+function readTwiml(twiml) {
+  return [...twiml.matchAll(/<Message>([\s\S]*?)<\/Message>/g)]
+    .map(([, text]) =>
+      text
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&")
+    )
+    .join("\n");
+}
+
+/**
+ * Start the bot on a free port against new fakes
+ * @param {Object} [options]
+ * @param {Object} [options.seed] - Supabase rows to start with, by table name
+ * @returns {Promise<Object>} Harness with the fakes, say(), remind() and close()
+ */
+async function startHarness({ seed = {} } = {}) {
+  const supabase = createFakeSupabase({ seed, schemas: SCHEMAS });
+  const openai = createFakeOpenAI();
+  const twilio = createFakeTwilio();
+  const google = createFakeGoogle();
+
+  // Typo correction runs on every message; it changes nothing here
+  openai.always("corrects typos", (request) => {
+    const original = request.messages.find((message) => message.role === "user").content;
+    return JSON.stringify({ original, corrected: original });
+  });
+
+  setSupabaseClient(supabase);
+  setOpenAIClient(openai);
+  setTwilioClient(twilio);
+  setGoogleApis(google);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/whatsapp`;
+
+  /**
+   * Collect the WhatsApp messages sent while a step runs
+   * @param {Function} step - Async step
+   * @returns {Promise<{result: *, messages: Array<Object>}>} Step result and
+   *   messages as { to, body }
+   */
+  const recordMessages = async (step) => {
+    const before = twilio.sent.length;
+    const result = await step();
+    // Sends are fired without waiting, let them reach the fake
+    await new Promise((resolve) => setImmediate(resolve));
+    const messages = twilio.sent.slice(before).map(({ to, body }) => ({ to, body }));
+    return { result, messages };
+  };
+
+  return {
+    supabase,
+    openai,
+    twilio,
+    google,
+    tables: supabase.tables,
+
+    /**
+     * Send a WhatsApp message to the bot and wait until it's handled
+     * @param {string} body - Message text
+     * @param {string} [from] - Sender, the assigner by default
+     * @returns {Promise<{reply: string, messages: Array<Object>, sent: Function}>}
+     *   TwiML reply text, messages sent meanwhile, and sent(to) giving the
+     *   texts sent to one number
+     */
+    async say(body, from = ASSIGNER) {
+      const { result: reply, messages } = await recordMessages(async () => {
+        const response = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams({ From: from, Body: body }).toString(),
+        });
+        const twiml = await response.text();
+
+        // Handling goes on after the webhook answers; it holds the session lock
+        await withSessions(from, async () => {});
+        return readTwiml(twiml);
+      });
+      const sent = (to = from) => messages.filter((message) => message.to === to).map((message) => message.body);
+      return { reply, messages, sent };
+    },
+
+    /**
+     * Fire the reminder of a task now, as its schedule would
+     * @param {string} taskId - Task ID
+     * @returns {Promise<Array<Object>>} Messages sent
+     */
+    async remind(taskId) {
+      const { messages } = await recordMessages(() => fireReminder(taskId));
+      return messages;
+    },
+
+    /**
+     * Stop the server and the reminder jobs the conversations started
+     */
+    async close() {
+      cancelAllReminders();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  ASSIGNER,
+  startHarness,
+};
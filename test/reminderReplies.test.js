@@ -0,0 +1,39 @@
+/**
+ * Reminder Replies
+ *
+ * Reading an assignee's answer to a reminder.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseReminderReply } = require("../reminderReplies");
+
+test("yes and no answers are read with an optional task number", () => {
+  assert.deepEqual(parseReminderReply("Yes"), { answer: "yes", number: null });
+  assert.deepEqual(parseReminderReply("y"), { answer: "yes", number: null });
+  assert.deepEqual(parseReminderReply(" NO. "), { answer: "no", number: null });
+  assert.deepEqual(parseReminderReply("yes 2"), { answer: "yes", number: 2 });
+  assert.deepEqual(parseReminderReply("no #3"), { answer: "no", number: 3 });
+  assert.deepEqual(parseReminderReply("Yes, for task 12!"), { answer: "yes", number: 12 });
+});
+
+test("done, not yet and thumbs are read as answers too", () => {
+  assert.deepEqual(parseReminderReply("Done"), { answer: "yes", number: null });
+  assert.deepEqual(parseReminderReply("completed 2"), { answer: "yes", number: 2 });
+  assert.deepEqual(parseReminderReply("yes I finished it"), { answer: "yes", number: null });
+  assert.deepEqual(parseReminderReply("I've done it #4"), { answer: "yes", number: 4 });
+  assert.deepEqual(parseReminderReply("👍"), { answer: "yes", number: null });
+  assert.deepEqual(parseReminderReply("👍🏽 3"), { answer: "yes", number: 3 });
+  assert.deepEqual(parseReminderReply("not yet"), { answer: "no", number: null });
+  assert.deepEqual(parseReminderReply("No, not yet."), { answer: "no", number: null });
+  assert.deepEqual(parseReminderReply("not done 2"), { answer: "no", number: 2 });
+  assert.deepEqual(parseReminderReply("👎"), { answer: "no", number: null });
+});
+
+test("other messages aren't reminder answers", () => {
+  assert.equal(parseReminderReply("yesterday"), null);
+  assert.equal(parseReminderReply("no, yes"), null);
+  assert.equal(parseReminderReply("done with the slides?"), null);
+  assert.equal(parseReminderReply("2"), null);
+});
@@ -0,0 +1,115 @@
+/**
+ * Reminder Scheduler
+ *
+ * Reminder frequencies, and rebuilding the reminders of saved tasks after a
+ * restart, with the ones missed while the server was down sent straight away.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setSupabaseClient } = require("../supabaseClient");
+const {
+  setReminderHandler,
+  restoreReminders,
+  cancelAllReminders,
+  parseFrequency,
+} = require("../reminderScheduler");
+const { createFakeSupabase } = require("./fakes");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Build a task of Priya's with reminders on
+ * @param {string} taskId - Task ID
+ * @param {Object} fields - Reminder fields
+ * @returns {Object} tasks row
+ */
+function remindedTask(taskId, fields) {
+  return {
+    taskId,
+    task_details: `Task ${taskId}`,
+    task_done: "Pending",
+    name: "Priya",
+    phone: "15550000002",
+    due_date: "2030-01-15 17:00",
+    timezone: "Asia/Kolkata",
+    reminder: "true",
+    ...fields,
+  };
+}
+
+after(() => {
+  cancelAllReminders();
+});
+
+test("frequencies become cron schedules", () => {
+  assert.deepEqual(parseFrequency("every 3 mins"), {
+    cronExpression: "*/3 * * * *",
+    intervalMs: 3 * 60 * 1000,
+  });
+  assert.deepEqual(parseFrequency("every 2 hours"), {
+    cronExpression: "0 */2 * * *",
+    intervalMs: 2 * HOUR,
+  });
+  assert.deepEqual(parseFrequency("every 1 day"), {
+    cronExpression: "0 0 */1 * *",
+    intervalMs: 24 * HOUR,
+  });
+  assert.equal(parseFrequency("every 45 minutes").intervalMs, 45 * 60 * 1000);
+  assert.equal(parseFrequency("weekly"), null);
+  assert.equal(parseFrequency("every 0 minutes"), null);
+  assert.equal(parseFrequency("every 90 minutes"), null, "*/90 would fire hourly");
+  assert.equal(parseFrequency("every 24 hours"), null);
+  assert.equal(parseFrequency("every 45 days"), null, "*/45 isn't a valid day of the month");
+  assert.equal(parseFrequency("every 31 days").cronExpression, "0 0 */31 * *");
+  assert.equal(parseFrequency(undefined), null);
+});
+
+test("restored reminders that fell due while down are sent now", async () => {
+  const now = Date.now();
+  const supabase = createFakeSupabase({
+    seed: {
+      tasks: [
+        remindedTask("201", { reminder_type: "one-time", reminderDateTime: "2020-01-01 09:00" }),
+        remindedTask("202", {
+          reminder_type: "recurring",
+          reminder_frequency: "every 2 hours",
+          next_reminder_at: new Date(now - HOUR).toISOString(),
+        }),
+        remindedTask("203", {
+          reminder_type: "recurring",
+          reminder_frequency: "every 2 hours",
+          next_reminder_at: new Date(now + HOUR).toISOString(),
+        }),
+        remindedTask("204", { reminder_type: "one-time", reminderDateTime: "2030-01-14 09:00" }),
+        remindedTask("205", {
+          reminder_type: "one-time",
+          reminderDateTime: "2020-01-01 09:00",
+          task_done: "Completed",
+        }),
+        remindedTask("206", {
+          reminder_type: "recurring",
+          reminder_frequency: "every 2 hours",
+          next_reminder_at: new Date(now - HOUR).toISOString(),
+          reminder: "paused",
+        }),
+      ],
+    },
+  });
+  setSupabaseClient(supabase);
+
+  const reminded = [];
+  setReminderHandler(async (task) => reminded.push(task.taskId));
+
+  const restored = await restoreReminders();
+
+  assert.equal(restored, 4, "both pending one-time and both recurring reminders");
+  assert.deepEqual(reminded, ["201", "202"]);
+
+  const [oneTime, recurring, upcoming] = supabase.tables.tasks;
+  assert.equal(oneTime.reminder, "false", "a one-time reminder is only sent once");
+  assert.ok(new Date(recurring.next_reminder_at) - now >= 2 * HOUR, "the next reminder is 2 hours on");
+  assert.ok(recurring.last_reminder_at);
+  assert.equal(upcoming.last_reminder_at, undefined);
+});
@@ -0,0 +1,179 @@
+/**
+ * Team Roster
+ *
+ * Roster commands sent over WhatsApp (see harness.js), checking the replies
+ * and the saved team members and tasks.
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ASSIGNER, startHarness } = require("./harness");
+const { parseRosterCommand } = require("../roster");
+
+const PRIYA = "whatsapp:+15550000002";
+
+const TEAM = [
+  {
+    name: "Priya",
+    phone: "15550000002",
+    employerNumber: ASSIGNER,
+    status: "active",
+    opted_in_at: "2030-01-01T09:00:00.000Z",
+  },
+  { name: "Astik", phone: "15550000003", employerNumber: ASSIGNER, status: "invited" },
+];
+
+const TASKS = [
+  {
+    taskId: "101",
+    task_details: "Update the roadmap",
+    task_done: "Pending",
+    name: "Priya",
+    phone: "15550000002",
+    employerNumber: ASSIGNER,
+    assignerNumber: ASSIGNER,
+    due_date: "2030-01-15 17:00",
+    timezone: "Asia/Kolkata",
+    reminder: "true",
+    reminder_type: "recurring",
+    reminder_frequency: "every 2 hours",
+  },
+  {
+    taskId: "102",
+    task_details: "Book the venue",
+    task_done: "Pending",
+    name: "Priya",
+    phone: "15550000002",
+    employerNumber: ASSIGNER,
+    assignerNumber: ASSIGNER,
+    due_date: "2030-01-16 17:00",
+    timezone: "Asia/Kolkata",
+    reminder: "false",
+  },
+];
+
+let bot;
+
+/**
+ * Get a saved task
+ * @param {string} taskId - Task ID
+ * @returns {Object|undefined} tasks row
+ */
+function getTask(taskId) {
+  return bot.tables.tasks.find((row) => row.taskId === taskId);
+}
+
+/**
+ * Get a saved team member
+ * @param {string} name - Member's name
+ * @returns {Object|undefined} grouped_tasks row
+ */
+function getMember(name) {
+  return bot.tables.grouped_tasks.find((row) => row.name === name);
+}
+
+beforeEach(async () => {
+  bot = await startHarness({ seed: { grouped_tasks: TEAM, tasks: TASKS } });
+});
+
+afterEach(async () => {
+  await bot.close();
+  assert.equal(bot.openai.unscripted.length, 0, "every OpenAI request should be scripted");
+});
+
+test("roster commands are parsed", () => {
+  assert.deepEqual(parseRosterCommand("my team"), { action: "list" });
+  assert.deepEqual(parseRosterCommand("add team member Dana +1 555 000 0004"), {
+    action: "add",
+    name: "Dana",
+    phone: "+1 555 000 0004",
+  });
+  assert.deepEqual(parseRosterCommand("add Dana +15550000004 to my team"), {
+    action: "add",
+    name: "Dana",
+    phone: "+15550000004",
+  });
+  assert.deepEqual(parseRosterCommand("rename Priya to Priya Shah"), {
+    action: "rename",
+    name: "Priya",
+    newName: "Priya Shah",
+  });
+  assert.deepEqual(parseRosterCommand("remove Astik from my team"), { action: "deactivate", name: "Astik" });
+  assert.deepEqual(parseRosterCommand("re-enable Astik"), { action: "reactivate", name: "Astik" });
+  assert.equal(parseRosterCommand("rename task 3 to Friday"), null, "task edits are left alone");
+});
+
+test("the team is listed with each member's status", async () => {
+  const { reply } = await bot.say("my team");
+
+  assert.match(reply, /\*Your Team\* \(2\)/);
+  assert.match(reply, /1\. \*Astik\* — \+15550000003\n   ✉️ Invite sent/);
+  assert.match(reply, /2\. \*Priya\* — \+15550000002\n   ✅ Active/);
+});
+
+test("a new member is added and invited", async () => {
+  const { reply, sent } = await bot.say("add team member Dana +1 555 000 0004");
+
+  assert.match(reply, /Added \*Dana\* \(\+15550000004\) to your team/);
+  assert.match(sent("whatsapp:+15550000004")[0], /Hi Dana![\s\S]*Reply \*JOIN\* to accept/);
+  assert.equal(getMember("Dana").status, "invited");
+
+  const again = await bot.say("add Priya Shah +15550000002 to my team");
+  assert.match(again.reply, /\+15550000002 is already on your team as \*Priya\*/);
+
+  const local = await bot.say("add team member Sam 98765 43210");
+  assert.match(local.reply, /doesn't look like a valid phone number\. Include the country code/);
+  assert.equal(getMember("Sam"), undefined);
+});
+
+test("renaming a member renames their tasks", async () => {
+  const { reply } = await bot.say("rename Priya to Priya Shah");
+
+  assert.match(reply, /\*Priya\* is now called \*Priya Shah\*/);
+  assert.ok(getMember("Priya Shah"));
+  assert.deepEqual(
+    bot.tables.tasks.map((task) => task.name),
+    ["Priya Shah", "Priya Shah"]
+  );
+});
+
+test("deactivating a member pauses their reminders", async () => {
+  const { reply } = await bot.say("deactivate Priya");
+
+  assert.match(reply, /\*Priya\* has been deactivated/);
+  assert.match(reply, /2 open task\(s\); reminders for them are paused/);
+  assert.equal(getMember("Priya").status, "inactive");
+  assert.equal(getTask("101").reminder, "paused");
+  assert.equal(getTask("102").reminder, "false", "tasks without reminders are left alone");
+});
+
+test("reactivating a member resumes the reminders deactivation paused", async () => {
+  await bot.say("deactivate Priya");
+
+  const { reply } = await bot.say("reactivate Priya");
+
+  assert.match(reply, /\*Priya\* is back on your team/);
+  assert.match(reply, /Reminders for their 1 open task\(s\) are back on/);
+  assert.equal(getMember("Priya").status, "active");
+  assert.equal(getTask("101").reminder, "true");
+  assert.equal(getTask("102").reminder, "false");
+
+  const reminders = await bot.remind("101");
+  assert.equal(reminders[0].to, PRIYA);
+});
+
+test("a member who never joined gets their reminders back on JOIN", async () => {
+  bot.tables.tasks.push({ ...TASKS[0], taskId: "103", name: "Astik", phone: "15550000003" });
+  await bot.say("deactivate Astik");
+  assert.equal(getTask("103").reminder, "paused");
+
+  const { reply } = await bot.say("reactivate Astik");
+  assert.match(reply, /sent the invite again; reminders for their open tasks restart once they reply JOIN/);
+  assert.equal(getTask("103").reminder, "paused");
+
+  const joined = await bot.say("join", "whatsapp:+15550000003");
+  assert.match(joined.reply + joined.sent("whatsapp:+15550000003").join("\n"), /You're in!/);
+  assert.equal(getMember("Astik").status, "active");
+  assert.equal(getTask("103").reminder, "true");
+});
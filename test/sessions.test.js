@@ -0,0 +1,75 @@
+/**
+ * Sessions
+ *
+ * Saving conversation sessions between messages, and handling one message
+ * at a time per number, against the SQLite store.
+ */
+
+process.env.SESSION_STORE = "sqlite";
+process.env.SESSION_SQLITE_PATH = ":memory:";
+process.env.SESSION_LOCK_WAIT_MS = "5000";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { userSessions, meetingSessions, withSessions } = require("../sessions");
+
+const PRIYA = "whatsapp:+15550000002";
+const ASTIK = "whatsapp:+15550000003";
+
+/**
+ * Wait a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the wait
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test("sessions are saved between messages", async () => {
+  await withSessions(PRIYA, async () => {
+    userSessions[PRIYA] = { step: 0, conversationHistory: [{ role: "user", content: "Send the report" }] };
+    meetingSessions[PRIYA] = { awaitingTitle: true, pendingArgs: {} };
+  });
+  assert.equal(userSessions[PRIYA], undefined, "sessions are only loaded while a message is handled");
+
+  await withSessions(PRIYA, async () => {
+    assert.deepEqual(userSessions[PRIYA].conversationHistory, [{ role: "user", content: "Send the report" }]);
+    assert.equal(meetingSessions[PRIYA].awaitingTitle, true);
+    delete userSessions[PRIYA];
+    delete meetingSessions[PRIYA];
+  });
+
+  await withSessions(PRIYA, async () => {
+    assert.equal(userSessions[PRIYA], undefined, "an ended session stays ended");
+    assert.equal(meetingSessions[PRIYA], undefined);
+  });
+});
+
+test("messages from one number are handled one at a time", async () => {
+  const events = [];
+
+  const first = withSessions(PRIYA, async () => {
+    events.push("Priya's first message");
+    userSessions[PRIYA] = { step: 7, conversationHistory: [] };
+    await sleep(300);
+    events.push("Priya's first message done");
+  });
+  await sleep(50);
+  const second = withSessions(PRIYA, async () => {
+    events.push("Priya's second message");
+    assert.equal(userSessions[PRIYA].step, 7, "the second message sees what the first saved");
+    delete userSessions[PRIYA];
+  });
+  const other = withSessions(ASTIK, async () => {
+    events.push("Astik's message");
+  });
+  await Promise.all([first, second, other]);
+
+  assert.deepEqual(events, [
+    "Priya's first message",
+    "Astik's message",
+    "Priya's first message done",
+    "Priya's second message",
+  ]);
+});
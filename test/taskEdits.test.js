@@ -0,0 +1,56 @@
+/**
+ * Task Edits
+ *
+ * Parsing of the commands that cancel, reschedule, reassign and change the
+ * reminders of existing tasks.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseTaskEdit } = require("../taskEdits");
+
+test("the task and the new value are split at the last \"to\"", () => {
+  assert.deepEqual(parseTaskEdit("reschedule task Send slides to client to Friday"), {
+    action: "reschedule",
+    target: "Send slides to client",
+    value: "Friday",
+  });
+  assert.deepEqual(parseTaskEdit("reassign task Talk to vendor to Astik"), {
+    action: "reassign",
+    target: "Talk to vendor",
+    value: "Astik",
+  });
+  assert.deepEqual(parseTaskEdit("change the deadline of Go to bank to tomorrow 5pm"), {
+    action: "reschedule",
+    target: "Go to bank",
+    value: "tomorrow 5pm",
+  });
+});
+
+test("a task can be named without a new value", () => {
+  assert.deepEqual(parseTaskEdit("reschedule task 3"), {
+    action: "reschedule",
+    target: "3",
+    value: null,
+  });
+  assert.deepEqual(parseTaskEdit("reassign the task Write report"), {
+    action: "reassign",
+    target: "Write report",
+    value: null,
+  });
+});
+
+test("cancel and reminder changes are read", () => {
+  assert.deepEqual(parseTaskEdit("Cancel task 2."), { action: "cancel", target: "2", value: null });
+  assert.deepEqual(parseTaskEdit("change the reminder of Write report to every 2 hours"), {
+    action: "reminder",
+    target: "Write report",
+    value: "every 2 hours",
+  });
+});
+
+test("other messages aren't task edits", () => {
+  assert.equal(parseTaskEdit("my tasks"), null);
+  assert.equal(parseTaskEdit("reschedule the standup to 4pm"), null);
+});
@@ -0,0 +1,74 @@
+/**
+ * Timezones
+ *
+ * Reading dates in a user's zone, and setting the zone of a team member.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+
+const { setSupabaseClient } = require("../supabaseClient");
+const { parseInTimezone, handleTimezoneCommand } = require("../timezones");
+const { createFakeSupabase } = require("./fakes");
+
+const MANAGER = "whatsapp:+15550000001";
+
+/**
+ * Parse a phrase and show the result in a zone
+ * @param {string} text - Phrase
+ * @param {string} timezone - IANA zone name
+ * @param {string} now - ISO time to count from
+ * @returns {string} Local time found
+ */
+function parseLocal(text, timezone, now) {
+  const result = parseInTimezone(text, timezone, new Date(now));
+  return moment(result.start.date()).tz(timezone).format("YYYY-MM-DD HH:mm");
+}
+
+test("times after a daylight saving change keep their wall-clock time", () => {
+  // Clocks go back on Oct 25 in London and Nov 1 in New York
+  assert.equal(parseLocal("next Monday 9am", "Europe/London", "2026-10-22T12:00:00Z"), "2026-10-26 09:00");
+  assert.equal(parseLocal("4 November at 9am", "America/New_York", "2026-10-19T12:00:00Z"), "2026-11-04 09:00");
+  // And forward on Mar 8 in New York
+  assert.equal(parseLocal("March 10 at 5pm", "America/New_York", "2026-03-02T12:00:00Z"), "2026-03-10 17:00");
+});
+
+test("relative times count from now across a change", () => {
+  const result = parseInTimezone("in 2 hours", "Europe/London", new Date("2026-10-25T00:30:00Z"));
+  assert.equal(result.start.date().toISOString(), "2026-10-25T02:30:00.000Z");
+});
+
+test("a member's timezone is set by name, not by pattern", async () => {
+  const supabase = createFakeSupabase({
+    seed: {
+      grouped_tasks: [
+        { name: "Priya", phone: "15550000002", employerNumber: MANAGER, status: "active" },
+        { name: "Astik", phone: "15550000003", employerNumber: MANAGER, status: "active" },
+      ],
+    },
+  });
+  setSupabaseClient(supabase);
+
+  const wildcard = await handleTimezoneCommand({ memberName: "%", timezone: "Tokyo" }, MANAGER);
+  assert.match(wildcard.reply, /couldn't find a team member called "%"/);
+  assert.deepEqual(supabase.tables.grouped_tasks.map((member) => member.timezone), [undefined, undefined]);
+
+  const { reply, userTimezone } = await handleTimezoneCommand({ memberName: "priya", timezone: "Tokyo" }, MANAGER);
+  assert.match(reply, /Timezone for \*Priya\* set to \*Asia\/Tokyo\*/);
+  assert.equal(userTimezone, undefined, "the manager's own timezone is unchanged");
+  assert.deepEqual(supabase.tables.grouped_tasks.map((member) => member.timezone), ["Asia/Tokyo", undefined]);
+});
+
+test("the sender's own timezone is only reported as changed once saved", async () => {
+  const supabase = createFakeSupabase();
+  setSupabaseClient(supabase);
+
+  const unknown = await handleTimezoneCommand({ memberName: null, timezone: "Atlantis" }, MANAGER);
+  assert.match(unknown.reply, /don't recognise the timezone "Atlantis"/);
+  assert.equal(unknown.userTimezone, undefined);
+
+  const saved = await handleTimezoneCommand({ memberName: null, timezone: "London" }, MANAGER);
+  assert.equal(saved.userTimezone, "Europe/London");
+  assert.equal(supabase.tables.user_settings[0].timezone, "Europe/London");
+});
@@ -0,0 +1,230 @@
+/**
+ * Timezones
+ *
+ * Helpers for interpreting and displaying dates in each user's own timezone.
+ * Assigners keep their zone in `user_settings`, assignees on their
+ * `grouped_tasks` row, and every task records the zone its times were given in.
+ */
+
+const chrono = require("chrono-node");
+const moment = require("moment-timezone");
+
+const supabase = require("./supabaseClient");
+const { getUserSettings, updateUserSettings } = require("./userSettings");
+
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+const DATE_TIME_FORMAT = "YYYY-MM-DD HH:mm";
+
+// Common names people type instead of IANA zone names
+const TIMEZONE_ALIASES = {
+  ist: "Asia/Kolkata",
+  india: "Asia/Kolkata",
+  utc: "UTC",
+  gmt: "UTC",
+  est: "America/New_York",
+  edt: "America/New_York",
+  et: "America/New_York",
+  eastern: "America/New_York",
+  cst: "America/Chicago",
+  cdt: "America/Chicago",
+  central: "America/Chicago",
+  mst: "America/Denver",
+  mdt: "America/Denver",
+  mountain: "America/Denver",
+  pst: "America/Los_Angeles",
+  pdt: "America/Los_Angeles",
+  pt: "America/Los_Angeles",
+  pacific: "America/Los_Angeles",
+  bst: "Europe/London",
+  uk: "Europe/London",
+  cet: "Europe/Paris",
+  cest: "Europe/Paris",
+  gst: "Asia/Dubai",
+  sgt: "Asia/Singapore",
+  jst: "Asia/Tokyo",
+  aest: "Australia/Sydney",
+};
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Resolve user input like "EST", "London" or "america/new_york" to an IANA zone
+ * @param {string} input - Timezone text
+ * @returns {string|null} IANA zone name or null if unknown
+ */
+function resolveTimezone(input) {
+  if (!input) return null;
+
+  const text = input.trim().toLowerCase();
+  if (TIMEZONE_ALIASES[text]) return TIMEZONE_ALIASES[text];
+
+  const names = moment.tz.names();
+  const exact = names.find((name) => name.toLowerCase() === text);
+  if (exact) return exact;
+
+  const city = text.replace(/\s+/g, "_");
+  return names.find((name) => name.toLowerCase().endsWith(`/${city}`)) || null;
+}
+
+/**
+ * Convert a "YYYY-MM-DD HH:mm" time from one zone to another for display
+ * @param {string} dateTime - Date and time in the source zone
+ * @param {string} fromZone - Zone the time was given in
+ * @param {string} [toZone] - Zone to show it in, defaults to the source zone
+ * @returns {string} e.g. "2026-09-04 17:00 IST"
+ */
+function formatInTimezone(dateTime, fromZone, toZone) {
+  const parsed = moment.tz(dateTime, DATE_TIME_FORMAT, fromZone || DEFAULT_TIMEZONE);
+  if (!parsed.isValid()) return dateTime;
+
+  return parsed.tz(toZone || fromZone || DEFAULT_TIMEZONE).format("YYYY-MM-DD HH:mm z");
+}
+
+/**
+ * Parse the first date or time in a text with chrono-node, reading it in a
+ * user's zone. chrono takes a fixed UTC offset, so the text is parsed again
+ * with the zone's offset on the date found when that differs from today's,
+ * e.g. "next Monday 9am" across a daylight saving change.
+ * @param {string} text - Text to parse
+ * @param {string} timezone - IANA zone name
+ * @param {Date} [instant] - Time relative dates count from, now by default
+ * @returns {Object|null} chrono result, or null if there's no date
+ */
+function parseInTimezone(text, timezone, instant = new Date()) {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  const parse = (offset) =>
+    chrono.parse(text, { instant, timezone: offset }, { forwardDate: true })[0] || null;
+
+  const offsetNow = moment.tz(instant, zone).utcOffset();
+  const result = parse(offsetNow);
+  if (!result) return null;
+
+  const offsetThen = moment.tz(result.start.date(), zone).utcOffset();
+  return offsetThen === offsetNow ? result : parse(offsetThen);
+}
+
+// ============================================================================
+// SUPABASE DATA FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the timezone a user has chosen
+ * @param {string} phoneNumber - User's WhatsApp number
+ * @returns {Promise<string>} IANA zone name
+ */
+async function getUserTimezone(phoneNumber) {
+  try {
+    const settings = await getUserSettings(phoneNumber);
+    return settings.timezone || DEFAULT_TIMEZONE;
+  } catch (error) {
+    console.error("Error fetching user timezone:", error);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/**
+ * Save a user's own timezone, and use it for them as an assignee too
+ * @param {string} phoneNumber - User's WhatsApp number
+ * @param {string} timezone - IANA zone name
+ */
+async function setUserTimezone(phoneNumber, timezone) {
+  await updateUserSettings(phoneNumber, { timezone });
+
+  const { error } = await supabase
+    .from("grouped_tasks")
+    .update({ timezone })
+    .eq("phone", phoneNumber.replace("whatsapp:+", ""));
+  if (error) throw error;
+}
+
+/**
+ * Save the timezone of a team member, found by name the way roster commands
+ * find them
+ * @param {string} employerNumber - Assigner's WhatsApp number
+ * @param {string} memberName - Team member's name as typed
+ * @param {string} timezone - IANA zone name
+ * @returns {Promise<{member?: Object, notFound?: string}>} Updated member, or
+ *   the reply for a name that matched nobody or several people
+ */
+async function setAssigneeTimezone(employerNumber, memberName, timezone) {
+  // Required here, both depend on this module
+  const { getTeamMembers, updateTeamMembers } = require("./taskStore");
+  const { findMember, describeNoMatch } = require("./roster");
+
+  const { member, matches } = findMember(await getTeamMembers(employerNumber), memberName);
+  if (!member) return { notFound: describeNoMatch(memberName, matches) };
+
+  await updateTeamMembers({ employerNumber, phone: member.phone }, { timezone });
+  return { member };
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Parse "set my timezone to EST" or "set timezone for Astik to London"
+ * @param {string} message - User's message
+ * @returns {{timezone: string, memberName: string|null}|null} Command or null
+ */
+function parseTimezoneCommand(message) {
+  const text = message.trim().replace(/[.!]+$/, "");
+
+  const member = text.match(/^set (?:the )?time ?zone (?:for|of) (.+?) (?:to|as) (.+)$/i);
+  if (member) return { timezone: member[2], memberName: member[1] };
+
+  const self = text.match(
+    /^(?:set |change )?(?:my )?time ?zone(?: is| to| as|:)? ([a-z_/ +-]+)$/i
+  );
+  if (self) return { timezone: self[1], memberName: null };
+
+  return null;
+}
+
+/**
+ * Apply a timezone command
+ * @param {Object} command - Result of parseTimezoneCommand
+ * @param {string} From - Sender's WhatsApp number
+ * @returns {Promise<{reply: string, userTimezone?: string}>} Reply, plus the
+ *   sender's new timezone once it is saved
+ */
+async function handleTimezoneCommand(command, From) {
+  const timezone = resolveTimezone(command.timezone);
+  if (!timezone) {
+    return {
+      reply: `⚠️ I don't recognise the timezone "${command.timezone}". Try a city or zone name like *America/New_York*, *London* or *IST*.`,
+    };
+  }
+
+  const localTime = moment().tz(timezone).format("h:mm A z");
+
+  try {
+    if (command.memberName) {
+      const { member, notFound } = await setAssigneeTimezone(From, command.memberName, timezone);
+      if (!member) return { reply: notFound };
+      return { reply: `🌍 Timezone for *${member.name}* set to *${timezone}* (currently ${localTime}).` };
+    }
+
+    await setUserTimezone(From, timezone);
+    return {
+      reply: `🌍 Your timezone is now *${timezone}* (currently ${localTime}). Due dates and meeting times you send will be read in this zone.`,
+      userTimezone: timezone,
+    };
+  } catch (error) {
+    console.error("Error saving timezone:", error);
+    return { reply: "Sorry, there was an error saving the timezone." };
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DATE_TIME_FORMAT,
+  resolveTimezone,
+  formatInTimezone,
+  parseInTimezone,
+  getUserTimezone,
+  parseTimezoneCommand,
+  handleTimezoneCommand,
+};
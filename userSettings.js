@@ -0,0 +1,46 @@
+/**
+ * User Settings
+ *
+ * Per-user preferences stored in the `user_settings` table, keyed by the
+ * user's WhatsApp number (e.g. "whatsapp:+919876543210").
+ */
+
+const supabase = require("./supabaseClient");
+
+/**
+ * Get the saved settings of a user
+ * @param {string} phoneNumber - User's WhatsApp number
+ * @returns {Promise<Object>} Settings row, or an empty object if none is saved
+ */
+async function getUserSettings(phoneNumber) {
+  const { data, error } = await supabase
+    .from("user_settings")
+    .select("*")
+    .eq("phone_number", phoneNumber)
+    .maybeSingle();
+  if (error) throw error;
+
+  return data || {};
+}
+
+/**
+ * Save settings for a user, keeping the ones that are not changed
+ * @param {string} phoneNumber - User's WhatsApp number
+ * @param {Object} changes - Settings to update
+ * @returns {Promise<Object>} Saved settings row
+ */
+async function updateUserSettings(phoneNumber, changes) {
+  const { data, error } = await supabase
+    .from("user_settings")
+    .upsert({ phone_number: phoneNumber, ...changes })
+    .select()
+    .single();
+  if (error) throw error;
+
+  return data;
+}
+
+module.exports = {
+  getUserSettings,
+  updateUserSettings,
+};
@@ -0,0 +1,102 @@
+/**
+ * User Tokens
+ *
+ * OAuth refresh tokens of calendar and meeting providers, stored in the
+ * `user_tokens` table with one row per user and provider ("google",
+ * "microsoft", "zoom"). Users are keyed by WhatsApp number.
+ */
+
+const supabase = require("./supabaseClient");
+
+/**
+ * Get a user's refresh token for a provider
+ * @param {string} phoneNumber - User's WhatsApp number
+ * @param {string} provider - Provider name
+ * @returns {Promise<string|null>} Refresh token or null
+ */
+async function getProviderToken(phoneNumber, provider) {
+  const { data, error } = await supabase
+    .from("user_tokens")
+    .select("refresh_token")
+    .eq("phone_number", phoneNumber)
+    .eq("provider", provider)
+    .maybeSingle();
+  if (error) throw error;
+
+  return data?.refresh_token || null;
+}
+
+/**
+ * Get a user's linked account for a provider
+ * @param {string} phoneNumber - User's WhatsApp number
+ * @param {string} provider - Provider name
+ * @returns {Promise<Object|null>} Row with refresh_token, account_email and
+ *   linked_at, or null if the provider isn't linked
+ */
+async function getProviderAccount(phoneNumber, provider) {
+  const { data, error } = await supabase
+    .from("user_tokens")
+    .select("refresh_token, account_email, linked_at")
+    .eq("phone_number", phoneNumber)
+    .eq("provider", provider)
+    .maybeSingle();
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Get the providers a user has linked
+ * @param {string} phoneNumber - User's WhatsApp number
+ * @returns {Promise<Array<string>>} Provider names
+ */
+async function getLinkedProviders(phoneNumber) {
+  const { data, error } = await supabase
+    .from("user_tokens")
+    .select("provider")
+    .eq("phone_number", phoneNumber);
+  if (error) throw error;
+
+  return data.map((row) => row.provider);
+}
+
+/**
+ * Save a user's refresh token for a provider, replacing the previous one
+ * @param {string} phoneNumber - User's WhatsApp number
+ * @param {string} provider - Provider name
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} [details] - Other columns to set, e.g. account_email
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveProviderToken(phoneNumber, provider, refreshToken, details = {}) {
+  const { error } = await supabase
+    .from("user_tokens")
+    .upsert(
+      { phone_number: phoneNumber, provider, refresh_token: refreshToken, ...details },
+      { onConflict: "phone_number,provider" }
+    );
+  if (error) console.error(`Error saving ${provider} token:`, error);
+  return !error;
+}
+
+/**
+ * Forget a user's token for a provider
+ * @param {string} phoneNumber - User's WhatsApp number
+ * @param {string} provider - Provider name
+ */
+async function deleteProviderToken(phoneNumber, provider) {
+  const { error } = await supabase
+    .from("user_tokens")
+    .delete()
+    .eq("phone_number", phoneNumber)
+    .eq("provider", provider);
+  if (error) throw error;
+}
+
+module.exports = {
+  getProviderToken,
+  getProviderAccount,
+  getLinkedProviders,
+  saveProviderToken,
+  deleteProviderToken,
+};
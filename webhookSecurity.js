@@ -0,0 +1,215 @@
+/**
+ * Webhook Security
+ *
+ * Protects the Twilio webhook from forged requests and from senders who would
+ * burn through the OpenAI quota:
+ * - rejects requests without a valid X-Twilio-Signature
+ * - limits how many messages each `From` number can send per minute and hour
+ * - keeps a daily budget of OpenAI requests and tokens
+ *
+ * Limits are read from the environment and kept in memory, so they reset when
+ * the server restarts.
+ */
+
+const twilio = require("twilio");
+const moment = require("moment-timezone");
+const MessagingResponse = require("twilio").twiml.MessagingResponse;
+require("dotenv").config();
+
+const RATE_LIMITS = [
+  { windowMs: 60 * 1000, max: Number(process.env.RATE_LIMIT_PER_MINUTE) || 10 },
+  { windowMs: 60 * 60 * 1000, max: Number(process.env.RATE_LIMIT_PER_HOUR) || 60 },
+];
+const OPENAI_DAILY_TOKEN_BUDGET =
+  Number(process.env.OPENAI_DAILY_TOKEN_BUDGET) || 1000000;
+const OPENAI_DAILY_REQUEST_BUDGET =
+  Number(process.env.OPENAI_DAILY_REQUEST_BUDGET) || 2000;
+
+const senderActivity = new Map(); // Map of From to { timestamps, notifiedUntil }
+let openAIUsage = { day: null, requests: 0, tokens: 0 };
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Reply to a WhatsApp webhook with a single message, or nothing
+ * @param {Object} res - Express response
+ * @param {string} [message] - Message to send back
+ */
+function replyWith(res, message) {
+  const twiml = new MessagingResponse();
+  if (message) twiml.message(message);
+  return res.type("text/xml").send(twiml.toString());
+}
+
+/**
+ * Get the public URL Twilio signed. Behind a proxy the host and protocol seen
+ * by Express differ from the configured webhook, so TWILIO_WEBHOOK_BASE_URL
+ * can pin it.
+ * @param {Object} req - Express request
+ * @returns {string} Full webhook URL
+ */
+function getWebhookUrl(req) {
+  const baseUrl =
+    process.env.TWILIO_WEBHOOK_BASE_URL ||
+    `${req.get("x-forwarded-proto") || req.protocol}://${req.get("host")}`;
+  return `${baseUrl.replace(/\/$/, "")}${req.originalUrl}`;
+}
+
+/**
+ * Get today's OpenAI usage, starting a new day when the UTC date changes
+ * @returns {{day: string, requests: number, tokens: number}} Usage
+ */
+function getTodayUsage() {
+  const day = moment.utc().format("YYYY-MM-DD");
+  if (openAIUsage.day !== day) {
+    openAIUsage = { day, requests: 0, tokens: 0 };
+  }
+  return openAIUsage;
+}
+
+// ============================================================================
+// OPENAI BUDGET
+// ============================================================================
+
+/**
+ * Record an OpenAI request against today's budget
+ * @param {Object} [usage] - `usage` from an OpenAI response
+ */
+function recordOpenAIUsage(usage) {
+  const today = getTodayUsage();
+  today.requests += 1;
+  today.tokens += usage?.total_tokens || 0;
+
+  if (isOpenAIBudgetExhausted()) {
+    console.warn(
+      `OpenAI daily budget reached: ${today.requests} requests, ${today.tokens} tokens`
+    );
+  }
+}
+
+/**
+ * Check whether today's OpenAI budget is used up
+ * @returns {boolean} True if no more OpenAI requests should be made today
+ */
+function isOpenAIBudgetExhausted() {
+  const today = getTodayUsage();
+  return (
+    today.tokens >= OPENAI_DAILY_TOKEN_BUDGET ||
+    today.requests >= OPENAI_DAILY_REQUEST_BUDGET
+  );
+}
+
+/**
+ * Count every chat completion made through an OpenAI client
+ * @param {Object} client - OpenAI client
+ * @returns {Object} The same client
+ */
+function trackOpenAIUsage(client) {
+  const create = client.chat.completions.create.bind(client.chat.completions);
+
+  client.chat.completions.create = async (...args) => {
+    const response = await create(...args);
+    recordOpenAIUsage(response?.usage);
+    return response;
+  };
+  return client;
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Reject webhook requests that were not signed by Twilio with our auth token.
+ * Set TWILIO_SKIP_SIGNATURE_VALIDATION=true only for local testing.
+ */
+function validateTwilioSignature(req, res, next) {
+  if (process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === "true") return next();
+
+  const signature = req.get("X-Twilio-Signature");
+  if (!signature) {
+    console.warn("Rejected webhook request without X-Twilio-Signature");
+    return res.status(403).send("Missing Twilio signature");
+  }
+
+  const valid = twilio.validateRequest(
+    process.env.TWILIO_AUTH_TOKEN,
+    signature,
+    getWebhookUrl(req),
+    req.body || {}
+  );
+  if (!valid) {
+    console.warn("Rejected webhook request with invalid Twilio signature");
+    return res.status(403).send("Invalid Twilio signature");
+  }
+
+  next();
+}
+
+/**
+ * Throttle senders who message faster than the configured limits. The first
+ * throttled message gets a friendly reply, later ones in the same window are
+ * dropped silently so we don't pay Twilio to answer a flood.
+ */
+function limitSenderRate(req, res, next) {
+  const from = req.body?.From;
+  if (!from) return next();
+
+  const now = Date.now();
+  const longestWindow = Math.max(...RATE_LIMITS.map((limit) => limit.windowMs));
+  const activity = senderActivity.get(from) || { timestamps: [], notifiedUntil: 0 };
+  activity.timestamps = activity.timestamps.filter(
+    (timestamp) => now - timestamp < longestWindow
+  );
+
+  const exceeded = RATE_LIMITS.find(
+    (limit) =>
+      activity.timestamps.filter((timestamp) => now - timestamp < limit.windowMs)
+        .length >= limit.max
+  );
+
+  if (!exceeded) {
+    activity.timestamps.push(now);
+    senderActivity.set(from, activity);
+    return next();
+  }
+
+  const windowStart = activity.timestamps.filter(
+    (timestamp) => now - timestamp < exceeded.windowMs
+  )[0];
+  const retryAfter = windowStart + exceeded.windowMs;
+  senderActivity.set(from, activity);
+  console.warn(`Rate limited ${from}`);
+
+  if (activity.notifiedUntil > now) return replyWith(res);
+
+  activity.notifiedUntil = retryAfter;
+  const minutes = Math.max(Math.ceil((retryAfter - now) / 60000), 1);
+  return replyWith(
+    res,
+    `⏳ You're sending messages faster than I can keep up. Please wait about ${minutes} minute${
+      minutes === 1 ? "" : "s"
+    } and try again.`
+  );
+}
+
+// Drop senders who have gone quiet so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  const longestWindow = Math.max(...RATE_LIMITS.map((limit) => limit.windowMs));
+  senderActivity.forEach((activity, from) => {
+    if (activity.timestamps.every((timestamp) => now - timestamp >= longestWindow)) {
+      senderActivity.delete(from);
+    }
+  });
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+  trackOpenAIUsage,
+  recordOpenAIUsage,
+  isOpenAIBudgetExhausted,
+  validateTwilioSignature,
+  limitSenderRate,
+};
@@ -0,0 +1,216 @@
+/**
+ * Zoom Meetings
+ *
+ * The Zoom side of the meeting provider interface (see calendarProviders.js).
+ * Meetings are created in the user's Zoom account and the join link is sent
+ * back on WhatsApp. Zoom has no free/busy lookup, so meetings booked through
+ * Zoom aren't checked for conflicts, and Zoom doesn't email calendar invites.
+ *
+ * Zoom replaces the refresh token every time it is used, so the new one is
+ * saved to `user_tokens` under the "zoom" provider straight away.
+ */
+
+const axios = require("axios");
+
+const { saveProviderToken } = require("./userTokens");
+const { WEEKDAY_CODES, parseRecurrenceRule } = require("./recurrence");
+require("dotenv").config();
+
+const AUTHORIZE_URL = "https://zoom.us/oauth/authorize";
+const TOKEN_URL = "https://zoom.us/oauth/token";
+const REVOKE_URL = "https://zoom.us/oauth/revoke";
+const API_URL = "https://api.zoom.us/v2";
+
+const MEETING_TYPES = { scheduled: 2, recurring: 8 };
+const RECURRENCE_TYPES = { DAILY: 1, WEEKLY: 2, MONTHLY: 3 };
+// Zoom needs an end for recurring meetings; used when the rule has none
+const DEFAULT_OCCURRENCES = 50;
+
+// Access tokens by WhatsApp number, reused until shortly before they expire
+const accessTokens = new Map();
+
+// ============================================================================
+// OAUTH
+// ============================================================================
+
+/**
+ * Check whether Zoom sign-in is set up for this deployment
+ * @returns {boolean} True if the app credentials are configured
+ */
+function isZoomConfigured() {
+  return Boolean(
+    process.env.ZOOM_CLIENT_ID &&
+      process.env.ZOOM_CLIENT_SECRET &&
+      process.env.ZOOM_REDIRECT_URI
+  );
+}
+
+/**
+ * Build the Zoom sign-in link for a WhatsApp user
+ * @param {string} userNumber - User's WhatsApp number
+ * @returns {string} Consent screen URL
+ */
+function getZoomAuthUrl(userNumber) {
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: process.env.ZOOM_CLIENT_ID,
+    redirect_uri: process.env.ZOOM_REDIRECT_URI,
+    state: `whatsapp:${userNumber}`,
+  });
+  return `${AUTHORIZE_URL}?${params.toString()}`;
+}
+
+/**
+ * Call a Zoom OAuth endpoint with the app credentials
+ * @param {Object} params - Grant parameters
+ * @param {string} [url] - Endpoint, the token endpoint by default
+ * @returns {Promise<Object>} Token response
+ */
+async function requestToken(params, url = TOKEN_URL) {
+  const credentials = Buffer.from(
+    `${process.env.ZOOM_CLIENT_ID}:${process.env.ZOOM_CLIENT_SECRET}`
+  ).toString("base64");
+
+  const response = await axios.post(url, new URLSearchParams(params).toString(), {
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+  });
+  return response.data;
+}
+
+/**
+ * Exchange the code from the consent screen for a refresh token
+ * @param {string} code - Authorization code
+ * @returns {Promise<string|null>} Refresh token, or null if none was sent
+ */
+async function exchangeZoomCode(code) {
+  const tokens = await requestToken({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: process.env.ZOOM_REDIRECT_URI,
+  });
+  return tokens.refresh_token || null;
+}
+
+/**
+ * Get an access token for a linked account, refreshing it when needed
+ * @param {Object} account - Linked account with phoneNumber and refreshToken
+ * @returns {Promise<string>} Access token
+ */
+async function getAccessToken(account) {
+  // A cached token of an account that was since re-linked isn't reused
+  const cached = accessTokens.get(account.phoneNumber);
+  if (cached && cached.refreshToken === account.refreshToken && cached.expiresAt > Date.now()) {
+    return cached.token;
+  }
+
+  const tokens = await requestToken({
+    grant_type: "refresh_token",
+    refresh_token: account.refreshToken,
+  });
+  account.refreshToken = tokens.refresh_token;
+  await saveProviderToken(account.phoneNumber, "zoom", tokens.refresh_token);
+
+  accessTokens.set(account.phoneNumber, {
+    token: tokens.access_token,
+    refreshToken: account.refreshToken,
+    expiresAt: Date.now() + (tokens.expires_in - 60) * 1000,
+  });
+  return tokens.access_token;
+}
+
+/**
+ * Get the email of a linked Zoom account
+ * @param {Object} account - Linked account
+ * @returns {Promise<string|null>} Account email
+ */
+async function getZoomAccountEmail(account) {
+  const response = await axios.get(`${API_URL}/users/me`, {
+    headers: { Authorization: `Bearer ${await getAccessToken(account)}` },
+  });
+  return response.data.email || null;
+}
+
+/**
+ * Revoke a linked Zoom account's token, removing the app's access
+ * @param {Object} account - Linked account
+ */
+async function revokeZoomToken(account) {
+  await requestToken({ token: account.refreshToken }, REVOKE_URL);
+  accessTokens.delete(account.phoneNumber);
+}
+
+// ============================================================================
+// MEETINGS
+// ============================================================================
+
+/**
+ * Convert an RRULE to a Zoom recurrence
+ * @param {string} recurrence - RRULE
+ * @param {moment.Moment} start - First occurrence in the organizer's zone
+ * @returns {Object|undefined} Zoom recurrence, or undefined if unsupported (Zoom
+ *   has no yearly meetings, those are booked once)
+ */
+function toZoomRecurrence(recurrence, start) {
+  const rule = parseRecurrenceRule(recurrence);
+  const type = RECURRENCE_TYPES[rule.freq];
+  if (!type) return undefined;
+
+  const zoomRecurrence = { type, repeat_interval: rule.interval };
+  if (type === RECURRENCE_TYPES.WEEKLY) {
+    const days = rule.byDay.length > 0 ? rule.byDay : [WEEKDAY_CODES[start.day()]];
+    // Zoom numbers weekdays from 1 (Sunday) to 7 (Saturday)
+    zoomRecurrence.weekly_days = days.map((day) => WEEKDAY_CODES.indexOf(day) + 1).join(",");
+  }
+  if (type === RECURRENCE_TYPES.MONTHLY) zoomRecurrence.monthly_day = start.date();
+
+  if (rule.until) zoomRecurrence.end_date_time = rule.until.toISOString();
+  else zoomRecurrence.end_times = rule.count || DEFAULT_OCCURRENCES;
+
+  return zoomRecurrence;
+}
+
+/**
+ * Create a Zoom meeting
+ * @param {Object} account - Linked account
+ * @param {Object} meeting - title, start, timezone, durationMinutes, attendees and recurrence
+ * @returns {Promise<{id: string, joinUrl: string, webLink: string}>} Created meeting
+ */
+async function createZoomMeeting(account, meeting) {
+  const recurrence = meeting.recurrence
+    ? toZoomRecurrence(meeting.recurrence, meeting.start)
+    : undefined;
+
+  const response = await axios.post(
+    `${API_URL}/users/me/meetings`,
+    {
+      topic: meeting.title,
+      type: recurrence ? MEETING_TYPES.recurring : MEETING_TYPES.scheduled,
+      start_time: meeting.start.format("YYYY-MM-DDTHH:mm:ss"),
+      timezone: meeting.timezone,
+      duration: meeting.durationMinutes,
+      recurrence,
+      settings: {
+        meeting_invitees: meeting.attendees.map((email) => ({ email })),
+      },
+    },
+    { headers: { Authorization: `Bearer ${await getAccessToken(account)}` } }
+  );
+
+  return {
+    id: String(response.data.id),
+    joinUrl: response.data.join_url,
+    webLink: response.data.join_url,
+  };
+}
+
+module.exports = {
+  isZoomConfigured,
+  getZoomAuthUrl,
+  exchangeZoomCode,
+  getZoomAccountEmail,
+  revokeZoomToken,
+  createZoomMeeting,
+};